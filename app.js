@@ -1,7 +1,17 @@
 import primate from '@thewebchimp/primate';
+import ConversationService from '#services/conversation.service.js';
+import JobService from '#services/job.service.js';
+import IngestionService from '#services/ingestion.service.js';
 import {router as defaultRoutes } from './routes/default.js';
 
 await primate.setup();
 await primate.start();
 
 primate.app.use('/', defaultRoutes);
+
+// Cierre de conversaciones inactivas
+ConversationService.startIdleSweep();
+
+// Worker de jobs: retoma los trabajos interrumpidos y los mensajes que quedaron sin procesar
+await JobService.start();
+await IngestionService.recoverOrphans();
@@ -0,0 +1,143 @@
+import Joi from 'joi';
+
+/**
+ * Herramientas que el modelo puede invocar. Cada una declara su esquema Joi, que se usa
+ * para validar los argumentos y para generar el JSON Schema que recibe el modelo.
+ * El nombre de la herramienta es el método de WhatsAppAIService que la atiende.
+ * Las herramientas con bindsContact reciben el contactId de la conversación en curso; el modelo
+ * no lo envía, para que no pueda leer ni modificar a otros contactos.
+ */
+
+const CONTACT_STATUSES = [ 'PROSPECT', 'LEAD', 'OPPORTUNITY', 'CUSTOMER', 'INACTIVE', 'DISQUALIFIED' ];
+const BOOKING_STATUSES = [ 'PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW' ];
+
+// Se valida el formato sin convertir para no mover las fechas sin hora a UTC
+const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/, 'YYYY-MM-DD o ISO 8601');
+
+const tools = [
+	{
+		name: 'analyzeCustomerIntent',
+		bindsContact: true,
+		description: 'Analyzes customer intent only when they don\'t specifically request booking. If they specify booking, DO NOT use this function.',
+		schema: Joi.object({
+			intent: Joi.string()
+				.valid('BOOKING_REQUEST', 'BOOKING_CONFIRMATION', 'SERVICE_INQUIRY', 'PRICING_INQUIRY', 'GENERAL_QUESTION', 'GREETING', 'OTHER')
+				.required()
+				.description('Primary customer intent'),
+			contactStatus: Joi.string().valid(...CONTACT_STATUSES).required().description('Suggested contact status based on their interaction'),
+			leadScore: Joi.number().integer().min(0).max(100).required().description('Score from 0-100 reflecting how qualified this lead is'),
+			interestedIn: Joi.array().items(Joi.string()).description('Services the customer shows interest in'),
+			needsHumanAgent: Joi.boolean().required().description('Indicates if the inquiry requires a human agent'),
+			extractedInfo: Joi.object({
+				name: Joi.string().description('Customer name'),
+				email: Joi.string().email().description('Customer email'),
+				desiredDate: Joi.string().description('Desired date for the service'),
+				serviceName: Joi.string().description('Specific service requested'),
+				notes: Joi.string().description('Additional details'),
+			}).description('Relevant information extracted from the message'),
+		}),
+	},
+	{
+		name: 'createBooking',
+		bindsContact: true,
+		description: 'Creates a booking record in the system when the customer requests it only when you have all the information required.',
+		schema: Joi.object({
+			serviceName: Joi.string().required().description('Name of the service to book'),
+			dateTime: date.description('Date and time of a single-day service or ceremony (ISO format). For stays use checkIn/checkOut instead'),
+			checkIn: date.description('Arrival date for lodging stays and multi-day events (YYYY-MM-DD)'),
+			checkOut: date.description('Departure date for lodging stays and multi-day events (YYYY-MM-DD)'),
+			unit: Joi.string().description('Cabin or room to book (e.g. "Cabaña Alice"), only for lodging bookings'),
+			eventEditionId: Joi.string().description('Id of the scheduled event date returned by listUpcomingEvents, only for scheduled events'),
+			guests: Joi.number().integer().min(1).description('Total number of people'),
+			children: Joi.number().integer().min(0).description('Children with child rate, for per-person events'),
+			extraPersons: Joi.number().integer().min(0).description('People above the base rate of the cabin'),
+			pets: Joi.number().integer().min(0).description('Number of pets'),
+			firewoodLoads: Joi.number().integer().min(0).description('Firewood loads requested'),
+			notes: Joi.string().allow('').description('Additional notes'),
+		}).and('checkIn', 'checkOut'),
+	},
+	{
+		name: 'updateBookingStatus',
+		bindsContact: true,
+		description: 'Updates the status of an existing booking',
+		schema: Joi.object({
+			bookingId: Joi.string().required().description('ID of the booking to update'),
+			status: Joi.string().valid(...BOOKING_STATUSES).required().description('New status for the booking'),
+			notes: Joi.string().allow('').description('Additional notes'),
+		}),
+	},
+	{
+		name: 'updateContactInfo',
+		bindsContact: true,
+		description: 'Updates contact information',
+		schema: Joi.object({
+			updateData: Joi.object({
+				name: Joi.string().description('Contact name'),
+				email: Joi.string().email().description('Contact email'),
+				status: Joi.string().valid(...CONTACT_STATUSES).description('Contact status'),
+				leadScore: Joi.number().integer().min(0).max(100).description('Lead score (0-100)'),
+				source: Joi.string().description('Contact source'),
+				notes: Joi.string().description('Notes about the contact'),
+				isOptedIn: Joi.boolean().description('Has given consent for communications'),
+				isActive: Joi.boolean().description('Whether the contact is active'),
+			}).min(1).required(),
+		}),
+	},
+	{
+		name: 'getContactBookings',
+		bindsContact: true,
+		description: 'Gets bookings for a contact',
+		schema: Joi.object({
+			status: Joi.string().valid(...BOOKING_STATUSES).description('Filter by status (optional)'),
+		}),
+	},
+	{
+		name: 'checkAvailability',
+		description: 'Checks whether a cabin or room is free between check-in and check-out dates. Use it before offering or booking specific dates.',
+		schema: Joi.object({
+			unit: Joi.string().required().description('Cabin or room name (e.g. "Cabaña Alice", "El Banco")'),
+			checkIn: date.required().description('Check-in date (YYYY-MM-DD)'),
+			checkOut: date.required().description('Check-out date (YYYY-MM-DD)'),
+			guests: Joi.number().integer().min(1).description('Total number of people (optional)'),
+		}),
+	},
+	{
+		name: 'calculateQuote',
+		description: 'Calculates an itemized quote (total, deposit to reserve and balance) for a cabin stay or a catalog service. Always use it before telling the customer any amount.',
+		schema: Joi.object({
+			unit: Joi.string().description('Cabin or room name for lodging quotes (e.g. "Cabaña Sharine")'),
+			service: Joi.string().description('Service or event name for non-lodging quotes (e.g. "Retiro Madres e Hijos", "Boda celta")'),
+			checkIn: date.description('Check-in date for lodging (YYYY-MM-DD)'),
+			checkOut: date.description('Check-out date for lodging (YYYY-MM-DD)'),
+			guests: Joi.number().integer().min(1).description('Total number of people, children included'),
+			children: Joi.number().integer().min(0).description('Children with child rate, for per-person events'),
+			pets: Joi.number().integer().min(0).description('Number of pets'),
+			firewoodLoads: Joi.number().integer().min(0).description('Firewood loads requested'),
+		}).xor('unit', 'service'),
+	},
+	{
+		name: 'listUpcomingEvents',
+		description: 'Lists upcoming scheduled event dates (retreats, couple retreats, trips) with remaining seats. Use it before offering event dates.',
+		schema: Joi.object({
+			service: Joi.string().description('Optional service or event name to filter (e.g. "Madres e Hijos")'),
+			fromDate: date.description('Optional start date to search from (YYYY-MM-DD), defaults to today'),
+		}),
+	},
+	{
+		name: 'getServiceDetails',
+		description: 'Gets the full details of a service or event: description, what it includes, itinerary, materials, price, deposit, upcoming dates and policies.',
+		schema: Joi.object({
+			service: Joi.string().required().description('Service or event name (e.g. "Boda celta", "Retiro Madres e Hijos")'),
+		}),
+	},
+	{
+		name: 'addContactNotes',
+		bindsContact: true,
+		description: 'Adds notes to a contact',
+		schema: Joi.object({
+			notes: Joi.string().required().description('Notes to add'),
+		}),
+	},
+];
+
+export { tools };
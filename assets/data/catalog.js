@@ -0,0 +1,185 @@
+/**
+ * Catálogo de servicios y eventos con sus precios en MXN. Se carga en las tablas
+ * ServiceOffering, EventEdition y Policy con `prisma/seed.js`.
+ *
+ * pricing.type:
+ *  - 'flat': precio fijo por servicio (bodas, ceremonias, paquetes)
+ *  - 'per_person': precio por adulto y por niño (childMaxAge = edad máxima con precio de niño)
+ *
+ * deposit.type:
+ *  - 'percent': porcentaje del total para apartar; el resto se liquida el día del evento
+ *  - 'per_person': monto fijo por participante al registrarse
+ *
+ * editions: fechas calendarizadas del evento (capacity null = sin límite de cupo)
+ */
+const services = [
+	{
+		slug: 'madres-e-hijos',
+		name: 'Retiro Madres e Hijos',
+		category: 'RETREAT',
+		description: 'Retiro de fin de semana para madres e hijos de todas las edades (niños, adultos y abuelas) para desarrollar lazos memorables, fortalecer la comunicación, celebrar la vida, cerrar ciclos y recordar el amor incondicional que se vive en el útero materno.',
+		includes: [
+			'Hospedaje en cabañas del bosque (recámara por familia en cabañas amplias o una cabaña por familia)',
+			'Alimentos',
+			'Ceremonia de cacao madre e hija/hijo',
+			'Círculo de sanación / cierre de ciclos / activación de clarividencia y telepatía',
+			'Ceremonia del maíz para proyectos individuales',
+			'Fogata grupal',
+			'Cena con brindis de gala',
+			'Flores y velas',
+		],
+		itinerary: [
+			{ day: 'Sábado', time: '11:00', activity: 'Llegada a Cabañas Charolet en Valle Turístico de Piedras Encimadas, Zacatlán' },
+			{ day: 'Sábado', time: '12:00', activity: 'Ceremonia de cacao: perdón, reconciliación, amor propio y lazos de comunicación entre madre e hijos' },
+			{ day: 'Sábado', time: '14:00', activity: 'Comida de festejo a madres "festejo de florecer"' },
+			{ day: 'Sábado', time: '17:00', activity: 'Cartas al clan femenino y al clan masculino; liberación con fogata en el bosque' },
+			{ day: 'Sábado', time: '20:00', activity: 'Cena de gala madres e hijos' },
+			{ day: 'Domingo', time: '08:00', activity: 'Círculo de telepatía y amor incondicional; círculo de flores y semillas; liberación de cordón energético umbilical' },
+			{ day: 'Domingo', time: '10:00', activity: 'Desayuno estilo Cabañas Charolet' },
+			{ day: 'Domingo', time: '12:00', activity: 'Clausura; preparación de baños energéticos con plantas' },
+		],
+		materials: [
+			'Un listón de 2 metros por cada hijo, de cualquier color',
+			'Una llave por familia que ya no usen y medio metro de listón para colgarla',
+			'Mamás, abuelas e hijas: vestido floral, lila, rosa o morado, largo circular o falda a los tobillos',
+			'Mamás y abuelas: un rebozo de cualquier color',
+			'Varones: camisa blanca',
+			'Hijos e hijas: corona de flores naturales o artificiales',
+			'Una toalla corporal por persona',
+			'Traje de baño, short y sandalias para el baño de flores',
+			'Ropa cómoda y abrigada para la cena (estamos en un bosque)',
+		],
+		pricing: { type: 'per_person', adult: 2100, child: 1240, childMaxAge: 8 },
+		deposit: { type: 'per_person', amount: 500, balanceDue: 'un día antes del evento o al llegar a las cabañas' },
+		location: 'Cabañas Charolet, Valle de Piedras Encimadas, Zacatlán, Puebla',
+		infoUrl: 'https://www.ser-consciente.org/hospedaje_eventos_invitados.pdf',
+		sortOrder: 1,
+		editions: [
+			{ startDate: '2025-07-19', endDate: '2025-07-20' },
+			{ startDate: '2025-11-15', endDate: '2025-11-16' },
+		],
+		policies: [
+			{ type: 'PAYMENT', title: 'Registro', content: 'Para reservar se requiere un pago inicial de $500 por persona y enviar el comprobante. Indicar la edad de cada participante al registrarse.' },
+			{ type: 'CANCELLATION', title: 'Cancelación', content: 'No se hacen devoluciones del anticipo por cancelación.' },
+			{ type: 'RESCHEDULE', title: 'Cambio de fecha', content: 'Para reagendar la fecha se aplica un cargo extra de $606 por concepto de cambio.' },
+		],
+	},
+	{
+		slug: 'boda-retiro-parejas',
+		name: 'Boda espiritual - retiro de parejas',
+		category: 'WEDDING',
+		description: 'Evento de dos días con actividades de pareja para su comunión: comunicación, una boda espiritual personalizada (no grupal) y algo épico como pareja, ya sea para renovar su relación, aniversario o primera boda. Acompañado de música en vivo instrumental.',
+		includes: [
+			'Hospedaje en cabaña exclusiva con chimenea para la pareja',
+			'Todos los alimentos',
+			'Boda personalizada en el bosque (cada pareja tiene su horario)',
+			'Cena romántica a la luz de las velas con música en vivo',
+			'Ceremonial del pulque o cacao',
+			'Cena bohemia',
+			'Pedida de mano tradicional guiada en náhuatl',
+		],
+		pricing: { type: 'flat', price: 4300 },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		location: 'Cabañas Charolet, Valle de Piedras Encimadas, Zacatlán, Puebla',
+		infoUrl: 'https://www.ser-consciente.org/boda_sin_invitados.pdf',
+		sortOrder: 2,
+		editions: [
+			{ startDate: '2025-07-26', endDate: '2025-07-27' },
+			{ startDate: '2025-10-25', endDate: '2025-10-26' },
+		],
+	},
+	{
+		slug: 'boda-privada',
+		name: 'Boda espiritual privada (con ritual, sin juez)',
+		category: 'WEDDING',
+		description: 'Ceremonia privada en la fecha que elija la pareja (sujeta a disponibilidad), con o sin invitados. Incluye decoración de arco floral con telas en el bosque y música viva; se puede agregar hospedaje, cena de gala, música en vivo y boda civil.',
+		includes: [
+			'Decoración de arco floral con telas en el bosque',
+			'Música viva en la ceremonia',
+		],
+		pricing: { type: 'flat', price: 6000 },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		location: 'Cabañas Charolet, Valle de Piedras Encimadas, Zacatlán, Puebla',
+		infoUrl: 'https://www.ser-consciente.org/bodas_espirituales_personalizadas_zacatlanbosque.pdf',
+		sortOrder: 3,
+	},
+	{
+		slug: 'boda-prehispanica',
+		name: 'Boda personalizada prehispánica',
+		category: 'WEDDING',
+		description: 'Boda espiritual con semblante mexica, toques de caracol y flautas. Duración de 1 hora.',
+		includes: [ 'Brindis', 'Desayuno' ],
+		pricing: { type: 'flat', price: 7200, notes: 'Más viáticos si el evento es en otra ciudad' },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		infoUrl: 'https://www.ser-consciente.org/Catalogo_Bodas_Espirituales_Zacatlan.pdf',
+		sortOrder: 4,
+	},
+	{
+		slug: 'boda-espiritual-tradicional',
+		name: 'Boda espiritual tradicional con personas ancestrales',
+		category: 'WEDDING',
+		description: 'Boda tradicional con rezos en náhuatl guiada por personas ancestrales de la Sierra Norte de Puebla (San Miguel Tenango, Zacatlán).',
+		pricing: { type: 'flat', price: 10100, notes: 'Más viáticos si el evento es en otra ciudad' },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		infoUrl: 'https://www.ser-consciente.org/Catalogo_Bodas_Espirituales_Zacatlan.pdf',
+		sortOrder: 5,
+	},
+	{
+		slug: 'boda-celta',
+		name: 'Boda celta',
+		category: 'WEDDING',
+		description: 'Ceremonia de boda celta en el bosque.',
+		includes: [ 'Hospedaje en cabaña', 'Cena de gala', 'Música en vivo para la cena' ],
+		pricing: { type: 'flat', price: 8400, notes: 'Más viáticos si el evento es en otra ciudad' },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		infoUrl: 'https://www.ser-consciente.org/Catalogo_Bodas_Espirituales_Zacatlan.pdf',
+		sortOrder: 6,
+	},
+	{
+		slug: 'boda-holbox',
+		name: 'Boda espiritual en isla Holbox',
+		category: 'WEDDING',
+		description: 'Boda viaje en la playa de isla Holbox, Quintana Roo. Ideal para casarse, renovar votos o fortalecer la relación. Se puede pagar la reserva con voucher o con el procesador de pago de la página.',
+		includes: [
+			'Vuelo redondo nacional y traslados (incluye ferri)',
+			'Hospedaje en hotel en la playa',
+			'Ritual al llegar a la isla',
+			'Cena de gala a la orilla del mar',
+			'Ceremonia privada prehispánica con arco de flores en el mar',
+			'Música en vivo',
+			'Foto oficial de novios',
+			'Contrato firmado y merch oficial',
+		],
+		pricing: { type: 'flat', price: 38000, notes: 'Precio especial' },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		location: 'Isla Holbox, Quintana Roo',
+		infoUrl: 'https://www.ser-consciente.org/bodas-espirituales-holbox',
+		sortOrder: 7,
+		editions: [
+			{ startDate: '2025-09-19', endDate: '2025-09-21' },
+		],
+	},
+	{
+		slug: 'consagracion-nacimiento',
+		name: 'Consagración de nacimiento alternativo',
+		category: 'CEREMONY',
+		description: 'Pintoresco ceremonial donde se corona con flores de la región a los familiares del nuevo integrante de la familia, con rezos en náhuatl, música viva de viento, violín y flautas, tambores y silbatos prehispánicos. Se siembra un árbol y se hace rito a la naturaleza fuera de religión.',
+		pricing: { type: 'flat', price: 4700 },
+		deposit: { type: 'percent', percent: 60, balanceDue: 'el día del evento, previo a la ceremonia' },
+		location: 'Cabañas Charolet, Valle de Piedras Encimadas, Zacatlán, Puebla',
+		sortOrder: 8,
+	},
+];
+
+/**
+ * Políticas por categoría de servicio (category) o generales (sin category)
+ */
+const policies = [
+	{ category: 'WEDDING', type: 'PAYMENT', title: 'Pago en dos partes', content: 'Se paga el 60% del evento para confirmar la fecha y se liquida el 40% restante el día del evento, previo a la ceremonia.' },
+	{ category: 'WEDDING', type: 'RESCHEDULE', title: 'Cambio de fecha', content: 'El cambio de fecha debe solicitarse 30 días naturales antes de la fecha contratada; de lo contrario se paga una penalización del 20% del total del evento.' },
+	{ category: 'CEREMONY', type: 'PAYMENT', title: 'Pago en dos partes', content: 'Se paga el 60% del evento para confirmar la fecha y se liquida el 40% restante el día del evento, previo a la ceremonia.' },
+	{ category: 'CEREMONY', type: 'RESCHEDULE', title: 'Cambio de fecha', content: 'El cambio de fecha debe solicitarse 30 días naturales antes de la fecha contratada; de lo contrario se paga una penalización del 20% del total del evento.' },
+	{ type: 'PAYMENT', title: 'Formas de pago', content: 'Pago de anticipo, pago completo (recomendado) o pago a meses sin intereses. La reserva se confirma automáticamente al recibir el comprobante con el monto, las fechas y el nombre completo.' },
+];
+
+export { services, policies };
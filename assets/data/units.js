@@ -0,0 +1,94 @@
+/**
+ * Cabañas y recámaras de Cabañas Charolet. Se cargan en la tabla Unit con `prisma/seed.js`.
+ * Precios en MXN por noche: basePrice cubre hasta baseGuests personas; extraPersonPrice es
+ * por persona adicional por noche; petPrice y firewoodPrice se cobran por mascota y por carga
+ * de leña en la estancia. Un precio null indica que el concepto no está disponible.
+ */
+const units = [
+	{
+		slug: 'sharine',
+		name: 'Cabaña Sharine',
+		type: 'CABIN',
+		capacity: 12,
+		basePrice: 2000,
+		baseGuests: 9,
+		extraPersonPrice: 240,
+		petPrice: 100,
+		firewoodPrice: 100,
+		description: 'Ideal para grupos que quieren compartir la fogata y despertar entre risas y naturaleza. 6 camas individuales + 3 matrimoniales.',
+		amenities: [ 'chimenea', 'cocina completa', 'comedor', 'sala', 'fogata', 'wifi', 'estacionamiento' ],
+		sortOrder: 1,
+	},
+	{
+		slug: 'monica',
+		name: 'Cabaña Mónica',
+		type: 'CABIN',
+		capacity: 3,
+		basePrice: 1000,
+		baseGuests: 2,
+		extraPersonPrice: 250,
+		petPrice: null,
+		firewoodPrice: 100,
+		description: 'Para escapadas íntimas con vista al bosque y fogatero que enciende conversaciones profundas. Cama matrimonial + sofá cama.',
+		amenities: [ 'fogatero', 'chimenea ecológica', 'ventanal al bosque', 'wifi' ],
+		sortOrder: 2,
+	},
+	{
+		slug: 'valeria',
+		name: 'Cabaña Valeria',
+		type: 'CABIN',
+		capacity: 4,
+		basePrice: 900,
+		baseGuests: 2,
+		extraPersonPrice: 250,
+		petPrice: null,
+		firewoodPrice: 100,
+		description: 'Refugio secreto entre árboles para parejas o familias pequeñas que buscan reconexión. 2 camas matrimoniales.',
+		amenities: [ 'cocineta en terraza', 'chimenea', 'wifi' ],
+		sortOrder: 3,
+	},
+	{
+		slug: 'alice',
+		name: 'Cabaña Alice',
+		type: 'CABIN',
+		capacity: 15,
+		basePrice: 1700,
+		baseGuests: 11,
+		extraPersonPrice: 250,
+		petPrice: null,
+		firewoodPrice: 100,
+		description: 'Diseñada para grupos grandes con espíritu de comunidad. 3 recámaras (matrimonial + individual, 4 individuales, 4 literas).',
+		amenities: [ 'estufa', 'frigobar', 'wifi', 'chimenea' ],
+		sortOrder: 4,
+	},
+	{
+		slug: 'cardosanto',
+		name: 'Cabaña Cardosanto',
+		type: 'CABIN',
+		capacity: 4,
+		basePrice: 600,
+		baseGuests: 2,
+		extraPersonPrice: 200,
+		petPrice: 100,
+		firewoodPrice: 100,
+		description: 'Para quienes disfrutan de un rincón cálido frente al restaurante y el aroma de la leña. 1 cama matrimonial + 1 sofá cama.',
+		amenities: [ 'chimenea', 'baño completo' ],
+		sortOrder: 5,
+	},
+	{
+		slug: 'el-banco',
+		name: 'Recámara El Viejo Oeste "El Banco"',
+		type: 'ROOM',
+		capacity: 2,
+		basePrice: 500,
+		baseGuests: 2,
+		extraPersonPrice: null,
+		petPrice: 100,
+		firewoodPrice: 100,
+		description: 'Perfecta para almas viajeras que buscan intimidad, estrellas y un buen Netflix en el bosque. 1 cama matrimonial en el bosque central.',
+		amenities: [ 'baño completo con agua caliente', 'wifi', 'pantalla con Netflix' ],
+		sortOrder: 6,
+	},
+];
+
+export { units };
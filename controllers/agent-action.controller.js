@@ -0,0 +1,203 @@
+import AgentActionService from '#services/agent-action.service.js';
+import ContactHistoryService from '#services/contact-history.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class AgentActionController {
+    /**
+     * Lista las acciones ejecutadas por la IA (filtrables por contactId, conversationId, messageId,
+     * toolName, success y reverted)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getActions(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting agent actions');
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const skip = (page - 1) * limit;
+
+            let whereClause = {};
+
+            for (const field of [ 'contactId', 'conversationId', 'messageId', 'toolName' ]) {
+                if (req.query[field]) {
+                    whereClause[field] = req.query[field];
+                }
+            }
+
+            if (req.query.success !== undefined) {
+                whereClause.success = req.query.success === 'true';
+            }
+
+            if (req.query.reverted !== undefined) {
+                whereClause.revertedAt = req.query.reverted === 'true' ? { not: null } : null;
+            }
+
+            const actions = await prisma.agentAction.findMany({
+                where: whereClause,
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    contact: {
+                        select: { id: true, name: true, phoneNumber: true }
+                    }
+                }
+            });
+
+            const totalActions = await prisma.agentAction.count({
+                where: whereClause
+            });
+
+            const totalPages = Math.ceil(totalActions / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${actions.length} agent actions`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    actions: actions.map(action => ({
+                        ...action,
+                        revertible: AgentActionService.isRevertible(action)
+                    })),
+                    pagination: {
+                        total: totalActions,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING AGENT ACTIONS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener acciones',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtiene una acción con su resultado, estado previo y el mensaje relacionado
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getAction(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting agent action ${req.params.id}`);
+
+        try {
+            const action = await prisma.agentAction.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    contact: {
+                        select: { id: true, name: true, phoneNumber: true }
+                    },
+                    message: true,
+                    revertedBy: {
+                        select: { id: true, name: true, email: true }
+                    }
+                }
+            });
+
+            if (!action) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Acción no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    action: {
+                        ...action,
+                        revertible: AgentActionService.isRevertible(action)
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING AGENT ACTION:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener acción',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revierte una acción de la IA (p. ej. un cambio de estado del contacto no deseado)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async revertAction(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Reverting agent action ${req.params.id}`);
+
+        try {
+            const existing = await prisma.agentAction.findUnique({ where: { id: req.params.id } });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Acción no encontrada'
+                });
+            }
+
+            if (!AgentActionService.isRevertible(existing)) {
+                return res.status(409).json({
+                    success: false,
+                    message: existing.revertedAt
+                        ? 'La acción ya fue revertida'
+                        : `La acción ${existing.toolName} no se puede revertir`
+                });
+            }
+
+            const result = await ContactHistoryService.track(existing.contactId, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                agentActionId: existing.id,
+                reason: `Reversión de ${existing.toolName}`
+            }, () => AgentActionService.revert(existing, req.admin.id));
+
+            // Ya revertida, campos modificados después de la acción o reserva que ya no cabe
+            if (!result.success) {
+                return res.status(409).json({
+                    success: false,
+                    message: result.error,
+                    data: {
+                        fields: result.fields || [],
+                        conflicts: result.conflicts || []
+                    }
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: Agent action ${existing.id} reverted by ${req.admin.email}`);
+            return res.status(200).json({
+                success: true,
+                data: { action: result.action }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR REVERTING AGENT ACTION:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al revertir acción',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default AgentActionController;
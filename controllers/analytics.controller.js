@@ -0,0 +1,119 @@
+import AnalyticsService from '#services/analytics.service.js';
+
+const BOOKING_DATE_FIELDS = [ 'createdAt', 'dateTime' ];
+
+/**
+ * Lee el periodo de la consulta (fromDate, toDate)
+ * @returns {{fromDate: Date|undefined, toDate: Date|undefined, error: string|null}}
+ */
+const parseDateRange = (query) => {
+    const fromDate = query.fromDate ? new Date(query.fromDate) : undefined;
+    const toDate = query.toDate ? new Date(query.toDate) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return { fromDate, toDate, error: 'fromDate y toDate deben ser fechas válidas' };
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+        return { fromDate, toDate, error: 'fromDate debe ser anterior a toDate' };
+    }
+
+    return { fromDate, toDate, error: null };
+};
+
+class AnalyticsController {
+    /**
+     * Embudo PROSPECT → LEAD → OPPORTUNITY → CUSTOMER de los contactos cuyo primer mensaje cae
+     * en el periodo: contactos por etapa, tasas de conversión y mediana de horas entre etapas
+     * @param {Object} req - Objeto de solicitud Express (query: fromDate, toDate)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getFunnel(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting funnel analytics');
+
+        try {
+            const { fromDate, toDate, error } = parseDateRange(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const funnel = await AnalyticsService.getFunnel({ fromDate, toDate });
+
+            console.log(`[Controller] SUCCESS: Funnel computed for ${funnel.totalContacts} contacts`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    fromDate: fromDate || null,
+                    toDate: toDate || null,
+                    ...funnel
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING FUNNEL ANALYTICS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al calcular el embudo',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Conversión de reservas por servicio y tasas de cancelación y no-show. Por defecto el periodo
+     * se aplica a la fecha en que se creó la reserva; con dateField=dateTime, a la fecha del servicio
+     * @param {Object} req - Objeto de solicitud Express (query: fromDate, toDate, dateField)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getBookingAnalytics(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting booking analytics');
+
+        try {
+            const { fromDate, toDate, error } = parseDateRange(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const dateField = req.query.dateField || 'createdAt';
+            if (!BOOKING_DATE_FIELDS.includes(dateField)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `dateField inválido. Valores permitidos: ${BOOKING_DATE_FIELDS.join(', ')}`
+                });
+            }
+
+            const stats = await AnalyticsService.getBookingStats({ fromDate, toDate, dateField });
+
+            console.log(`[Controller] SUCCESS: Booking analytics computed for ${stats.totals.bookings} bookings`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    fromDate: fromDate || null,
+                    toDate: toDate || null,
+                    dateField,
+                    ...stats
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING BOOKING ANALYTICS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al calcular métricas de reservas',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default AnalyticsController;
@@ -0,0 +1,293 @@
+import AuthService from '#services/auth.service.js';
+import { getBearerToken } from '../middlewares/admin-auth.middleware.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class AuthController {
+    /**
+     * Inicia sesión en el panel y devuelve el token de acceso
+     * @param {Object} req - Objeto de solicitud Express (body: email, password)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async login(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Admin login');
+
+        try {
+            const { email, password } = req.body || {};
+
+            if (!email || !password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Correo y contraseña son obligatorios'
+                });
+            }
+
+            const result = await AuthService.login(email, password, {
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent') || null
+            });
+
+            if (!result.success) {
+                return res.status(401).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: Admin ${result.user.email} logged in`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    token: result.token,
+                    expiresAt: result.expiresAt,
+                    user: result.user
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR LOGGING IN:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al iniciar sesión',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cierra la sesión del token actual
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async logout(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Admin logout ${req.admin.email}`);
+
+        try {
+            await AuthService.logout(getBearerToken(req));
+
+            return res.status(200).json({
+                success: true,
+                data: { loggedOut: true }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR LOGGING OUT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al cerrar sesión',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Devuelve el usuario de la sesión actual
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getProfile(req, res) {
+        const { sessionId, ...user } = req.admin;
+
+        return res.status(200).json({
+            success: true,
+            data: { user }
+        });
+    }
+
+    /**
+     * Lista los usuarios del panel
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getUsers(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting admin users');
+
+        try {
+            const users = (await prisma.adminUser.findMany({
+                orderBy: { createdAt: 'asc' }
+            })).map(user => AuthService.toPublicUser(user));
+
+            console.log(`[Controller] SUCCESS: Retrieved ${users.length} admin users`);
+            return res.status(200).json({
+                success: true,
+                data: { users }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING ADMIN USERS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener usuarios',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crea un usuario del panel
+     * @param {Object} req - Objeto de solicitud Express (body: email, name, password, role)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createUser(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Creating admin user');
+
+        try {
+            const { email, name, password, role = 'STAFF' } = req.body || {};
+
+            if (!email) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El correo es obligatorio'
+                });
+            }
+
+            if (!AuthService.roles.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Rol inválido. Valores permitidos: ${AuthService.roles.join(', ')}`
+                });
+            }
+
+            const passwordError = AuthService.validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({
+                    success: false,
+                    message: passwordError
+                });
+            }
+
+            const existing = await prisma.adminUser.findUnique({
+                where: { email: email.trim().toLowerCase() }
+            });
+
+            if (existing) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Ya existe un usuario con ese correo'
+                });
+            }
+
+            const user = await AuthService.createUser({ email, name, password, role });
+
+            console.log(`[Controller] SUCCESS: Admin user ${user.email} created by ${req.admin.email}`);
+            return res.status(201).json({
+                success: true,
+                data: { user }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING ADMIN USER:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear usuario',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Edita un usuario del panel: nombre, rol, estado o contraseña.
+     * Desactivarlo o cambiar su contraseña cierra sus sesiones abiertas
+     * @param {Object} req - Objeto de solicitud Express (body: name, role, isActive, password)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updateUser(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating admin user ${req.params.id}`);
+
+        try {
+            const { name, role, password } = req.body || {};
+            const isActive = req.body?.isActive === undefined
+                ? undefined
+                : req.body.isActive === true || req.body.isActive === 'true';
+
+            const existing = await prisma.adminUser.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+
+            if (role !== undefined && !AuthService.roles.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Rol inválido. Valores permitidos: ${AuthService.roles.join(', ')}`
+                });
+            }
+
+            // Siempre debe quedar al menos un OWNER activo
+            const losesOwner = existing.role === 'OWNER' && existing.isActive
+                && ((role !== undefined && role !== 'OWNER') || isActive === false);
+
+            if (losesOwner) {
+                const owners = await prisma.adminUser.count({
+                    where: { role: 'OWNER', isActive: true }
+                });
+
+                if (owners <= 1) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'No se puede quitar el último usuario OWNER activo'
+                    });
+                }
+            }
+
+            let data = {};
+
+            if (name !== undefined) data.name = name;
+            if (role !== undefined) data.role = role;
+            if (isActive !== undefined) data.isActive = isActive;
+
+            if (password !== undefined) {
+                const passwordError = AuthService.validatePassword(password);
+                if (passwordError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: passwordError
+                    });
+                }
+
+                data.passwordHash = await AuthService.hashPassword(password);
+            }
+
+            const user = await prisma.adminUser.update({
+                where: { id: existing.id },
+                data
+            });
+
+            if (data.passwordHash || data.isActive === false) {
+                await AuthService.revokeSessions(user.id);
+            }
+
+            console.log(`[Controller] SUCCESS: Admin user ${user.email} updated by ${req.admin.email}`);
+            return res.status(200).json({
+                success: true,
+                data: { user: AuthService.toPublicUser(user) }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING ADMIN USER:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar usuario',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default AuthController;
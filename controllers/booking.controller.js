@@ -0,0 +1,296 @@
+import WhatsAppAIService from '#services/whatsappai.service.js';
+import BookingService from '#services/booking.service.js';
+import ContactHistoryService from '#services/contact-history.service.js';
+import MediaService from '#services/media.service.js';
+import ContactService from '#services/contact.service.js';
+import ToolRegistry from '#services/tool-registry.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const RESCHEDULE_FIELDS = [ 'dateTime', 'checkIn', 'checkOut', 'eventEditionId', 'guests' ];
+
+class BookingController {
+    /**
+     * Obtiene una reserva con su contacto, unidad y comprobantes
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getBooking(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting booking ${req.params.id}`);
+
+        try {
+            const booking = await prisma.booking.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    contact: true,
+                    unit: true,
+                    eventEdition: { include: { service: true } },
+                    vouchers: true
+                }
+            });
+
+            if (!booking) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Reserva no encontrada'
+                });
+            }
+
+            booking.vouchers = booking.vouchers.map(voucher => ({
+                ...voucher,
+                mediaUrl: MediaService.signUrl(voucher.mediaUrl)
+            }));
+
+            return res.status(200).json({
+                success: true,
+                data: { booking }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING BOOKING:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener reserva',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crea una reserva desde el panel (p. ej. tomada por teléfono) con las mismas validaciones
+     * de argumentos, disponibilidad y cotización que usa la IA. Si el contacto no existe se crea con su teléfono
+     * @param {Object} req - Objeto de solicitud Express (body: contactId o phoneNumber/name, serviceName,
+     * dateTime, checkIn, checkOut, unit, eventEditionId, guests, children, pets, firewoodLoads, notes, notify, notifyText)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createBooking(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Creating booking from admin');
+
+        try {
+            const { contactId, phoneNumber, name, notify, notifyText, ...fields } = req.body || {};
+
+            // Mismo esquema que la herramienta createBooking; los campos desconocidos se descartan
+            const { value: bookingData, error: validationError } = ToolRegistry.validate('createBooking', fields);
+
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError.error,
+                    data: { details: validationError.details }
+                });
+            }
+
+            let contact = null;
+
+            if (contactId) {
+                contact = await prisma.contact.findUnique({ where: { id: contactId } });
+
+                if (!contact) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Contacto no encontrado'
+                    });
+                }
+            } else if (phoneNumber) {
+                const normalizedPhone = String(phoneNumber).replace(/\D/g, '');
+
+                contact = await ContactService.findByPhone(normalizedPhone);
+
+                if (!contact) {
+                    contact = await prisma.contact.create({
+                        data: {
+                            phoneNumber: normalizedPhone,
+                            name: name || `Desconocido (${normalizedPhone})`,
+                            status: 'PROSPECT',
+                            source: 'admin'
+                        }
+                    });
+
+                    await ContactHistoryService.recordCreation(contact, {
+                        source: 'ADMIN',
+                        adminUserId: req.admin.id,
+                        reason: 'Creado al registrar una reserva desde el panel'
+                    });
+                }
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Indica contactId o phoneNumber'
+                });
+            }
+
+            const result = await ContactHistoryService.track(contact.id, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                reason: 'Reserva creada desde el panel'
+            }, () => WhatsAppAIService.createBooking({
+                ...bookingData,
+                notes: bookingData.notes || `Reserva registrada desde el panel por ${req.admin.email}`,
+                contactId: contact.id
+            }));
+
+            if (!result.success) {
+                return res.status(result.conflicts ? 409 : 400).json({
+                    success: false,
+                    message: result.error,
+                    data: result.conflicts ? { conflicts: result.conflicts } : undefined
+                });
+            }
+
+            const notification = notify === true || notify === 'true'
+                ? await BookingService.notifyGuest(result.booking, 'CREATED', { text: notifyText, adminUserId: req.admin.id })
+                : null;
+
+            console.log(`[Controller] SUCCESS: Booking ${result.booking.id} created by ${req.admin.email}`);
+            return res.status(201).json({
+                success: true,
+                data: {
+                    booking: result.booking,
+                    quote: result.quote,
+                    notification
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING BOOKING:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear reserva',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Reprograma una reserva y/o cambia su estado. Los cambios de estado ajustan el estado del
+     * contacto igual que la herramienta updateBookingStatus de la IA
+     * @param {Object} req - Objeto de solicitud Express (body: status, notes, dateTime, checkIn, checkOut,
+     * eventEditionId, guests, notify, notifyText)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updateBooking(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating booking ${req.params.id}`);
+
+        try {
+            const { status, notes, notify, notifyText } = req.body || {};
+            const rescheduleData = RESCHEDULE_FIELDS.reduce((data, field) => {
+                if (req.body?.[field] !== undefined) data[field] = req.body[field];
+                return data;
+            }, {});
+            const isReschedule = Object.keys(rescheduleData).length > 0;
+
+            let booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+
+            if (!booking) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Reserva no encontrada'
+                });
+            }
+
+            if (status !== undefined && !BookingService.statuses.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Status inválido. Valores permitidos: ${BookingService.statuses.join(', ')}`
+                });
+            }
+
+            if (status && !BookingService.canTransition(booking.status, status)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `No se puede pasar una reserva de ${booking.status} a ${status}`
+                });
+            }
+
+            if (!status && !isReschedule && notes === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No hay cambios. Indica status, notes o nuevas fechas'
+                });
+            }
+
+            const statusChanged = status && status !== booking.status;
+
+            if (isReschedule) {
+                if (![ 'PENDING', 'CONFIRMED' ].includes(booking.status)) {
+                    return res.status(409).json({
+                        success: false,
+                        message: `No se puede reprogramar una reserva en estado ${booking.status}`
+                    });
+                }
+
+                // Fechas, estado y notas se guardan juntos: si algo falla no queda nada aplicado
+                const current = booking;
+                const result = await ContactHistoryService.track(booking.contactId, {
+                    source: 'ADMIN',
+                    adminUserId: req.admin.id,
+                    reason: `Reserva ${booking.id} reprogramada`
+                }, () => BookingService.reschedule(current, rescheduleData, { status, notes }));
+
+                if (!result.success) {
+                    return res.status(result.conflicts || result.code === 'CONFLICT' ? 409 : 400).json({
+                        success: false,
+                        message: result.error,
+                        data: result.conflicts ? { conflicts: result.conflicts } : undefined
+                    });
+                }
+
+                booking = result.booking;
+            } else if (statusChanged || notes) {
+                const current = booking;
+                const result = await ContactHistoryService.track(booking.contactId, {
+                    source: 'ADMIN',
+                    adminUserId: req.admin.id,
+                    reason: `Reserva ${booking.id} en estado ${status || booking.status}`
+                }, () => BookingService.changeStatus(current, status || current.status, { notes }));
+
+                // Cambio no permitido, reserva ocupada al reactivarla o modificada por otra operación
+                if (!result.success) {
+                    return res.status(409).json({
+                        success: false,
+                        message: result.error,
+                        data: result.conflicts ? { conflicts: result.conflicts } : undefined
+                    });
+                }
+
+                booking = result.booking;
+            }
+
+            let notification = null;
+
+            if (notify === true || notify === 'true') {
+                const event = statusChanged ? status : (isReschedule ? 'RESCHEDULED' : null);
+
+                notification = event || notifyText
+                    ? await BookingService.notifyGuest(booking, event, { text: notifyText, adminUserId: req.admin.id })
+                    : { success: false, error: 'No hay cambios que avisar al huésped' };
+            }
+
+            console.log(`[Controller] SUCCESS: Booking ${booking.id} updated by ${req.admin.email}`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    booking,
+                    notification
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING BOOKING:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar reserva',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default BookingController;
@@ -0,0 +1,626 @@
+import slugify from 'slugify';
+import CatalogService from '#services/catalog.service.js';
+import AvailabilityService from '#services/availability.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const SERVICE_FIELDS = [ 'slug', 'name', 'category', 'description', 'includes', 'itinerary', 'materials', 'pricing', 'deposit', 'location', 'infoUrl', 'isActive', 'sortOrder' ];
+const POLICY_FIELDS = [ 'serviceId', 'category', 'type', 'title', 'content', 'isActive', 'sortOrder' ];
+
+/**
+ * Copia solo los campos permitidos que vienen en el body
+ */
+function pickFields(body, fields) {
+    return fields.reduce((data, field) => {
+        if (body[field] !== undefined) data[field] = body[field];
+        return data;
+    }, {});
+}
+
+class CatalogController {
+    /**
+     * Lista los servicios del catálogo
+     * @param {Object} req - Objeto de solicitud Express (query: all, category)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getServices(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting catalog services');
+
+        try {
+            let whereClause = req.query.all === 'true' ? {} : { isActive: true };
+
+            if (req.query.category) {
+                whereClause.category = req.query.category;
+            }
+
+            const services = await prisma.serviceOffering.findMany({
+                where: whereClause,
+                orderBy: { sortOrder: 'asc' },
+                include: {
+                    _count: {
+                        select: {
+                            editions: true,
+                            policies: true
+                        }
+                    }
+                }
+            });
+
+            console.log(`[Controller] SUCCESS: Retrieved ${services.length} services`);
+            return res.status(200).json({
+                success: true,
+                data: { services }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING SERVICES:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener servicios',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtiene un servicio con sus fechas y políticas
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getService(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting service ${req.params.id}`);
+
+        try {
+            const service = await prisma.serviceOffering.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    editions: { orderBy: { startDate: 'asc' } },
+                    policies: { orderBy: { sortOrder: 'asc' } }
+                }
+            });
+
+            if (!service) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Servicio no encontrado'
+                });
+            }
+
+            service.editions = await CatalogService.withOccupancy(service.editions);
+
+            return res.status(200).json({
+                success: true,
+                data: { service }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING SERVICE:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener servicio',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crea un servicio en el catálogo
+     * @param {Object} req - Objeto de solicitud Express (body: name, category, pricing, deposit, ...)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createService(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Creating catalog service');
+
+        try {
+            const data = pickFields(req.body || {}, SERVICE_FIELDS);
+
+            if (!data.name || !data.category) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'name y category son requeridos'
+                });
+            }
+
+            const pricingError = CatalogService.validatePricing(data.pricing, data.deposit);
+            if (pricingError) {
+                return res.status(400).json({
+                    success: false,
+                    message: pricingError
+                });
+            }
+
+            data.slug = data.slug || slugify(data.name, { lower: true, strict: true });
+
+            const service = await prisma.serviceOffering.create({ data });
+
+            console.log(`[Controller] SUCCESS: Service ${service.slug} created`);
+            return res.status(201).json({
+                success: true,
+                data: { service }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING SERVICE:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear servicio',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Actualiza un servicio del catálogo
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updateService(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating service ${req.params.id}`);
+
+        try {
+            const service = await prisma.serviceOffering.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!service) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Servicio no encontrado'
+                });
+            }
+
+            const data = pickFields(req.body || {}, SERVICE_FIELDS);
+
+            if (data.pricing !== undefined || data.deposit !== undefined) {
+                const pricingError = CatalogService.validatePricing(data.pricing || service.pricing, data.deposit || service.deposit);
+                if (pricingError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: pricingError
+                    });
+                }
+            }
+
+            const updatedService = await prisma.serviceOffering.update({
+                where: { id: service.id },
+                data
+            });
+
+            console.log(`[Controller] SUCCESS: Service ${updatedService.slug} updated`);
+            return res.status(200).json({
+                success: true,
+                data: { service: updatedService }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING SERVICE:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar servicio',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Desactiva un servicio; se conserva para las reservas y cotizaciones que lo mencionan
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async deleteService(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Deactivating service ${req.params.id}`);
+
+        try {
+            const result = await prisma.serviceOffering.updateMany({
+                where: { id: req.params.id },
+                data: { isActive: false }
+            });
+
+            if (result.count === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Servicio no encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Servicio desactivado'
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR DEACTIVATING SERVICE:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al desactivar servicio',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Lista las fechas calendarizadas de un servicio con su cupo
+     * @param {Object} req - Objeto de solicitud Express (query: upcoming)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getEditions(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting editions for service ${req.params.id}`);
+
+        try {
+            let whereClause = { serviceId: req.params.id };
+
+            if (req.query.upcoming === 'true') {
+                whereClause.endDate = { gte: new Date() };
+            }
+
+            const editions = await prisma.eventEdition.findMany({
+                where: whereClause,
+                orderBy: { startDate: 'asc' }
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: { editions: await CatalogService.withOccupancy(editions) }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING EDITIONS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener fechas del evento',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Agrega una fecha calendarizada a un servicio
+     * @param {Object} req - Objeto de solicitud Express (body: startDate, endDate, capacity, notes)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createEdition(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Creating edition for service ${req.params.id}`);
+
+        try {
+            const { startDate, endDate, capacity, notes } = req.body || {};
+            const start = AvailabilityService.parseDate(startDate);
+            const end = AvailabilityService.parseDate(endDate) || start;
+
+            if (!start || end < start) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate es requerido y endDate no puede ser anterior a startDate'
+                });
+            }
+
+            const service = await prisma.serviceOffering.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!service) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Servicio no encontrado'
+                });
+            }
+
+            const edition = await prisma.eventEdition.create({
+                data: {
+                    serviceId: service.id,
+                    startDate: start,
+                    endDate: end,
+                    capacity: capacity !== undefined && capacity !== null ? parseInt(capacity) : null,
+                    notes: notes || null
+                }
+            });
+
+            console.log(`[Controller] SUCCESS: Edition ${edition.id} created for ${service.slug}`);
+            return res.status(201).json({
+                success: true,
+                data: { edition }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING EDITION:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear fecha del evento',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Actualiza una fecha calendarizada (fechas, cupo, notas o activación)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updateEdition(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating edition ${req.params.id}`);
+
+        try {
+            const edition = await prisma.eventEdition.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!edition) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Fecha de evento no encontrada'
+                });
+            }
+
+            const { startDate, endDate, capacity, notes, isActive } = req.body || {};
+            const start = startDate !== undefined ? AvailabilityService.parseDate(startDate) : edition.startDate;
+            const end = endDate !== undefined ? AvailabilityService.parseDate(endDate) : edition.endDate;
+
+            if (!start || !end || end < start) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Fechas inválidas: endDate no puede ser anterior a startDate'
+                });
+            }
+
+            const updatedEdition = await prisma.eventEdition.update({
+                where: { id: edition.id },
+                data: {
+                    startDate: start,
+                    endDate: end,
+                    capacity: capacity !== undefined ? (capacity === null ? null : parseInt(capacity)) : undefined,
+                    notes,
+                    isActive
+                }
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: { edition: updatedEdition }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING EDITION:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar fecha del evento',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Elimina una fecha calendarizada sin reservas
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async deleteEdition(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Deleting edition ${req.params.id}`);
+
+        try {
+            const bookings = await prisma.booking.count({
+                where: { eventEditionId: req.params.id }
+            });
+
+            if (bookings > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `La fecha tiene ${bookings} reservas; desactívala en lugar de eliminarla`
+                });
+            }
+
+            const result = await prisma.eventEdition.deleteMany({
+                where: { id: req.params.id }
+            });
+
+            if (result.count === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Fecha de evento no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Fecha de evento eliminada'
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR DELETING EDITION:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al eliminar fecha del evento',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Lista las políticas (cancelación, cambios, pagos)
+     * @param {Object} req - Objeto de solicitud Express (query: serviceId, category, type)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getPolicies(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting policies');
+
+        try {
+            let whereClause = {};
+
+            if (req.query.serviceId) {
+                whereClause.serviceId = req.query.serviceId;
+            }
+
+            if (req.query.category) {
+                whereClause.category = req.query.category;
+            }
+
+            if (req.query.type) {
+                whereClause.type = req.query.type;
+            }
+
+            const policies = await prisma.policy.findMany({
+                where: whereClause,
+                orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }],
+                include: {
+                    service: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
+                    }
+                }
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: { policies }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING POLICIES:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener políticas',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crea una política para un servicio, una categoría o general
+     * @param {Object} req - Objeto de solicitud Express (body: serviceId, category, type, title, content)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createPolicy(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Creating policy');
+
+        try {
+            const data = pickFields(req.body || {}, POLICY_FIELDS);
+
+            if (!data.type || !data.title || !data.content) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'type, title y content son requeridos'
+                });
+            }
+
+            const policy = await prisma.policy.create({ data });
+
+            console.log(`[Controller] SUCCESS: Policy ${policy.id} created`);
+            return res.status(201).json({
+                success: true,
+                data: { policy }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING POLICY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear política',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Actualiza una política
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updatePolicy(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating policy ${req.params.id}`);
+
+        try {
+            const policy = await prisma.policy.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Política no encontrada'
+                });
+            }
+
+            const updatedPolicy = await prisma.policy.update({
+                where: { id: policy.id },
+                data: pickFields(req.body || {}, POLICY_FIELDS)
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: { policy: updatedPolicy }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING POLICY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar política',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Elimina una política
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async deletePolicy(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Deleting policy ${req.params.id}`);
+
+        try {
+            const result = await prisma.policy.deleteMany({
+                where: { id: req.params.id }
+            });
+
+            if (result.count === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Política no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Política eliminada'
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR DELETING POLICY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al eliminar política',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default CatalogController;
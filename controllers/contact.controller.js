@@ -0,0 +1,397 @@
+import ContactService from '#services/contact.service.js';
+import ContactHistoryService from '#services/contact-history.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class ContactController {
+    /**
+     * Obtiene un contacto con sus reservas y últimas conversaciones
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getContact(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting contact ${req.params.id}`);
+
+        try {
+            const contact = await prisma.contact.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    bookings: { orderBy: { dateTime: 'desc' } },
+                    conversations: {
+                        orderBy: { startedAt: 'desc' },
+                        take: 10
+                    },
+                    _count: {
+                        select: {
+                            bookings: true,
+                            conversations: true,
+                            paymentVouchers: true
+                        }
+                    }
+                }
+            });
+
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: { contact }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING CONTACT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener contacto',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Edita un contacto (name, email, status, notes, customFields, isOptedIn, isActive, leadScore, source)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updateContact(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating contact ${req.params.id}`);
+
+        try {
+            const existing = await prisma.contact.findUnique({ where: { id: req.params.id } });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const { data, error } = ContactService.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            if (data.email && data.email !== existing.email) {
+                const duplicate = await prisma.contact.findUnique({ where: { email: data.email } });
+
+                if (duplicate) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Otro contacto ya tiene ese email; usa la unión de contactos',
+                        data: { contactId: duplicate.id }
+                    });
+                }
+            }
+
+            const contact = await ContactHistoryService.track(existing.id, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                reason: req.body.reason
+            }, () => prisma.contact.update({
+                where: { id: existing.id },
+                data
+            }));
+
+            console.log(`[Controller] SUCCESS: Contact ${contact.id} updated (${Object.keys(data).join(', ')})`);
+            return res.status(200).json({
+                success: true,
+                data: { contact }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING CONTACT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar contacto',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Desactiva un contacto; su historial se conserva
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async deleteContact(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Deactivating contact ${req.params.id}`);
+
+        try {
+            const existing = await prisma.contact.findUnique({ where: { id: req.params.id } });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const contact = await prisma.contact.update({
+                where: { id: existing.id },
+                data: { isActive: false }
+            });
+
+            console.log(`[Controller] SUCCESS: Contact ${contact.id} deactivated`);
+            return res.status(200).json({
+                success: true,
+                data: { contact }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR DEACTIVATING CONTACT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al desactivar contacto',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Une contactos duplicados en el contacto de la ruta
+     * @param {Object} req - Objeto de solicitud Express (body: sourceIds)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async mergeContacts(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Merging contacts into ${req.params.id}`);
+
+        try {
+            const sourceIds = [ ...new Set(req.body?.sourceIds || []) ].filter(id => id !== req.params.id);
+
+            if (!Array.isArray(req.body?.sourceIds) || sourceIds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'sourceIds debe ser una lista con al menos un contacto distinto al destino'
+                });
+            }
+
+            const target = await prisma.contact.findUnique({ where: { id: req.params.id } });
+
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const sources = await prisma.contact.findMany({
+                where: { id: { in: sourceIds } },
+                select: { id: true }
+            });
+
+            if (sources.length !== sourceIds.length) {
+                const found = sources.map(source => source.id);
+
+                return res.status(404).json({
+                    success: false,
+                    message: 'Algunos contactos a unir no existen',
+                    data: { missing: sourceIds.filter(id => !found.includes(id)) }
+                });
+            }
+
+            const contact = await ContactHistoryService.track(target.id, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                reason: `Unión de ${sourceIds.length} contacto(s)`
+            }, () => ContactService.merge(target.id, sourceIds));
+
+            // El destino se eliminó mientras se preparaba la unión
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: ${sourceIds.length} contacts merged into ${contact.id}`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    contact,
+                    mergedIds: sourceIds
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR MERGING CONTACTS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al unir contactos',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Aplica los mismos cambios a varios contactos (status, isOptedIn, isActive, source)
+     * @param {Object} req - Objeto de solicitud Express (body: ids, data)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async bulkUpdateContacts(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Bulk updating contacts');
+
+        try {
+            const ids = req.body?.ids;
+
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ids debe ser una lista con al menos un contacto'
+                });
+            }
+
+            const { data, error } = ContactService.validate(req.body.data, ContactService.bulkFields);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const updated = await ContactHistoryService.track(ids, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                reason: req.body.reason || 'Actualización en lote'
+            }, () => ContactService.bulkUpdate(ids, data));
+
+            console.log(`[Controller] SUCCESS: ${updated} contacts updated`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    requested: ids.length,
+                    updated
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR BULK UPDATING CONTACTS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar contactos',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Historial de estado y lead score de un contacto: valores anterior y nuevo, origen del cambio
+     * (IA, panel o automatización), herramienta o usuario que lo hizo y mensaje que lo provocó
+     * @param {Object} req - Objeto de solicitud Express (query: page, limit)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getContactHistory(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting status history of contact ${req.params.id}`);
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const skip = (page - 1) * limit;
+
+            const contact = await prisma.contact.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, name: true, phoneNumber: true, status: true, leadScore: true }
+            });
+
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const { changes, total } = await ContactHistoryService.getTimeline(contact.id, { skip, take: limit });
+            const totalPages = Math.ceil(total / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${changes.length} status changes`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    contact,
+                    history: changes,
+                    pagination: {
+                        total,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING CONTACT HISTORY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener historial del contacto',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Reporte de transiciones del embudo entre estados de contacto en un periodo
+     * @param {Object} req - Objeto de solicitud Express (query: fromDate, toDate)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getFunnelTransitions(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting funnel transitions report');
+
+        try {
+            const fromDate = req.query.fromDate ? new Date(req.query.fromDate) : undefined;
+            const toDate = req.query.toDate ? new Date(req.query.toDate) : undefined;
+
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'fromDate y toDate deben ser fechas válidas'
+                });
+            }
+
+            const transitions = await ContactHistoryService.getTransitions({ fromDate, toDate });
+
+            console.log(`[Controller] SUCCESS: Retrieved ${transitions.length} funnel transitions`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    fromDate: fromDate || null,
+                    toDate: toDate || null,
+                    transitions
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING FUNNEL TRANSITIONS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener transiciones del embudo',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default ContactController;
@@ -0,0 +1,252 @@
+import ConversationService from '#services/conversation.service.js';
+import HandoffService from '#services/handoff.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const REPLY_TYPES = [ 'text', 'image', 'file', 'location' ];
+
+class ConversationController {
+    /**
+     * Lista las conversaciones de un contacto, de la más reciente a la más antigua
+     * @param {Object} req - Objeto de solicitud Express (query: page, limit)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getContactConversations(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting conversations of contact ${req.params.id}`);
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+            const skip = (page - 1) * limit;
+
+            const contact = await prisma.contact.findUnique({
+                where: { id: req.params.id },
+                select: { id: true, name: true, phoneNumber: true, status: true }
+            });
+
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const conversations = await prisma.conversation.findMany({
+                where: { contactId: contact.id },
+                skip,
+                take: limit,
+                orderBy: { startedAt: 'desc' },
+                include: {
+                    _count: {
+                        select: { messages: true }
+                    }
+                }
+            });
+
+            const totalConversations = await prisma.conversation.count({
+                where: { contactId: contact.id }
+            });
+
+            const totalPages = Math.ceil(totalConversations / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${conversations.length} conversations`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    contact,
+                    conversations,
+                    pagination: {
+                        total: totalConversations,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING CONVERSATIONS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener conversaciones',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Transcripción de una conversación: mensajes en orden cronológico con quién los envió,
+     * las herramientas ejecutadas en cada respuesta de la IA y el prompt/modelo usados.
+     * Paginación por cursor: sin cursor devuelve los más recientes, before/after el ID de un mensaje
+     * @param {Object} req - Objeto de solicitud Express (query: limit, before, after)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getConversationMessages(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting messages of conversation ${req.params.id}`);
+
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const { before, after } = req.query;
+
+            if (before && after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Usa before o after, no ambos'
+                });
+            }
+
+            const conversation = await prisma.conversation.findUnique({
+                where: { id: req.params.id },
+                include: {
+                    contact: {
+                        select: { id: true, name: true, phoneNumber: true, status: true }
+                    }
+                }
+            });
+
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversación no encontrada'
+                });
+            }
+
+            const cursor = before || after;
+            if (cursor) {
+                const cursorMessage = await prisma.message.findFirst({
+                    where: { id: cursor, conversationId: conversation.id },
+                    select: { id: true }
+                });
+
+                if (!cursorMessage) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'El cursor no corresponde a un mensaje de esta conversación'
+                    });
+                }
+            }
+
+            const { messages, pagination } = await ConversationService.getTimeline(conversation.id, { limit, before, after });
+
+            console.log(`[Controller] SUCCESS: Retrieved ${messages.length} messages`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    conversation,
+                    messages,
+                    pagination
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING MESSAGES:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener mensajes',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Envía un mensaje del equipo al contacto de la conversación por WhatsApp (texto, imagen,
+     * archivo o ubicación) y lo guarda como mensaje del equipo. Con pause la IA deja de responder
+     * en ese chat (pauseMinutes o el tiempo de HANDOFF_STAFF_TAKEOVER_MINUTES)
+     * @param {Object} req - Objeto de solicitud Express (body: type, text, file { url | data, mimetype, filename },
+     * caption, latitude, longitude, title, pause, pauseMinutes)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async replyToConversation(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Staff reply to conversation ${req.params.id}`);
+
+        try {
+            const { type = 'text', text, file, caption, latitude, longitude, title, pause, pauseMinutes } = req.body || {};
+
+            if (!REPLY_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tipo inválido. Valores permitidos: ${REPLY_TYPES.join(', ')}`
+                });
+            }
+
+            if (type === 'text' && (typeof text !== 'string' || !text.trim())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El texto del mensaje es obligatorio'
+                });
+            }
+
+            if ((type === 'image' || type === 'file') && !(file?.url || file?.data)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'file debe incluir url o data (base64), además de mimetype y filename'
+                });
+            }
+
+            if (type === 'location' && (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude)))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'latitude y longitude son obligatorias'
+                });
+            }
+
+            if (pauseMinutes !== undefined && pauseMinutes !== null && !(parseInt(pauseMinutes) > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'pauseMinutes debe ser un número mayor a 0 (o null para pausar sin vencimiento)'
+                });
+            }
+
+            const conversation = await prisma.conversation.findUnique({
+                where: { id: req.params.id },
+                include: { contact: true }
+            });
+
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Conversación no encontrada'
+                });
+            }
+
+            const message = await HandoffService.sendStaffReply(conversation, {
+                type,
+                text,
+                file,
+                caption,
+                latitude: Number(latitude),
+                longitude: Number(longitude),
+                title
+            }, {
+                adminUserId: req.admin.id,
+                pause: pause === true || pause === 'true',
+                pauseMinutes: pauseMinutes === undefined || pauseMinutes === null ? pauseMinutes : parseInt(pauseMinutes)
+            });
+
+            console.log(`[Controller] SUCCESS: Staff reply ${message.id} sent by ${req.admin.email}`);
+            return res.status(201).json({
+                success: true,
+                data: { message: ConversationService.toTimelineEntry(message) }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR SENDING STAFF REPLY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al enviar mensaje',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default ConversationController;
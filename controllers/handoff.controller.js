@@ -0,0 +1,137 @@
+import HandoffService from '#services/handoff.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class HandoffController {
+    /**
+     * Lista los contactos con la IA en pausa
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getPausedContacts(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting contacts with AI paused');
+
+        try {
+            const contacts = await prisma.contact.findMany({
+                where: { aiPaused: true },
+                orderBy: { aiPausedAt: 'desc' },
+                select: {
+                    id: true,
+                    name: true,
+                    phoneNumber: true,
+                    status: true,
+                    aiPausedAt: true,
+                    aiPausedUntil: true,
+                    aiPauseReason: true,
+                    lastContactAt: true
+                }
+            });
+
+            console.log(`[Controller] SUCCESS: Retrieved ${contacts.length} paused contacts`);
+            return res.status(200).json({
+                success: true,
+                data: { contacts }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING PAUSED CONTACTS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener contactos en pausa',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Pausa la IA para un contacto
+     * @param {Object} req - Objeto de solicitud Express (body: minutes opcional, notify)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async pauseAI(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Pausing AI for contact ${req.params.id}`);
+
+        try {
+            const { minutes, notify = false } = req.body || {};
+
+            if (minutes !== undefined && minutes !== null && (!Number.isInteger(minutes) || minutes < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'minutes debe ser un entero positivo'
+                });
+            }
+
+            const existing = await prisma.contact.findUnique({ where: { id: req.params.id } });
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const contact = await HandoffService.pause(existing.id, {
+                reason: 'MANUAL',
+                minutes: minutes || null,
+                notify
+            });
+
+            console.log(`[Controller] SUCCESS: AI paused for contact ${contact.id}`);
+            return res.status(200).json({
+                success: true,
+                data: { contact }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR PAUSING AI:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al pausar la IA',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Reanuda la IA para un contacto
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async resumeAI(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Resuming AI for contact ${req.params.id}`);
+
+        try {
+            const existing = await prisma.contact.findUnique({ where: { id: req.params.id } });
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Contacto no encontrado'
+                });
+            }
+
+            const contact = await HandoffService.resume(existing.id);
+
+            console.log(`[Controller] SUCCESS: AI resumed for contact ${contact.id}`);
+            return res.status(200).json({
+                success: true,
+                data: { contact }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR RESUMING AI:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al reanudar la IA',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default HandoffController;
@@ -0,0 +1,157 @@
+import JobService from '#services/job.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class JobController {
+    /**
+     * Lista los jobs de procesamiento (por defecto todos, filtrables por status, type y chatId)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getJobs(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting jobs');
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const skip = (page - 1) * limit;
+
+            let whereClause = {};
+
+            if (req.query.status) {
+                whereClause.status = req.query.status;
+            }
+
+            if (req.query.type) {
+                whereClause.type = req.query.type;
+            }
+
+            if (req.query.chatId) {
+                whereClause.chatId = req.query.chatId;
+            }
+
+            const jobs = await prisma.job.findMany({
+                where: whereClause,
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' }
+            });
+
+            const totalJobs = await prisma.job.count({
+                where: whereClause
+            });
+
+            const totalPages = Math.ceil(totalJobs / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${jobs.length} jobs`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    jobs,
+                    pagination: {
+                        total: totalJobs,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING JOBS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener jobs',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtiene un job con su payload y último error
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getJob(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting job ${req.params.id}`);
+
+        try {
+            const job = await prisma.job.findUnique({ where: { id: req.params.id } });
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job no encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: { job }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING JOB:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener job',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Vuelve a encolar un job DEAD (o adelanta el siguiente intento de uno PENDING)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async replayJob(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Replaying job ${req.params.id}`);
+
+        try {
+            const existing = await prisma.job.findUnique({ where: { id: req.params.id } });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job no encontrado'
+                });
+            }
+
+            const job = await JobService.replay(existing.id);
+
+            // Ya estaba en ejecución o terminado, o un worker lo tomó mientras tanto
+            if (!job) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Solo se pueden reintentar jobs en estado DEAD o PENDING'
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: Job ${job.id} replayed`);
+            return res.status(200).json({
+                success: true,
+                data: { job }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR REPLAYING JOB:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al reintentar job',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default JobController;
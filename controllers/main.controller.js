@@ -1,13 +1,21 @@
 import WhatsAppAIService from '#services/whatsappai.service.js';
 import WahaService from '#services/waha.service.js';
+import MediaService from '#services/media.service.js';
+import AvailabilityService from '#services/availability.service.js';
+import HandoffService from '#services/handoff.service.js';
+import ChatQueueService from '#services/chat-queue.service.js';
+import IngestionService from '#services/ingestion.service.js';
+import JobService from '#services/job.service.js';
+import ContactService from '#services/contact.service.js';
 import { PrimateService } from '@thewebchimp/primate';
 import ExcelJS from 'exceljs';
+import moment from 'moment-timezone';
 import { PrismaClient } from '@prisma/client';
 // Inicializar Prisma Client
 const prisma = new PrismaClient();
 class MainController {
     /**
-     * Procesa webhooks entrantes de WAHA (WhatsApp) - Versión simplificada solo para texto
+     * Procesa webhooks entrantes de WAHA (WhatsApp): mensajes de texto y multimedia
      * @param {Object} req - Objeto de solicitud Express
      * @param {Object} res - Objeto de respuesta Express
      */
@@ -19,6 +27,7 @@ class MainController {
             const body = req.body || {};
             const event = body.event || '';
             const payload = body.payload || {};
+            const session = body.session || WahaService.session;
 
             // Log básico para depuración
             console.info('[Controller] WEBHOOK DATA:', {
@@ -29,8 +38,21 @@ class MainController {
                 hasMedia: payload.hasMedia || false
             });
 
+            // Mensajes enviados desde el número del negocio (requiere el evento message.any en WAHA)
+            if ((event === 'message' || event === 'message.any') && payload.fromMe) {
+                console.log('[Controller] OUTGOING MESSAGE DETECTED:', { to: payload.to, messageId: payload.id });
+
+                res.status(200).json({ message: 'Webhook received, processing outgoing message' });
+                responseStatus = true;
+
+                HandoffService.handleOutgoingMessage(payload, session)
+                    .then(isStaff => isStaff && console.log(`[Controller] STAFF MESSAGE DETECTED for ${payload.to}, AI PAUSED`))
+                    .catch(error => console.error(`[Controller] ERROR PROCESSING OUTGOING MESSAGE: ${error.message}`));
+                return;
+            }
+
             // Verificar si es un mensaje de texto
-            if (event === 'message' && payload && payload.body && !payload.fromMe && !payload.hasMedia) {
+            if (event === 'message' && payload && payload.body && !payload.fromMe && !MediaService.isMediaPayload(payload)) {
                 const chatId = payload.from;
                 const from = payload.from;
                 const content = payload.body;
@@ -47,18 +69,51 @@ class MainController {
                 res.status(200).json({ message: 'Webhook received, processing text message' });
                 responseStatus = true; // Ya respondimos
 
-                // Procesar mensaje de texto de forma asíncrona
-                console.log('[Controller] STARTING ASYNC PROCESSING for message:', messageId);
-                // Usamos una función directamente aquí para evitar problemas con 'this'
-                MainController.handleTextMessageAsync(chatId, from, content, messageId);
+                // Encolar el mensaje: los mensajes seguidos del mismo chat se procesan juntos y en orden
+                console.log('[Controller] QUEUEING MESSAGE for async processing:', messageId);
+                ChatQueueService.enqueue(
+                    chatId,
+                    MainController.ingestMessageAsync(session, payload, { type: 'TEXT', content }, () => ({ chatId, sender: from, content, messageId })),
+                    MainController.enqueueChatJob
+                );
+                return;
+            }
+
+            // Verificar si es un mensaje multimedia (imagen, audio, documento, ubicación o contacto)
+            if (event === 'message' && !payload.fromMe && MediaService.isMediaPayload(payload)) {
+                const chatId = payload.from;
+                const messageId = payload.id;
+
+                console.log('[Controller] MEDIA MESSAGE DETECTED:', {
+                    chatId,
+                    messageId,
+                    wahaType: payload._data?.type || 'undefined',
+                    mimetype: payload.media?.mimetype || 'undefined'
+                });
+
+                res.status(200).json({ message: 'Webhook received, processing media message' });
+                responseStatus = true;
+
+                // La descarga empieza en cuanto se registra el mensaje; la cola espera el resultado para respetar el orden
+                const type = MediaService.getMessageType(payload);
+                ChatQueueService.enqueue(
+                    chatId,
+                    MainController.ingestMessageAsync(
+                        session,
+                        payload,
+                        { type, content: MediaService.describe(type, { caption: payload.body }) },
+                        () => MainController.buildMediaMessageAsync(chatId, payload.from, payload)
+                    ),
+                    MainController.enqueueChatJob
+                );
                 return;
             }
 
             // Respuesta genérica para otros tipos de webhooks (solo si no hemos respondido ya)
             if (!responseStatus) {
-                console.log('[Controller] NON-TEXT MESSAGE OR EVENT: Sending standard response');
+                console.log('[Controller] UNSUPPORTED MESSAGE OR EVENT: Sending standard response');
                 return res.status(200).json({
-                    message: 'Webhook received but not processed (not a text message)',
+                    message: 'Webhook received but not processed (unsupported event)',
                     event: event,
                     payloadType: payload._data?.type || 'unknown'
                 });
@@ -83,29 +138,82 @@ class MainController {
     }
 
     /**
-     * Procesa un mensaje de texto de forma asíncrona
+     * Registra un mensaje entrante una sola vez por sesión y prepara sus datos para la cola del chat.
+     * Los reintentos de WAHA de mensajes ya respondidos o en proceso se descartan
+     * @param {string} session - Sesión de WAHA
+     * @param {Object} payload - Payload del webhook de WAHA
+     * @param {Object} initial - Tipo y contenido provisional con los que se registra el mensaje
+     * @param {Function} prepare - Devuelve (o promete) los datos del mensaje para procesarlo
+     * @returns {Promise<Object|null>} Datos del mensaje con inboundId, o null si no debe procesarse
+     */
+    static async ingestMessageAsync(session, payload, initial, prepare) {
+        const claim = await IngestionService.claim({
+            session,
+            chatId: payload.from,
+            sender: payload.from,
+            messageId: payload.id,
+            content: initial.content,
+            type: initial.type
+        });
+
+        if (!claim.accepted) {
+            console.log(`[Controller] MESSAGE ${payload.id} SKIPPED: ${claim.reason}`);
+            return null;
+        }
+
+        const message = await prepare();
+        return { ...message, inboundId: claim.message.id };
+    }
+
+    /**
+     * Guarda como job persistente la ráfaga de mensajes agrupada por ChatQueueService
      * @param {string} chatId - ID del chat
-     * @param {string} sender - Remitente del mensaje
-     * @param {string} content - Contenido del mensaje
-     * @param {string} messageId - ID del mensaje
+     * @param {Array<Object>} messages - Mensajes en orden de llegada
+     * @returns {Promise<Object>} Job creado
      */
-    static async handleTextMessageAsync(chatId, sender, content, messageId) {
+    static async enqueueChatJob(chatId, messages) {
+        return JobService.enqueue('PROCESS_CHAT', {
+            chatId,
+            // El buffer de los adjuntos no se guarda; el worker vuelve a leer el archivo almacenado
+            messages: messages.map(message => ({ ...message, file: MediaService.toReference(message.file) }))
+        }, { chatId });
+    }
+
+    /**
+     * Procesa los mensajes de un chat (job PROCESS_CHAT). Si falla lanza el error para que JobService lo reintente
+     * @param {string} chatId - ID del chat
+     * @param {Array<Object>} messages - Mensajes en orden de llegada (chatId, sender, content, messageId, inboundId y,
+     *                                   para mensajes no textuales, type, mediaUrl, metadata, file)
+     */
+    static async handleTextMessageAsync(chatId, messages) {
+        const messageId = messages.map(message => message.messageId).join(',');
         console.log(`[Controller] ASYNC PROCESSING STARTED: chatId=${chatId}, messageId=${messageId}`);
 
         try {
+            messages = await Promise.all(messages.map(async message => ({
+                ...message,
+                file: await MediaService.loadReference(message.file)
+            })));
+
+            // Si la IA está en pausa para este chat solo se guardan los mensajes para el equipo
+            const pause = await HandoffService.getPauseStateForChat(chatId);
+            if (pause.paused) {
+                console.log(`[Controller] AI PAUSED for ${chatId} (${pause.reason}), STORING MESSAGES WITHOUT REPLY`);
+                const stored = await WhatsAppAIService.storeInboundMessage(messages);
+                if (!stored.success) {
+                    throw new Error(stored.error);
+                }
+                return;
+            }
+
             // Indicar al usuario que estamos procesando su mensaje
             console.log(`[Controller] SENDING TYPING INDICATOR to ${chatId}`);
             await WahaService.startTyping(chatId);
             console.log(`[Controller] TYPING INDICATOR SENT`);
 
             // Procesar el mensaje con la IA
-            console.log(`[Controller] CALLING AI SERVICE with message: "${content.substring(0, 30)}..."`);
-            const result = await WhatsAppAIService.processMessage({
-                chatId,
-                sender,
-                content,
-                messageId
-            });
+            console.log(`[Controller] CALLING AI SERVICE with ${messages.length} message(s): "${messages[0].content.substring(0, 30)}..."`);
+            const result = await WhatsAppAIService.processMessage(messages);
 
             // Verificar resultado
             if (result.success) {
@@ -118,25 +226,59 @@ class MainController {
         } catch (error) {
             console.error(`[Controller] ERROR PROCESSING MESSAGE ASYNC: ${error.message}`, error);
             console.error(`[Controller] ERROR STACK: ${error.stack}`);
-
-            // Intentar enviar mensaje de error al usuario
-            try {
-                console.log(`[Controller] SENDING ERROR MESSAGE to ${chatId}`);
-                await WahaService.stopTyping(chatId);
-                await WahaService.sendText(
-                    chatId,
-                    'Lo siento, tuve un problema al procesar tu mensaje. Por favor, inténtalo de nuevo en unos momentos.'
-                );
-                console.log(`[Controller] ERROR MESSAGE SENT`);
-            } catch (sendError) {
-                console.error(`[Controller] FAILED TO SEND ERROR MESSAGE: ${sendError.message}`);
-                console.error(`[Controller] ERROR MESSAGE STACK: ${sendError.stack}`);
-            }
+            await WahaService.stopTyping(chatId).catch(() => {});
+            throw error;
         } finally {
             console.log(`[Controller] ASYNC PROCESSING COMPLETED for message ${messageId}`);
         }
     }
 
+    /**
+     * Avisa al usuario que no se pudo procesar su mensaje (job PROCESS_CHAT sin más intentos)
+     * @param {string} chatId - ID del chat
+     */
+    static async sendErrorMessage(chatId) {
+        try {
+            console.log(`[Controller] SENDING ERROR MESSAGE to ${chatId}`);
+            await WahaService.sendText(
+                chatId,
+                'Lo siento, tuve un problema al procesar tu mensaje. Por favor, inténtalo de nuevo en unos momentos.'
+            );
+            console.log(`[Controller] ERROR MESSAGE SENT`);
+        } catch (sendError) {
+            console.error(`[Controller] FAILED TO SEND ERROR MESSAGE: ${sendError.message}`);
+            console.error(`[Controller] ERROR MESSAGE STACK: ${sendError.stack}`);
+        }
+    }
+
+    /**
+     * Descarga y describe un mensaje multimedia para procesarlo como un turno normal de la IA
+     * @param {string} chatId - ID del chat
+     * @param {string} sender - Remitente del mensaje
+     * @param {Object} payload - Payload del webhook de WAHA
+     * @returns {Promise<Object>} Mensaje listo para la cola del chat
+     */
+    static async buildMediaMessageAsync(chatId, sender, payload) {
+        console.log(`[Controller] MEDIA PROCESSING STARTED: chatId=${chatId}, messageId=${payload.id}`);
+
+        let inbound;
+        try {
+            inbound = await MediaService.buildInboundMessage(payload);
+            console.log(`[Controller] MEDIA MESSAGE BUILT: type=${inbound.type}, mediaUrl=${inbound.mediaUrl}`);
+        } catch (error) {
+            console.error(`[Controller] ERROR BUILDING MEDIA MESSAGE: ${error.message}`);
+            console.error(`[Controller] ERROR STACK: ${error.stack}`);
+            inbound = {
+                type: MediaService.getMessageType(payload),
+                content: MediaService.describe(MediaService.getMessageType(payload), { caption: payload.body }),
+                mediaUrl: null,
+                metadata: { downloadError: error.message }
+            };
+        }
+
+        return { chatId, sender, messageId: payload.id, ...inbound };
+    }
+
 	/**
      * Obtiene todos los contactos del sistema
      * @param {Object} req - Objeto de solicitud Express
@@ -160,9 +302,21 @@ class MainController {
 
             // Filtrar por estado
             if (status) {
+                if (!ContactService.statuses.includes(status)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Status inválido. Valores permitidos: ${ContactService.statuses.join(', ')}`
+                    });
+                }
+
                 whereClause.status = status;
             }
 
+            // Filtrar contactos activos o desactivados
+            if (req.query.isActive !== undefined) {
+                whereClause.isActive = req.query.isActive === 'true';
+            }
+
             // Búsqueda por nombre, email o teléfono
             if (search) {
                 whereClause.OR = [
@@ -268,21 +422,52 @@ class MainController {
                 }
             }
 
+            // Filtrar por estancias que se traslapan con un rango (overlapFrom/overlapTo o period)
+            const { range: overlapRange, error: overlapError } = MainController.getOverlapRange(req.query);
+            if (overlapError) {
+                return res.status(400).json({
+                    success: false,
+                    message: overlapError
+                });
+            }
+
+            const andConditions = [];
+
+            if (overlapRange) {
+                andConditions.push(AvailabilityService.overlapWhere(overlapRange.start, overlapRange.end));
+            }
+
+            // Filtrar por cabaña
+            if (req.query.unitId) {
+                whereClause.unitId = req.query.unitId;
+            }
+
+            // Filtrar por fecha de evento calendarizado
+            if (req.query.eventEditionId) {
+                whereClause.eventEditionId = req.query.eventEditionId;
+            }
+
             // Búsqueda por nombre de servicio o notas
             if (search) {
-                whereClause.OR = [
-                    { serviceName: { contains: search } },
-                    { notes: { contains: search } },
-                    {
-                        contact: {
-                            OR: [
-                                { name: { contains: search } },
-                                { phoneNumber: { contains: search } },
-                                { email: { contains: search } }
-                            ]
+                andConditions.push({
+                    OR: [
+                        { serviceName: { contains: search } },
+                        { notes: { contains: search } },
+                        {
+                            contact: {
+                                OR: [
+                                    { name: { contains: search } },
+                                    { phoneNumber: { contains: search } },
+                                    { email: { contains: search } }
+                                ]
+                            }
                         }
-                    }
-                ];
+                    ]
+                });
+            }
+
+            if (andConditions.length > 0) {
+                whereClause.AND = andConditions;
             }
 
             // Ejecutar consulta con Prisma
@@ -294,6 +479,20 @@ class MainController {
                     [sortBy]: sortOrder
                 },
                 include: {
+                    unit: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
+                    },
+                    eventEdition: {
+                        select: {
+                            id: true,
+                            startDate: true,
+                            endDate: true,
+                            serviceId: true
+                        }
+                    },
                     contact: {
                         select: {
                             id: true,
@@ -357,6 +556,14 @@ class MainController {
             const toDate = req.query.toDate ? new Date(req.query.toDate) : undefined;
             const status = req.query.status || undefined;
 
+            const { range: overlapRange, error: overlapError } = MainController.getOverlapRange(req.query);
+            if (overlapError) {
+                return res.status(400).json({
+                    success: false,
+                    message: overlapError
+                });
+            }
+
             let data = [];
             let fileName = '';
             let workbook = new ExcelJS.Workbook();
@@ -459,6 +666,14 @@ class MainController {
                         }
                     }
 
+                    // Filtrar por estancias que se traslapan con un rango
+                    if (overlapRange) {
+                        Object.assign(
+                            bookingsWhereClause,
+                            AvailabilityService.overlapWhere(overlapRange.start, overlapRange.end)
+                        );
+                    }
+
                     // Obtener datos
                     data = await prisma.booking.findMany({
                         where: bookingsWhereClause,
@@ -466,6 +681,11 @@ class MainController {
                             dateTime: 'desc'
                         },
                         include: {
+                            unit: {
+                                select: {
+                                    name: true
+                                }
+                            },
                             contact: {
                                 select: {
                                     id: true,
@@ -485,7 +705,15 @@ class MainController {
                     worksheet.columns = [
                         { header: 'ID', key: 'id', width: 30 },
                         { header: 'Servicio', key: 'serviceName', width: 30 },
+                        { header: 'Cabaña', key: 'unitName', width: 25 },
                         { header: 'Fecha y Hora', key: 'dateTime', width: 20 },
+                        { header: 'Check-in', key: 'checkIn', width: 15 },
+                        { header: 'Check-out', key: 'checkOut', width: 15 },
+                        { header: 'Noches', key: 'nights', width: 10 },
+                        { header: 'Huéspedes', key: 'guests', width: 12 },
+                        { header: 'Personas Extra', key: 'extraPersons', width: 15 },
+                        { header: 'Mascotas', key: 'pets', width: 10 },
+                        { header: 'Cargas de Leña', key: 'firewoodLoads', width: 15 },
                         { header: 'Estado', key: 'status', width: 15 },
                         { header: 'Cliente', key: 'contactName', width: 30 },
                         { header: 'Teléfono', key: 'contactPhone', width: 20 },
@@ -503,7 +731,13 @@ class MainController {
                             contactName: booking.contact.name,
                             contactPhone: booking.contact.phoneNumber,
                             contactEmail: booking.contact.email,
+                            unitName: booking.unit ? booking.unit.name : '',
                             dateTime: booking.dateTime.toLocaleString(),
+                            checkIn: booking.checkIn ? booking.checkIn.toLocaleDateString() : '',
+                            checkOut: booking.checkOut ? booking.checkOut.toLocaleDateString() : '',
+                            nights: booking.checkIn && booking.checkOut
+                                ? AvailabilityService.countNights(booking.checkIn, booking.checkOut)
+                                : '',
                             createdAt: booking.createdAt.toLocaleString(),
                             updatedAt: booking.updatedAt.toLocaleString()
                         });
@@ -623,7 +857,62 @@ class MainController {
         }
     }
 
+    /**
+     * Obtiene el rango para filtrar estancias traslapadas a partir de la query:
+     * overlapFrom/overlapTo explícitos o un periodo (today, this_week, next_week, this_month)
+     * @param {Object} query - Query string de la solicitud
+     * @returns {{range: {start: Date, end: Date}|null, error: string|null}} Rango (null si no se pidió) o el error de validación
+     */
+    static getOverlapRange(query) {
+        const timezone = AvailabilityService.timezone;
+
+        if (query.period) {
+            const now = moment.tz(timezone);
+            const periods = {
+                today: [now.clone().startOf('day'), now.clone().endOf('day')],
+                this_week: [now.clone().startOf('isoWeek'), now.clone().endOf('isoWeek')],
+                next_week: [now.clone().add(1, 'week').startOf('isoWeek'), now.clone().add(1, 'week').endOf('isoWeek')],
+                this_month: [now.clone().startOf('month'), now.clone().endOf('month')]
+            };
+
+            if (!periods[query.period]) {
+                return {
+                    range: null,
+                    error: `Periodo no válido: ${query.period}. Valores permitidos: ${Object.keys(periods).join(', ')}`
+                };
+            }
+
+            return {
+                range: {
+                    start: periods[query.period][0].toDate(),
+                    end: periods[query.period][1].toDate()
+                },
+                error: null
+            };
+        }
+
+        if (query.overlapFrom || query.overlapTo) {
+            const start = query.overlapFrom ? AvailabilityService.parseDate(query.overlapFrom) : new Date(0);
+            const end = query.overlapTo ? AvailabilityService.parseDate(query.overlapTo) : new Date(8640000000000000);
+
+            if (!start || !end) {
+                return { range: null, error: 'overlapFrom y overlapTo deben ser fechas válidas' };
+            }
+
+            if (start > end) {
+                return { range: null, error: 'overlapFrom debe ser anterior a overlapTo' };
+            }
 
+            return { range: { start, end }, error: null };
+        }
+
+        return { range: null, error: null };
+    }
 }
 
+JobService.register('PROCESS_CHAT', {
+    handler: ({ chatId, messages }) => MainController.handleTextMessageAsync(chatId, messages),
+    onDead: ({ chatId }) => MainController.sendErrorMessage(chatId)
+});
+
 export default MainController;
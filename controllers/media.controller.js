@@ -0,0 +1,52 @@
+import MediaService from '#services/media.service.js';
+import fs from 'fs/promises';
+
+class MediaController {
+    /**
+     * Sirve un archivo a un usuario del panel con sesión
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getMedia(req, res) {
+        return MediaController.sendFile(req.params.filename, res);
+    }
+
+    /**
+     * Sirve un archivo con un enlace firmado por MediaService.signUrl
+     * @param {Object} req - Objeto de solicitud Express (query: expires, signature)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getSignedMedia(req, res) {
+        const reason = MediaService.verifySignedUrl(req.params.filename, req.query.expires, req.query.signature);
+
+        if (reason) {
+            console.warn(`[Controller] MEDIA ACCESS DENIED for ${req.params.filename}: ${reason}`);
+            return res.status(403).json({
+                success: false,
+                message: 'Enlace inválido o vencido',
+                error: reason
+            });
+        }
+
+        return MediaController.sendFile(req.params.filename, res);
+    }
+
+    static async sendFile(filename, res) {
+        const filePath = MediaService.resolveFile(filename);
+
+        try {
+            if (!filePath) throw new Error('Invalid filename');
+            await fs.access(filePath);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                message: 'Archivo no encontrado'
+            });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        return res.sendFile(filePath);
+    }
+}
+
+export default MediaController;
@@ -0,0 +1,262 @@
+import PromptService from '#services/prompt.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class PromptController {
+    /**
+     * Lista las versiones de prompts (sin la plantilla completa)
+     * @param {Object} req - Objeto de solicitud Express (query: name, page, limit)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getPrompts(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting prompt versions');
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const skip = (page - 1) * limit;
+
+            let whereClause = {};
+
+            if (req.query.name) {
+                whereClause.name = req.query.name;
+            }
+
+            const prompts = await prisma.promptVersion.findMany({
+                where: whereClause,
+                skip,
+                take: limit,
+                orderBy: [{ name: 'asc' }, { version: 'desc' }],
+                select: {
+                    id: true,
+                    name: true,
+                    version: true,
+                    description: true,
+                    isActive: true,
+                    createdBy: true,
+                    createdAt: true,
+                    updatedAt: true
+                }
+            });
+
+            const totalPrompts = await prisma.promptVersion.count({
+                where: whereClause
+            });
+
+            const totalPages = Math.ceil(totalPrompts / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${prompts.length} prompt versions`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    prompts,
+                    pagination: {
+                        total: totalPrompts,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING PROMPTS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener prompts',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtiene una versión de prompt con su plantilla
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getPrompt(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting prompt version ${req.params.id}`);
+
+        try {
+            const prompt = await prisma.promptVersion.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!prompt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Versión de prompt no encontrada'
+                });
+            }
+
+            const messagesCount = await PromptService.countMessages(prompt.id);
+
+            return res.status(200).json({
+                success: true,
+                data: { prompt, messagesCount }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING PROMPT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener prompt',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crea una nueva versión de un prompt
+     * @param {Object} req - Objeto de solicitud Express (body: name, template, description, activate)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createPrompt(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Creating prompt version');
+
+        try {
+            const { name, template, description, createdBy, activate } = req.body || {};
+
+            const templateError = PromptService.validate(template);
+            if (templateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: templateError
+                });
+            }
+
+            const prompt = await PromptService.createVersion({
+                name: name || PromptService.defaultName,
+                template,
+                description,
+                createdBy,
+                activate: activate === true || activate === 'true'
+            });
+
+            console.log(`[Controller] SUCCESS: Prompt ${prompt.name} v${prompt.version} created`);
+            return res.status(201).json({
+                success: true,
+                data: { prompt }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING PROMPT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al crear prompt',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Edita una versión de prompt que nunca estuvo activa ni generó mensajes
+     * @param {Object} req - Objeto de solicitud Express (body: template, description)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async updatePrompt(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Updating prompt version ${req.params.id}`);
+
+        try {
+            const { template, description } = req.body || {};
+
+            const prompt = await prisma.promptVersion.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!prompt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Versión de prompt no encontrada'
+                });
+            }
+
+            const lock = await PromptService.getEditLock(prompt);
+            if (lock) {
+                return res.status(409).json({
+                    success: false,
+                    message: lock
+                });
+            }
+
+            if (template !== undefined) {
+                const templateError = PromptService.validate(template);
+                if (templateError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: templateError
+                    });
+                }
+            }
+
+            const updatedPrompt = await PromptService.updateVersion(prompt.id, { template, description });
+
+            console.log(`[Controller] SUCCESS: Prompt ${updatedPrompt.name} v${updatedPrompt.version} updated`);
+            return res.status(200).json({
+                success: true,
+                data: { prompt: updatedPrompt }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR UPDATING PROMPT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al actualizar prompt',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Activa una versión de prompt; la IA la usa a partir del siguiente mensaje
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async activatePrompt(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Activating prompt version ${req.params.id}`);
+
+        try {
+            const prompt = await prisma.promptVersion.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!prompt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Versión de prompt no encontrada'
+                });
+            }
+
+            const activatedPrompt = await PromptService.activateVersion(prompt.id);
+
+            console.log(`[Controller] SUCCESS: Prompt ${activatedPrompt.name} v${activatedPrompt.version} activated`);
+            return res.status(200).json({
+                success: true,
+                data: { prompt: activatedPrompt }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR ACTIVATING PROMPT:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al activar prompt',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default PromptController;
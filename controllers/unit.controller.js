@@ -0,0 +1,214 @@
+import AvailabilityService from '#services/availability.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class UnitController {
+    /**
+     * Lista las cabañas y recámaras registradas
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getUnits(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting units');
+
+        try {
+            const units = await prisma.unit.findMany({
+                where: req.query.all === 'true' ? {} : { isActive: true },
+                orderBy: { sortOrder: 'asc' }
+            });
+
+            console.log(`[Controller] SUCCESS: Retrieved ${units.length} units`);
+            return res.status(200).json({
+                success: true,
+                data: { units }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING UNITS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener unidades',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Consulta la disponibilidad de una unidad entre checkIn y checkOut
+     * @param {Object} req - Objeto de solicitud Express (query: unit, checkIn, checkOut, guests)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async checkAvailability(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Checking unit availability');
+
+        try {
+            const { unit, checkIn, checkOut } = req.query;
+            const guests = req.query.guests ? parseInt(req.query.guests) : undefined;
+
+            const availability = await AvailabilityService.checkAvailability(unit, checkIn, checkOut, { guests });
+
+            if (!availability.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: availability.error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: availability
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CHECKING AVAILABILITY:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al consultar disponibilidad',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Calendario de ocupación de una unidad (reservas activas y bloqueos)
+     * @param {Object} req - Objeto de solicitud Express (query: fromDate, toDate)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getUnitCalendar(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Getting calendar for unit ${req.params.id}`);
+
+        try {
+            const unit = await prisma.unit.findUnique({
+                where: { id: req.params.id }
+            });
+
+            if (!unit) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Unidad no encontrada'
+                });
+            }
+
+            const fromDate = req.query.fromDate ? new Date(req.query.fromDate) : new Date();
+            const toDate = req.query.toDate
+                ? new Date(req.query.toDate)
+                : new Date(fromDate.getTime() + 60 * 24 * 60 * 60 * 1000);
+
+            const occupancy = await AvailabilityService.getCalendar(unit.id, fromDate, toDate);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    unit,
+                    fromDate,
+                    toDate,
+                    occupancy
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING UNIT CALENDAR:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener calendario',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Bloquea una unidad en un rango de fechas (mantenimiento, uso propio, eventos)
+     * @param {Object} req - Objeto de solicitud Express (body: startDate, endDate, reason)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async createBlock(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Blocking unit ${req.params.id}`);
+
+        try {
+            const { startDate, endDate, reason } = req.body || {};
+            const start = AvailabilityService.parseDate(startDate);
+            const end = AvailabilityService.parseDate(endDate);
+
+            if (!start || !end || end <= start) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'startDate y endDate son requeridos y endDate debe ser posterior a startDate'
+                });
+            }
+
+            const block = await prisma.unitBlock.create({
+                data: {
+                    unitId: req.params.id,
+                    startDate: start,
+                    endDate: end,
+                    reason: reason || null
+                }
+            });
+
+            console.log(`[Controller] SUCCESS: Unit ${req.params.id} blocked (${block.id})`);
+            return res.status(201).json({
+                success: true,
+                data: { block }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR CREATING UNIT BLOCK:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al bloquear unidad',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Elimina un bloqueo de unidad
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async deleteBlock(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Deleting unit block ${req.params.blockId}`);
+
+        try {
+            const result = await prisma.unitBlock.deleteMany({
+                where: {
+                    id: req.params.blockId,
+                    unitId: req.params.id
+                }
+            });
+
+            if (result.count === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Bloqueo no encontrado'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Bloqueo eliminado'
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR DELETING UNIT BLOCK:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al eliminar bloqueo',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default UnitController;
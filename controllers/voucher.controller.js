@@ -0,0 +1,181 @@
+import VoucherService from '#services/voucher.service.js';
+import MediaService from '#services/media.service.js';
+import ContactHistoryService from '#services/contact-history.service.js';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const REVIEW_ERROR_STATUS = { NOT_FOUND: 404, CONFLICT: 409, INVALID: 400 };
+
+class VoucherController {
+    /**
+     * Lista los comprobantes de pago recibidos (por defecto los que están en revisión)
+     * @param {Object} req - Objeto de solicitud Express
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async getVouchers(req, res) {
+        console.log('[Controller] REQUEST RECEIVED: Getting payment vouchers');
+
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+            const skip = (page - 1) * limit;
+            const status = req.query.status || undefined;
+            const contactId = req.query.contactId || undefined;
+
+            let whereClause = {};
+
+            if (status) {
+                whereClause.status = status;
+            }
+
+            if (contactId) {
+                whereClause.contactId = contactId;
+            }
+
+            const vouchers = await prisma.paymentVoucher.findMany({
+                where: whereClause,
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    contact: {
+                        select: {
+                            id: true,
+                            name: true,
+                            phoneNumber: true
+                        }
+                    },
+                    booking: true
+                }
+            });
+
+            const totalVouchers = await prisma.paymentVoucher.count({
+                where: whereClause
+            });
+
+            const totalPages = Math.ceil(totalVouchers / limit);
+
+            console.log(`[Controller] SUCCESS: Retrieved ${vouchers.length} vouchers`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    vouchers: vouchers.map(voucher => ({
+                        ...voucher,
+                        mediaUrl: MediaService.signUrl(voucher.mediaUrl)
+                    })),
+                    pagination: {
+                        total: totalVouchers,
+                        page,
+                        limit,
+                        totalPages,
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR GETTING VOUCHERS:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al obtener comprobantes',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Aprueba un comprobante en revisión y confirma la reserva asociada
+     * @param {Object} req - Objeto de solicitud Express (body: bookingId opcional, notes)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async approveVoucher(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Approving voucher ${req.params.id}`);
+
+        try {
+            const { bookingId, notes } = req.body || {};
+            const existing = await prisma.paymentVoucher.findUnique({ where: { id: req.params.id } });
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comprobante no encontrado'
+                });
+            }
+
+            const result = await ContactHistoryService.track(existing.contactId, {
+                source: 'ADMIN',
+                adminUserId: req.admin.id,
+                reason: `Comprobante ${existing.id} aprobado`
+            }, () => VoucherService.approveVoucher(existing.id, { bookingId, notes }));
+
+            if (!result.success) {
+                return res.status(REVIEW_ERROR_STATUS[result.code] || 400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: Voucher ${result.voucher.id} approved, booking ${result.booking.id} confirmed`);
+            return res.status(200).json({
+                success: true,
+                data: {
+                    voucher: result.voucher,
+                    booking: result.booking
+                }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR APPROVING VOUCHER:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al aprobar comprobante',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Rechaza un comprobante en revisión (no modifica la reserva)
+     * @param {Object} req - Objeto de solicitud Express (body: notes)
+     * @param {Object} res - Objeto de respuesta Express
+     */
+    static async rejectVoucher(req, res) {
+        console.log(`[Controller] REQUEST RECEIVED: Rejecting voucher ${req.params.id}`);
+
+        try {
+            const { notes } = req.body || {};
+            const result = await VoucherService.rejectVoucher(req.params.id, { notes });
+
+            if (!result.success) {
+                return res.status(REVIEW_ERROR_STATUS[result.code] || 400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            console.log(`[Controller] SUCCESS: Voucher ${result.voucher.id} rejected`);
+            return res.status(200).json({
+                success: true,
+                data: { voucher: result.voucher }
+            });
+
+        } catch (error) {
+            console.error('[Controller] ERROR REJECTING VOUCHER:', error.message);
+            console.error('[Controller] ERROR STACK:', error.stack);
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error al rechazar comprobante',
+                error: error.message
+            });
+        }
+    }
+}
+
+export default VoucherController;
@@ -0,0 +1,77 @@
+import AuthService from '#services/auth.service.js';
+
+/**
+ * Métodos que un usuario READ_ONLY puede usar
+ */
+const READ_METHODS = [ 'GET', 'HEAD', 'OPTIONS' ];
+
+/**
+ * Rutas que cualquier rol puede usar aunque no sean lecturas: solo afectan a la sesión propia
+ */
+const SESSION_PATHS = [ '/admin/auth/logout' ];
+
+/**
+ * Token de la cabecera Authorization: Bearer <token>
+ */
+const getBearerToken = (req) => {
+	const header = req.get('Authorization') || '';
+	const [ scheme, token ] = header.split(' ');
+
+	return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+};
+
+/**
+ * Exige un token de sesión válido y deja el usuario en req.admin.
+ * Los usuarios READ_ONLY solo pueden hacer lecturas y cerrar su sesión.
+ */
+const authenticateAdmin = async (req, res, next) => {
+	try {
+		const admin = await AuthService.authenticate(getBearerToken(req));
+
+		if(!admin) {
+			console.warn(`[Admin-Auth] UNAUTHORIZED ${ req.method } ${ req.originalUrl } from ${ req.ip }`);
+			return res.status(401).json({
+				success: false,
+				message: 'No autenticado',
+			});
+		}
+
+		const isSessionPath = SESSION_PATHS.includes(req.originalUrl.split('?')[0]);
+
+		if(admin.role === 'READ_ONLY' && !READ_METHODS.includes(req.method) && !isSessionPath) {
+			console.warn(`[Admin-Auth] FORBIDDEN ${ req.method } ${ req.originalUrl } for ${ admin.email } (${ admin.role })`);
+			return res.status(403).json({
+				success: false,
+				message: 'Tu rol solo permite consultar información',
+			});
+		}
+
+		req.admin = admin;
+		next();
+	} catch(error) {
+		console.error(`[Admin-Auth] ERROR AUTHENTICATING REQUEST: ${ error.message }`);
+		return res.status(500).json({
+			success: false,
+			message: 'Error al verificar la sesión',
+			error: error.message,
+		});
+	}
+};
+
+/**
+ * Restringe una ruta a ciertos roles; va después de authenticateAdmin
+ * @param {...string} roles - Roles permitidos (OWNER, STAFF, READ_ONLY)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+	if(!req.admin || !roles.includes(req.admin.role)) {
+		console.warn(`[Admin-Auth] FORBIDDEN ${ req.method } ${ req.originalUrl } for ${ req.admin?.email } (${ req.admin?.role })`);
+		return res.status(403).json({
+			success: false,
+			message: 'No tienes permisos para esta acción',
+		});
+	}
+
+	next();
+};
+
+export { authenticateAdmin, requireRole, getBearerToken };
@@ -0,0 +1,139 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import bodyParser from 'body-parser';
+
+/**
+ * Verificación de la firma HMAC que WAHA agrega a cada webhook (config.webhooks[].hmac.key).
+ * WAHA firma el cuerpo crudo y envía X-Webhook-Hmac y X-Webhook-Hmac-Algorithm. Sin secreto
+ * configurado los webhooks se rechazan, salvo que WAHA_WEBHOOK_ALLOW_UNSIGNED=true lo permita
+ * de forma explícita (desarrollo local).
+ */
+class WahaSignature {
+	static secret = process.env.WAHA_WEBHOOK_HMAC_SECRET || null;
+	static algorithm = (process.env.WAHA_WEBHOOK_HMAC_ALGORITHM || 'sha512').toLowerCase();
+	static allowUnsigned = process.env.WAHA_WEBHOOK_ALLOW_UNSIGNED === 'true';
+
+	/**
+	 * Antigüedad máxima aceptada de un webhook, en segundos (ventana contra repeticiones)
+	 */
+	static toleranceSeconds = parseInt(process.env.WAHA_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+	static isEnabled() {
+		return !!this.secret;
+	}
+
+	/**
+	 * Cuerpo crudo de la petición guardado por captureRawBody. Sin él no se verifica: el JSON
+	 * ya interpretado no garantiza los mismos bytes que firmó WAHA
+	 */
+	static getRawBody(req) {
+		if(Buffer.isBuffer(req.rawBody)) return req.rawBody;
+		if(typeof req.rawBody === 'string') return Buffer.from(req.rawBody);
+		return null;
+	}
+
+	/**
+	 * Marca de tiempo del evento en milisegundos (acepta segundos o milisegundos). Se toma del cuerpo
+	 * firmado y no del encabezado X-Webhook-Timestamp, que cualquiera podría cambiar al repetir un webhook
+	 */
+	static getTimestamp(req) {
+		const value = Number(req.body?.timestamp);
+		if(!value) return null;
+		return value < 1e12 ? value * 1000 : value;
+	}
+
+	/**
+	 * Verifica la firma y la antigüedad de un webhook
+	 * @param {Object} req - Objeto de solicitud Express
+	 * @returns {{valid: boolean, reason: string|null}}
+	 */
+	static verify(req) {
+		const signature = req.get('X-Webhook-Hmac');
+		if(!signature) {
+			return { valid: false, reason: 'Missing X-Webhook-Hmac header' };
+		}
+
+		const algorithm = (req.get('X-Webhook-Hmac-Algorithm') || this.algorithm).toLowerCase();
+		if(algorithm !== this.algorithm) {
+			return { valid: false, reason: `Unexpected HMAC algorithm ${ algorithm }` };
+		}
+
+		const rawBody = this.getRawBody(req);
+		if(!rawBody) {
+			return { valid: false, reason: 'Raw request body was not captured' };
+		}
+
+		const expected = crypto.createHmac(this.algorithm, this.secret).update(rawBody).digest('hex');
+		const received = signature.trim().toLowerCase();
+
+		if(received.length !== expected.length
+			|| !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+			return { valid: false, reason: 'Invalid HMAC signature' };
+		}
+
+		// La antigüedad se revisa después de la firma, cuando ya se sabe que el timestamp del cuerpo es auténtico
+		const timestamp = this.getTimestamp(req);
+		if(!timestamp) {
+			return { valid: false, reason: 'Missing webhook timestamp' };
+		}
+
+		if(Math.abs(Date.now() - timestamp) > this.toleranceSeconds * 1000) {
+			return { valid: false, reason: `Webhook timestamp outside the ${ this.toleranceSeconds }s window` };
+		}
+
+		return { valid: true, reason: null };
+	}
+}
+
+if(!WahaSignature.isEnabled()) {
+	if(WahaSignature.allowUnsigned) {
+		console.warn('[Webhook-Auth] WAHA_WEBHOOK_ALLOW_UNSIGNED=true, webhook signatures are NOT verified');
+	} else {
+		console.error('[Webhook-Auth] WAHA_WEBHOOK_HMAC_SECRET not configured, ALL WEBHOOKS WILL BE REJECTED');
+	}
+}
+
+/**
+ * Interpreta el JSON de los webhooks conservando los bytes recibidos en req.rawBody para verificar la firma.
+ * Debe ir antes de verifyWahaSignature en la ruta
+ */
+const captureRawBody = bodyParser.json({
+	limit: '5mb',
+	verify: (req, res, buffer) => {
+		req.rawBody = buffer;
+	},
+});
+
+/**
+ * Middleware para las rutas de webhooks de WAHA: responde 401 si la firma no es válida
+ * o si no hay secreto configurado
+ */
+const verifyWahaSignature = (req, res, next) => {
+	if(!WahaSignature.isEnabled()) {
+		if(WahaSignature.allowUnsigned) return next();
+
+		console.warn(`[Webhook-Auth] WEBHOOK REJECTED from ${ req.ip }: HMAC secret not configured`);
+		return res.status(401).json({
+			message: 'Unauthorized webhook',
+			error: 'Webhook signature verification is not configured',
+		});
+	}
+
+	const { valid, reason } = WahaSignature.verify(req);
+
+	if(!valid) {
+		console.warn(`[Webhook-Auth] WEBHOOK REJECTED from ${ req.ip }: ${ reason }`, {
+			requestId: req.get('X-Webhook-Request-Id') || null,
+			event: req.body?.event || null,
+		});
+
+		return res.status(401).json({
+			message: 'Unauthorized webhook',
+			error: reason,
+		});
+	}
+
+	next();
+};
+
+export { WahaSignature, captureRawBody, verifyWahaSignature };
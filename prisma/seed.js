@@ -0,0 +1,102 @@
+import { PrismaClient } from '@prisma/client';
+import { units } from '../assets/data/units.js';
+import { services, policies } from '../assets/data/catalog.js';
+import AuthService from '../services/auth.service.js';
+import AvailabilityService from '../services/availability.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Carga o actualiza el inventario de cabañas y recámaras
+ */
+async function seedUnits() {
+	for(const unit of units) {
+		await prisma.unit.upsert({
+			where: { slug: unit.slug },
+			update: unit,
+			create: unit,
+		});
+	}
+
+	console.log(`✅ ${ units.length } unidades cargadas`);
+}
+
+/**
+ * Crea o actualiza una política identificada por su título y alcance (servicio o categoría)
+ */
+async function upsertPolicy(where, policy) {
+	const existing = await prisma.policy.findFirst({ where: { ...where, title: policy.title } });
+
+	if(existing) {
+		return prisma.policy.update({ where: { id: existing.id }, data: policy });
+	}
+
+	return prisma.policy.create({ data: { ...where, ...policy } });
+}
+
+/**
+ * Carga o actualiza el catálogo de servicios, sus fechas calendarizadas y políticas
+ */
+async function seedCatalog() {
+	for(const { editions = [], policies: servicePolicies = [], ...service } of services) {
+		const saved = await prisma.serviceOffering.upsert({
+			where: { slug: service.slug },
+			update: service,
+			create: service,
+		});
+
+		for(const edition of editions) {
+			// Medianoche en la zona del negocio (TIMEZONE), no en la del servidor que corre el seed
+			const startDate = AvailabilityService.parseDate(edition.startDate);
+			const endDate = AvailabilityService.parseDate(edition.endDate);
+			const existing = await prisma.eventEdition.findFirst({ where: { serviceId: saved.id, startDate } });
+
+			if(!existing) {
+				await prisma.eventEdition.create({
+					data: { ...edition, serviceId: saved.id, startDate, endDate },
+				});
+			}
+		}
+
+		for(const policy of servicePolicies) {
+			await upsertPolicy({ serviceId: saved.id, category: null }, policy);
+		}
+	}
+
+	for(const { category = null, ...policy } of policies) {
+		await upsertPolicy({ serviceId: null, category }, policy);
+	}
+
+	console.log(`✅ ${ services.length } servicios y ${ policies.length } políticas generales cargados`);
+}
+
+/**
+ * Crea el primer usuario OWNER del panel con ADMIN_OWNER_EMAIL y ADMIN_OWNER_PASSWORD si aún no hay usuarios
+ */
+async function seedOwner() {
+	const { ADMIN_OWNER_EMAIL: email, ADMIN_OWNER_PASSWORD: password } = process.env;
+
+	if(await prisma.adminUser.count() > 0) return;
+
+	if(!email || AuthService.validatePassword(password)) {
+		console.warn('⚠️  Sin usuarios del panel: define ADMIN_OWNER_EMAIL y ADMIN_OWNER_PASSWORD (mín. 8 caracteres) para crear el primero');
+		return;
+	}
+
+	await AuthService.createUser({ email, name: 'Owner', password, role: 'OWNER' });
+	console.log(`✅ Usuario OWNER ${ email } creado`);
+}
+
+async function main() {
+	console.log('🌱 Cargando datos iniciales...');
+	await seedUnits();
+	await seedCatalog();
+	await seedOwner();
+}
+
+main()
+	.catch(error => {
+		console.error('Error al cargar datos iniciales:', error);
+		process.exitCode = 1;
+	})
+	.finally(() => prisma.$disconnect());
@@ -1,17 +1,118 @@
 import { Primate } from '@thewebchimp/primate';
 import MainController from '../controllers/main.controller.js';
+import VoucherController from '../controllers/voucher.controller.js';
+import UnitController from '../controllers/unit.controller.js';
+import PromptController from '../controllers/prompt.controller.js';
+import CatalogController from '../controllers/catalog.controller.js';
+import HandoffController from '../controllers/handoff.controller.js';
+import JobController from '../controllers/job.controller.js';
+import AuthController from '../controllers/auth.controller.js';
+import ContactController from '../controllers/contact.controller.js';
+import BookingController from '../controllers/booking.controller.js';
+import ConversationController from '../controllers/conversation.controller.js';
+import AgentActionController from '../controllers/agent-action.controller.js';
+import AnalyticsController from '../controllers/analytics.controller.js';
+import MediaController from '../controllers/media.controller.js';
+import { captureRawBody, verifyWahaSignature } from '../middlewares/waha-signature.middleware.js';
+import { authenticateAdmin, requireRole } from '../middlewares/admin-auth.middleware.js';
 
 const router = Primate.getRouter();
 
-router.post('/waha/webhook', MainController.processWebhook);
+router.post('/waha/webhook', captureRawBody, verifyWahaSignature, MainController.processWebhook);
+
+// Archivos multimedia recibidos por WhatsApp: solo con enlace firmado o con sesión del panel
+router.get('/media/:filename', MediaController.getSignedMedia);
+
+// Inicio de sesión del panel; todas las rutas /admin requieren un token válido
+router.post('/auth/login', AuthController.login);
+router.use('/admin', authenticateAdmin);
+
+router.get('/admin/media/:filename', MediaController.getMedia);
+
+// Rutas de sesión y usuarios del panel
+router.post('/admin/auth/logout', AuthController.logout);
+router.get('/admin/auth/me', AuthController.getProfile);
+router.get('/admin/users', requireRole('OWNER'), AuthController.getUsers);
+router.post('/admin/users', requireRole('OWNER'), AuthController.createUser);
+router.put('/admin/users/:id', requireRole('OWNER'), AuthController.updateUser);
 
 // Rutas de contactos
 router.get('/admin/contacts', MainController.getAllContacts);
 
+// Rutas de traspaso a una persona (pausa de la IA por contacto)
+router.get('/admin/contacts/paused', HandoffController.getPausedContacts);
+router.post('/admin/contacts/:id/ai/pause', HandoffController.pauseAI);
+router.post('/admin/contacts/:id/ai/resume', HandoffController.resumeAI);
+
+// Edición, unión y desactivación de contactos (después de /paused y /bulk para que no se tomen como :id)
+router.patch('/admin/contacts/bulk', ContactController.bulkUpdateContacts);
+router.get('/admin/contacts/:id', ContactController.getContact);
+router.patch('/admin/contacts/:id', ContactController.updateContact);
+router.delete('/admin/contacts/:id', ContactController.deleteContact);
+router.post('/admin/contacts/:id/merge', ContactController.mergeContacts);
+router.get('/admin/contacts/:id/history', ContactController.getContactHistory);
+
+// Rutas de conversaciones (transcripciones)
+router.get('/admin/contacts/:id/conversations', ConversationController.getContactConversations);
+router.get('/admin/conversations/:id/messages', ConversationController.getConversationMessages);
+router.post('/admin/conversations/:id/reply', ConversationController.replyToConversation);
+
 // Rutas de bookings (reservas)
 router.get('/admin/bookings', MainController.getAllBookings);
+router.post('/admin/bookings', BookingController.createBooking);
+router.get('/admin/bookings/:id', BookingController.getBooking);
+router.patch('/admin/bookings/:id', BookingController.updateBooking);
+
+// Rutas de cabañas y disponibilidad
+router.get('/admin/units', UnitController.getUnits);
+router.get('/admin/units/availability', UnitController.checkAvailability);
+router.get('/admin/units/:id/calendar', UnitController.getUnitCalendar);
+router.post('/admin/units/:id/blocks', UnitController.createBlock);
+router.delete('/admin/units/:id/blocks/:blockId', UnitController.deleteBlock);
+
+// Rutas del catálogo de servicios, fechas de eventos y políticas
+router.get('/admin/services', CatalogController.getServices);
+router.get('/admin/services/:id', CatalogController.getService);
+router.post('/admin/services', CatalogController.createService);
+router.put('/admin/services/:id', CatalogController.updateService);
+router.delete('/admin/services/:id', CatalogController.deleteService);
+router.get('/admin/services/:id/editions', CatalogController.getEditions);
+router.post('/admin/services/:id/editions', CatalogController.createEdition);
+router.put('/admin/editions/:id', CatalogController.updateEdition);
+router.delete('/admin/editions/:id', CatalogController.deleteEdition);
+router.get('/admin/policies', CatalogController.getPolicies);
+router.post('/admin/policies', CatalogController.createPolicy);
+router.put('/admin/policies/:id', CatalogController.updatePolicy);
+router.delete('/admin/policies/:id', CatalogController.deletePolicy);
+
+// Rutas de comprobantes de pago
+router.get('/admin/vouchers', VoucherController.getVouchers);
+router.post('/admin/vouchers/:id/approve', VoucherController.approveVoucher);
+router.post('/admin/vouchers/:id/reject', VoucherController.rejectVoucher);
+
+// Rutas de prompts (versiones del prompt de sistema)
+router.get('/admin/prompts', PromptController.getPrompts);
+router.get('/admin/prompts/:id', PromptController.getPrompt);
+router.post('/admin/prompts', PromptController.createPrompt);
+router.put('/admin/prompts/:id', PromptController.updatePrompt);
+router.post('/admin/prompts/:id/activate', PromptController.activatePrompt);
+
+// Rutas del registro de acciones de la IA (consulta y reversión)
+router.get('/admin/actions', AgentActionController.getActions);
+router.get('/admin/actions/:id', AgentActionController.getAction);
+router.post('/admin/actions/:id/revert', AgentActionController.revertAction);
+
+// Rutas de jobs de procesamiento (inspección y reintento)
+router.get('/admin/jobs', JobController.getJobs);
+router.get('/admin/jobs/:id', JobController.getJob);
+router.post('/admin/jobs/:id/replay', JobController.replayJob);
+
+// Rutas de analítica (embudo de ventas y reservas)
+router.get('/admin/analytics/funnel', AnalyticsController.getFunnel);
+router.get('/admin/analytics/bookings', AnalyticsController.getBookingAnalytics);
 
-// Ruta para descargar reportes en Excel
+// Rutas de reportes (transiciones del embudo y descarga en Excel)
+router.get('/admin/reports/funnel-transitions', ContactController.getFunnelTransitions);
 router.get('/admin/reports/download', MainController.downloadReport);
 
 export { router };
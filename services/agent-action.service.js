@@ -0,0 +1,273 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import BookingService from '#services/booking.service.js';
+import { ACTIVE_BOOKING_STATUSES } from '#services/availability.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Campos del contacto que modifica cada herramienta, según sus argumentos validados
+ */
+const CONTACT_FIELDS = {
+	analyzeCustomerIntent: args => [
+		'status',
+		'leadScore',
+		...(args.extractedInfo?.name ? [ 'name' ] : []),
+		...(args.extractedInfo?.email ? [ 'email' ] : []),
+		...(args.interestedIn?.length ? [ 'customFields' ] : []),
+	],
+	updateContactInfo: args => Object.keys(args.updateData || {}),
+	addContactNotes: () => [ 'notes' ],
+	updateBookingStatus: () => [ 'status' ],
+	createBooking: () => [ 'status' ],
+};
+
+/**
+ * Campos de la reserva que restaura (o cambia) la reversión de cada herramienta
+ */
+const BOOKING_FIELDS = {
+	updateBookingStatus: [ 'status', 'notes' ],
+	createBooking: [ 'status' ],
+};
+
+/**
+ * La reversión no puede aplicarse; se lanza dentro de la transacción para deshacer lo ya escrito
+ */
+class RevertConflict extends Error {
+	constructor(message, fields = []) {
+		super(message);
+		this.fields = fields;
+	}
+}
+
+/**
+ * JSON con las llaves ordenadas, para comparar valores leídos de la base de datos con los guardados en JSON
+ */
+const toComparable = value => JSON.stringify(value ?? null, (key, current) => (
+	current && typeof current === 'object' && !Array.isArray(current)
+		? Object.fromEntries(Object.entries(current).sort(([ a ], [ b ]) => a.localeCompare(b)))
+		: current
+));
+
+/**
+ * Registro auditable de las herramientas que ejecuta la IA. Antes de cada herramienta que
+ * modifica datos se guarda el estado previo para poder revertirla desde el panel.
+ */
+class AgentActionService {
+	static revertibleTools = Object.keys(CONTACT_FIELDS);
+
+	static isRevertible(action) {
+		return this.revertibleTools.includes(action.toolName) && action.success && !action.revertedAt
+			&& !!action.previousState && !!action.resultState;
+	}
+
+	/**
+	 * Estado que la herramienta está por modificar
+	 * @param {string} toolName - Nombre de la herramienta
+	 * @param {Object} args - Argumentos validados
+	 * @returns {Promise<Object|null>} { contact, booking } o null si la herramienta no modifica datos
+	 */
+	static async captureState(toolName, args) {
+		const getFields = CONTACT_FIELDS[toolName];
+		if(!getFields || !args.contactId) return null;
+
+		const fields = getFields(args);
+		const contact = await prisma.contact.findUnique({
+			where: { id: args.contactId },
+			select: Object.fromEntries([ 'id', ...fields ].map(field => [ field, true ])),
+		});
+
+		if(!contact) return null;
+
+		let booking = null;
+		if(BOOKING_FIELDS[toolName] && args.bookingId) {
+			booking = await prisma.booking.findUnique({
+				where: { id: args.bookingId },
+				select: { id: true, status: true, notes: true },
+			});
+		}
+
+		return { contact, booking };
+	}
+
+	/**
+	 * Estado en que la herramienta dejó los mismos campos; incluye la reserva creada por createBooking
+	 * @param {string} toolName - Nombre de la herramienta
+	 * @param {Object} args - Argumentos validados
+	 * @param {Object} result - Resultado de la herramienta
+	 * @returns {Promise<Object|null>} { contact, booking }
+	 */
+	static captureResult(toolName, args, result) {
+		const bookingId = toolName === 'createBooking' ? result?.booking?.id : args.bookingId;
+		return this.captureState(toolName, { ...args, bookingId });
+	}
+
+	/**
+	 * Guarda una herramienta ejecutada
+	 * @param {Object} data - { conversationId, contactId, triggerMessageId, toolName, args, result, durationMs, previousState, resultState }
+	 * @returns {Promise<Object>} AgentAction creada
+	 */
+	static async record({ conversationId = null, contactId = null, triggerMessageId = null, toolName, args, result, durationMs, previousState = null, resultState = null }) {
+		const success = result?.success !== false;
+
+		return prisma.agentAction.create({
+			data: {
+				conversationId,
+				contactId,
+				triggerMessageId,
+				toolName,
+				arguments: args || {},
+				result: result === undefined ? undefined : JSON.parse(JSON.stringify(result)),
+				success,
+				error: success ? null : result?.error || null,
+				durationMs,
+				previousState: previousState || undefined,
+				resultState: resultState || undefined,
+			},
+		});
+	}
+
+	/**
+	 * Herramientas que modifican datos y ya se ejecutaron con éxito para un mensaje, en orden. Si el job
+	 * del turno se reintenta, el modelo puede volver a pedirlas y no deben repetirse (otra reserva, otra nota)
+	 * @param {string} triggerMessageId - Mensaje entrante que originó el turno
+	 * @returns {Promise<Array<Object>>} AgentActions
+	 */
+	static async findExecuted(triggerMessageId) {
+		if(!triggerMessageId) return [];
+
+		return prisma.agentAction.findMany({
+			where: {
+				triggerMessageId,
+				success: true,
+				toolName: { in: this.revertibleTools },
+			},
+			orderBy: { createdAt: 'asc' },
+		});
+	}
+
+	/**
+	 * Relaciona las acciones de un turno con la respuesta que las siguió
+	 */
+	static async attachToMessage(actionIds, messageId) {
+		if(!actionIds || actionIds.length === 0) return;
+
+		await prisma.agentAction.updateMany({
+			where: { id: { in: actionIds } },
+			data: { messageId },
+		});
+	}
+
+	/**
+	 * Deshace una acción: restaura los campos del contacto y, según la herramienta, el estado
+	 * previo de la reserva (updateBookingStatus) o cancela la reserva creada (createBooking).
+	 * Todo ocurre en una transacción y solo si los campos siguen como los dejó la acción; si alguien
+	 * los cambió después no se sobrescriben. Volver a activar una reserva verifica antes la disponibilidad
+	 * @param {Object} action - AgentAction
+	 * @param {string} adminUserId - Usuario del panel que la revierte
+	 * @returns {Promise<Object>} { success, action } o { success: false, code (INVALID, CONFLICT), error, fields, conflicts }
+	 */
+	static async revert(action, adminUserId) {
+		if(!this.isRevertible(action)) {
+			return { success: false, code: 'INVALID', error: 'Esta acción no se puede revertir' };
+		}
+
+		const { contact, booking: previousBooking } = action.previousState;
+		const produced = action.resultState;
+		const bookingId = produced.booking?.id || null;
+
+		const booking = bookingId ? await prisma.booking.findUnique({ where: { id: bookingId } }) : null;
+		const restoredStatus = action.toolName === 'createBooking' ? 'CANCELLED' : previousBooking?.status;
+
+		const restore = async (tx) => {
+			// Solo una reversión puede marcar la acción
+			const { count } = await tx.agentAction.updateMany({
+				where: { id: action.id, revertedAt: null },
+				data: { revertedAt: new Date(), revertedById: adminUserId },
+			});
+			if(count === 0) throw new RevertConflict('La acción ya fue revertida');
+
+			await tx.$queryRaw`SELECT id FROM Contact WHERE id = ${ contact.id } FOR UPDATE`;
+			if(bookingId) await tx.$queryRaw`SELECT id FROM Booking WHERE id = ${ bookingId } FOR UPDATE`;
+
+			const changed = await this.findLaterChanges(tx, action);
+			if(changed.length > 0) {
+				throw new RevertConflict(`Cambiaron después de la acción: ${ changed.join(', ') }`, changed);
+			}
+
+			if(bookingId && restoredStatus) {
+				await tx.booking.update({
+					where: { id: bookingId },
+					data: action.toolName === 'createBooking'
+						? { status: restoredStatus }
+						: { status: restoredStatus, notes: previousBooking.notes },
+				});
+			}
+
+			// Un JSON nulo se restaura como NULL de la base de datos
+			const { id: contactId, ...fields } = contact;
+			if('customFields' in fields && fields.customFields === null) fields.customFields = Prisma.DbNull;
+
+			await tx.contact.update({
+				where: { id: contactId },
+				data: fields,
+			});
+
+			return tx.agentAction.findUnique({ where: { id: action.id } });
+		};
+
+		const reactivating = !!booking && ACTIVE_BOOKING_STATUSES.includes(restoredStatus)
+			&& !ACTIVE_BOOKING_STATUSES.includes(booking.status);
+
+		try {
+			const result = reactivating
+				? await BookingService.reserve(BookingService.slotOf(booking), restore)
+				: { success: true, booking: await prisma.$transaction(restore, { isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted }) };
+
+			if(!result.success) {
+				return { success: false, code: 'CONFLICT', error: `No se puede reactivar la reserva: ${ result.error }`, conflicts: result.conflicts };
+			}
+
+			console.log(`[Agent-Action-Service] ACTION ${ action.id } (${ action.toolName }) REVERTED by ${ adminUserId }`);
+
+			// reserve devuelve en booking lo que escribió restore: la acción ya marcada como revertida
+			return { success: true, action: result.booking };
+		} catch(error) {
+			if(!(error instanceof RevertConflict)) throw error;
+
+			console.warn(`[Agent-Action-Service] ACTION ${ action.id } NOT REVERTED: ${ error.message }`);
+			return { success: false, code: 'CONFLICT', error: error.message, fields: error.fields };
+		}
+	}
+
+	/**
+	 * Campos que ya no tienen el valor que dejó la acción
+	 * @param {Object} tx - Transacción en curso
+	 * @param {Object} action - AgentAction con resultState
+	 * @returns {Promise<string[]>} Campos modificados, con prefijo contact. o booking.
+	 */
+	static async findLaterChanges(tx, action) {
+		const { contact: producedContact, booking: producedBooking } = action.resultState;
+		const { id: contactId, ...contactFields } = producedContact;
+		const changed = [];
+
+		const contact = await tx.contact.findUnique({ where: { id: contactId } });
+		if(!contact) return [ 'contact' ];
+
+		for(const [ field, value ] of Object.entries(contactFields)) {
+			if(toComparable(contact[field]) !== toComparable(value)) changed.push(`contact.${ field }`);
+		}
+
+		if(producedBooking) {
+			const booking = await tx.booking.findUnique({ where: { id: producedBooking.id } });
+			if(!booking) return [ ...changed, 'booking' ];
+
+			for(const field of BOOKING_FIELDS[action.toolName]) {
+				if(toComparable(booking[field]) !== toComparable(producedBooking[field])) changed.push(`booking.${ field }`);
+			}
+		}
+
+		return changed;
+	}
+}
+
+export default AgentActionService;
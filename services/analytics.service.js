@@ -0,0 +1,207 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Métricas del embudo de ventas y de las reservas, calculadas a partir de los contactos,
+ * su historial de estados y las reservas. Las tasas se devuelven en porcentaje con un decimal
+ */
+class AnalyticsService {
+	/**
+	 * Etapas del embudo en orden; INACTIVE y DISQUALIFIED son salidas del embudo
+	 */
+	static stages = [ 'PROSPECT', 'LEAD', 'OPPORTUNITY', 'CUSTOMER' ];
+
+	/**
+	 * Estados de una reserva que llegó a confirmarse
+	 */
+	static convertedBookingStatuses = [ 'CONFIRMED', 'COMPLETED', 'NO_SHOW' ];
+
+	static rate(part, total) {
+		return total ? Math.round(part / total * 1000) / 10 : null;
+	}
+
+	static median(values) {
+		if(values.length === 0) return null;
+
+		const sorted = [ ...values ].sort((a, b) => a - b);
+		const middle = Math.floor(sorted.length / 2);
+
+		return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+	}
+
+	static toHours(ms) {
+		return ms === null ? null : Math.round(ms / HOUR * 10) / 10;
+	}
+
+	static dateFilter(fromDate, toDate) {
+		const filter = {};
+		if(fromDate) filter.gte = fromDate;
+		if(toDate) filter.lte = toDate;
+
+		return Object.keys(filter).length ? filter : undefined;
+	}
+
+	/**
+	 * Cuándo llegó un contacto a cada etapa del embudo. PROSPECT es su primer contacto y el resto
+	 * el primer cambio a esa etapa en el historial. Saltarse una etapa cuenta como haberla pasado
+	 * (sin fecha), y el estado actual cubre a los contactos anteriores al historial
+	 * @param {Object} contact - { status, firstContactAt, statusChanges: [{ newStatus, createdAt }] }
+	 * @returns {Array<{reached: boolean, at: Date|null}>} Una entrada por etapa
+	 */
+	static resolveStages(contact) {
+		const reachedAt = this.stages.map(stage => {
+			if(stage === 'PROSPECT') return contact.firstContactAt;
+			return contact.statusChanges.find(change => change.newStatus === stage)?.createdAt || null;
+		});
+
+		const furthest = Math.max(
+			this.stages.indexOf(contact.status),
+			...reachedAt.map((at, index) => at ? index : -1),
+		);
+
+		return this.stages.map((stage, index) => ({
+			reached: index <= furthest,
+			at: index <= furthest ? reachedAt[index] : null,
+		}));
+	}
+
+	/**
+	 * Embudo de los contactos que escribieron por primera vez en el periodo: cuántos llegaron a cada
+	 * etapa, la conversión desde la etapa anterior y desde el inicio, y la mediana de horas entre etapas
+	 * @param {Object} options - { fromDate, toDate }
+	 * @returns {Promise<Object>} { totalContacts, stages, exits }
+	 */
+	static async getFunnel({ fromDate, toDate } = {}) {
+		const contacts = await prisma.contact.findMany({
+			where: { firstContactAt: this.dateFilter(fromDate, toDate) },
+			select: {
+				id: true,
+				status: true,
+				firstContactAt: true,
+				statusChanges: {
+					where: { newStatus: { in: this.stages } },
+					select: { newStatus: true, createdAt: true },
+					orderBy: { createdAt: 'asc' },
+				},
+			},
+		});
+
+		const resolved = contacts.map(contact => this.resolveStages(contact));
+
+		const stages = this.stages.map((stage, index) => {
+			const reached = resolved.filter(contactStages => contactStages[index].reached).length;
+			const previous = index > 0 ? resolved.filter(contactStages => contactStages[index - 1].reached).length : null;
+
+			const fromPrevious = [];
+			const fromFirstContact = [];
+
+			if(index > 0) {
+				for(const contactStages of resolved) {
+					const current = contactStages[index].at;
+					// Si se saltó la etapa anterior se mide desde la última etapa con fecha
+					const before = contactStages.slice(0, index).reverse().find(previousStage => previousStage.at)?.at;
+					const first = contactStages[0].at;
+
+					if(current && before && current >= before) fromPrevious.push(current - before);
+					if(current && first && current >= first) fromFirstContact.push(current - first);
+				}
+			}
+
+			return {
+				stage,
+				contacts: reached,
+				conversionFromPrevious: index > 0 ? this.rate(reached, previous) : null,
+				conversionFromStart: this.rate(reached, contacts.length),
+				medianHoursFromPrevious: this.toHours(this.median(fromPrevious)),
+				medianHoursFromFirstContact: this.toHours(this.median(fromFirstContact)),
+				timedContacts: fromPrevious.length,
+			};
+		});
+
+		const exits = {
+			INACTIVE: contacts.filter(contact => contact.status === 'INACTIVE').length,
+			DISQUALIFIED: contacts.filter(contact => contact.status === 'DISQUALIFIED').length,
+		};
+
+		return { totalContacts: contacts.length, stages, exits };
+	}
+
+	/**
+	 * Conversión y resultados de las reservas por servicio: cuántas se confirmaron, se cancelaron
+	 * o terminaron en no-show, y el monto de las confirmadas
+	 * @param {Object} options - { fromDate, toDate, dateField (createdAt o dateTime) }
+	 * @returns {Promise<Object>} { totals, services }
+	 */
+	static async getBookingStats({ fromDate, toDate, dateField = 'createdAt' } = {}) {
+		const groups = await prisma.booking.groupBy({
+			by: [ 'serviceName', 'status' ],
+			where: { [dateField]: this.dateFilter(fromDate, toDate) },
+			_count: { _all: true },
+			_sum: { totalAmount: true },
+		});
+
+		const contactsByService = await prisma.booking.groupBy({
+			by: [ 'serviceName', 'contactId' ],
+			where: { [dateField]: this.dateFilter(fromDate, toDate) },
+		});
+
+		const services = new Map();
+		const emptyStats = () => ({
+			bookings: 0,
+			contacts: 0,
+			byStatus: { PENDING: 0, CONFIRMED: 0, CANCELLED: 0, COMPLETED: 0, NO_SHOW: 0 },
+			convertedRevenue: 0,
+		});
+
+		const totals = emptyStats();
+
+		for(const group of groups) {
+			if(!services.has(group.serviceName)) services.set(group.serviceName, emptyStats());
+
+			for(const stats of [ services.get(group.serviceName), totals ]) {
+				stats.bookings += group._count._all;
+				stats.byStatus[group.status] += group._count._all;
+
+				if(this.convertedBookingStatuses.includes(group.status)) {
+					stats.convertedRevenue += Number(group._sum.totalAmount || 0);
+				}
+			}
+		}
+
+		for(const { serviceName } of contactsByService) {
+			services.get(serviceName).contacts++;
+		}
+
+		totals.contacts = new Set(contactsByService.map(group => group.contactId)).size;
+
+		return {
+			totals: this.withRates(totals),
+			services: [ ...services.entries() ]
+				.map(([ serviceName, stats ]) => ({ serviceName, ...this.withRates(stats) }))
+				.sort((a, b) => b.bookings - a.bookings),
+		};
+	}
+
+	/**
+	 * Agrega las tasas a los conteos de reservas. La conversión y la cancelación se miden sobre todas
+	 * las reservas; el no-show solo sobre las que ya pasaron su fecha (COMPLETED o NO_SHOW)
+	 */
+	static withRates(stats) {
+		const { byStatus, bookings } = stats;
+		const converted = this.convertedBookingStatuses.reduce((sum, status) => sum + byStatus[status], 0);
+
+		return {
+			...stats,
+			convertedRevenue: Math.round(stats.convertedRevenue * 100) / 100,
+			converted,
+			conversionRate: this.rate(converted, bookings),
+			cancellationRate: this.rate(byStatus.CANCELLED, bookings),
+			noShowRate: this.rate(byStatus.NO_SHOW, byStatus.COMPLETED + byStatus.NO_SHOW),
+		};
+	}
+}
+
+export default AnalyticsService;
@@ -0,0 +1,168 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Usuarios del panel de administración y sus sesiones. El token de sesión es opaco:
+ * solo se guarda su hash, así que una fuga de la base de datos no permite usarlo.
+ */
+class AuthService {
+	static roles = [ 'OWNER', 'STAFF', 'READ_ONLY' ];
+
+	static saltRounds = 12;
+	static minPasswordLength = 8;
+	static dummyHash = null;
+
+	/**
+	 * Horas de validez de un token de sesión
+	 */
+	static tokenTtlHours = parseInt(process.env.ADMIN_TOKEN_TTL_HOURS) || 12;
+
+	static hashPassword(password) {
+		return bcrypt.hash(password, this.saltRounds);
+	}
+
+	static hashToken(token) {
+		return crypto.createHash('sha256').update(token).digest('hex');
+	}
+
+	/**
+	 * Devuelve un mensaje de error si la contraseña no cumple los requisitos, o null si es válida
+	 */
+	static validatePassword(password) {
+		if(typeof password !== 'string' || password.length < this.minPasswordLength) {
+			return `La contraseña debe tener al menos ${ this.minPasswordLength } caracteres`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Usuario sin el hash de la contraseña, para responder al cliente
+	 */
+	static toPublicUser(user) {
+		const { passwordHash, sessions, ...publicUser } = user;
+		return publicUser;
+	}
+
+	/**
+	 * Crea un usuario del panel
+	 * @param {Object} data - { email, name, password, role }
+	 * @returns {Promise<Object>} Usuario creado (sin hash)
+	 */
+	static async createUser({ email, name = null, password, role = 'STAFF' }) {
+		const user = await prisma.adminUser.create({
+			data: {
+				email: email.trim().toLowerCase(),
+				name,
+				passwordHash: await this.hashPassword(password),
+				role,
+			},
+		});
+
+		console.log(`[Auth-Service] ADMIN USER CREATED: ${ user.email } (${ user.role })`);
+
+		return this.toPublicUser(user);
+	}
+
+	/**
+	 * Valida las credenciales y abre una sesión
+	 * @param {string} email - Correo del usuario
+	 * @param {string} password - Contraseña
+	 * @param {Object} client - { ipAddress, userAgent }
+	 * @returns {Promise<{success: boolean, token?: string, expiresAt?: Date, user?: Object, error?: string}>}
+	 */
+	static async login(email, password, { ipAddress = null, userAgent = null } = {}) {
+		const user = await prisma.adminUser.findUnique({
+			where: { email: String(email || '').trim().toLowerCase() },
+		});
+
+		// Se compara contra un hash aunque el usuario no exista para no revelar qué correos están registrados
+		this.dummyHash ||= await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+		const passwordHash = user?.passwordHash || this.dummyHash;
+		const isValid = await bcrypt.compare(String(password || ''), passwordHash);
+
+		if(!user || !isValid || !user.isActive) {
+			console.warn(`[Auth-Service] LOGIN FAILED for ${ email } from ${ ipAddress }`);
+			return { success: false, error: 'Credenciales inválidas' };
+		}
+
+		const token = crypto.randomBytes(32).toString('hex');
+		const expiresAt = new Date(Date.now() + this.tokenTtlHours * 60 * 60 * 1000);
+
+		await prisma.adminSession.create({
+			data: {
+				adminUserId: user.id,
+				tokenHash: this.hashToken(token),
+				expiresAt,
+				ipAddress,
+				userAgent,
+			},
+		});
+
+		await prisma.adminUser.update({
+			where: { id: user.id },
+			data: { lastLoginAt: new Date() },
+		});
+
+		console.log(`[Auth-Service] LOGIN: ${ user.email } (${ user.role })`);
+
+		return { success: true, token, expiresAt, user: this.toPublicUser(user) };
+	}
+
+	/**
+	 * Usuario dueño de un token vigente
+	 * @param {string} token - Token de sesión
+	 * @returns {Promise<Object|null>} Usuario (sin hash) o null si el token no es válido
+	 */
+	static async authenticate(token) {
+		if(!token) return null;
+
+		const session = await prisma.adminSession.findUnique({
+			where: { tokenHash: this.hashToken(token) },
+			include: { adminUser: true },
+		});
+
+		if(!session || session.revokedAt || session.expiresAt <= new Date() || !session.adminUser.isActive) {
+			return null;
+		}
+
+		await prisma.adminSession.update({
+			where: { id: session.id },
+			data: { lastUsedAt: new Date() },
+		});
+
+		return { ...this.toPublicUser(session.adminUser), sessionId: session.id };
+	}
+
+	/**
+	 * Cierra la sesión de un token
+	 */
+	static async logout(token) {
+		const { count } = await prisma.adminSession.updateMany({
+			where: { tokenHash: this.hashToken(token), revokedAt: null },
+			data: { revokedAt: new Date() },
+		});
+
+		return count > 0;
+	}
+
+	/**
+	 * Cierra todas las sesiones abiertas de un usuario (al desactivarlo o cambiar su contraseña)
+	 */
+	static async revokeSessions(adminUserId) {
+		const { count } = await prisma.adminSession.updateMany({
+			where: { adminUserId, revokedAt: null },
+			data: { revokedAt: new Date() },
+		});
+
+		if(count > 0) console.log(`[Auth-Service] REVOKED ${ count } SESSIONS for admin user ${ adminUserId }`);
+
+		return count;
+	}
+}
+
+export default AuthService;
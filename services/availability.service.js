@@ -0,0 +1,228 @@
+import { PrismaClient } from '@prisma/client';
+import moment from 'moment-timezone';
+
+const prisma = new PrismaClient();
+
+/**
+ * Estados de reserva que ocupan la unidad
+ */
+const ACTIVE_BOOKING_STATUSES = [ 'PENDING', 'CONFIRMED' ];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AvailabilityService {
+	/**
+	 * Zona horaria del negocio; las fechas sin hora y las que se muestran al huésped usan esta zona
+	 */
+	static timezone = process.env.TIMEZONE || 'America/Mexico_City';
+
+	/**
+	 * Convierte una fecha recibida (ISO o YYYY-MM-DD) a Date. Las fechas sin hora se toman
+	 * a medianoche en la zona del negocio (TIMEZONE), sin importar la zona del servidor.
+	 * @param {string|Date} value - Fecha a convertir
+	 * @returns {Date|null} Fecha válida o null
+	 */
+	static parseDate(value) {
+		if(!value) return null;
+		if(value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+		const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+		const date = dateOnly
+			? moment.tz(String(value), 'YYYY-MM-DD', true, this.timezone).toDate()
+			: new Date(value);
+
+		return isNaN(date.getTime()) ? null : date;
+	}
+
+	/**
+	 * Normaliza un nombre para compararlo (sin acentos, comillas ni el prefijo "cabaña")
+	 */
+	static normalizeName(value) {
+		return String(value)
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/["'“”]/g, '')
+			.replace(/\b(cabana|cabanas|recamara|en|el viejo oeste)\b/g, ' ')
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+
+	/**
+	 * Busca una unidad activa por ID, slug o nombre aproximado ("Cabaña Alice", "alice", "El Banco")
+	 * @param {string} reference - ID, slug o nombre de la unidad
+	 * @returns {Promise<Object|null>} Unidad encontrada
+	 */
+	static async resolveUnit(reference) {
+		if(!reference) return null;
+
+		const units = await prisma.unit.findMany({ where: { isActive: true } });
+		const normalized = this.normalizeName(reference);
+
+		return units.find(unit => unit.id === reference || unit.slug === reference)
+			|| units.find(unit => this.normalizeName(unit.name) === normalized)
+			|| units.find(unit => normalized.length > 0 && (
+				this.normalizeName(unit.name).includes(normalized)
+				|| normalized.includes(unit.slug.replace(/-/g, ' '))
+			))
+			|| null;
+	}
+
+	/**
+	 * Rango de noches que ocupa una reserva [check-in, check-out). Las reservas sin
+	 * check-in/check-out (anteriores a las estancias de varias noches) ocupan una noche.
+	 * @param {Object} booking - Reserva
+	 * @returns {{start: Date, end: Date}}
+	 */
+	static getStayRange(booking) {
+		const start = booking.checkIn || booking.dateTime;
+		const end = booking.checkOut || new Date(start.getTime() + DAY_MS);
+		return { start, end };
+	}
+
+	/**
+	 * Número de noches entre check-in y check-out
+	 * @param {Date} checkIn - Fecha de llegada
+	 * @param {Date} checkOut - Fecha de salida
+	 * @returns {number}
+	 */
+	static countNights(checkIn, checkOut) {
+		return Math.max(1, Math.round((checkOut.getTime() - checkIn.getTime()) / DAY_MS));
+	}
+
+	/**
+	 * Filtro de Prisma para reservas cuya estancia se traslapa con [start, end)
+	 * @param {Date} start - Inicio del rango
+	 * @param {Date} end - Fin del rango
+	 * @returns {Object} Condición where para prisma.booking
+	 */
+	static overlapWhere(start, end) {
+		return {
+			OR: [
+				{
+					checkIn: { not: null, lt: end },
+					checkOut: { gt: start },
+				},
+				{
+					checkIn: null,
+					dateTime: { lt: end, gt: new Date(start.getTime() - DAY_MS) },
+				},
+			],
+		};
+	}
+
+	/**
+	 * Reservas activas y bloqueos de la unidad que se traslapan con el rango indicado
+	 * @param {string} unitId - ID de la unidad
+	 * @param {Date} start - Inicio del rango (check-in)
+	 * @param {Date} end - Fin del rango (check-out)
+	 * @param {Object} options - { excludeBookingId, client (transacción en curso) }
+	 * @returns {Promise<Array<Object>>} Conflictos { type, id, start, end, description }
+	 */
+	static async findConflicts(unitId, start, end, { excludeBookingId, client = prisma } = {}) {
+		const bookings = await client.booking.findMany({
+			where: {
+				unitId,
+				status: { in: ACTIVE_BOOKING_STATUSES },
+				id: excludeBookingId ? { not: excludeBookingId } : undefined,
+				...this.overlapWhere(start, end),
+			},
+		});
+
+		const blocks = await client.unitBlock.findMany({
+			where: {
+				unitId,
+				startDate: { lt: end },
+				endDate: { gt: start },
+			},
+		});
+
+		return [
+			...bookings
+				.map(booking => ({ booking, range: this.getStayRange(booking) }))
+				.filter(({ range }) => range.start < end && range.end > start)
+				.map(({ booking, range }) => ({
+					type: 'booking',
+					id: booking.id,
+					start: range.start,
+					end: range.end,
+					description: `${ booking.serviceName } (${ booking.status })`,
+				})),
+			...blocks.map(block => ({
+				type: 'block',
+				id: block.id,
+				start: block.startDate,
+				end: block.endDate,
+				description: block.reason || 'Bloqueado',
+			})),
+		];
+	}
+
+	/**
+	 * Verifica si una unidad está libre entre check-in y check-out y si tiene capacidad
+	 * @param {string} unitReference - ID, slug o nombre de la unidad
+	 * @param {string|Date} checkIn - Fecha de llegada
+	 * @param {string|Date} checkOut - Fecha de salida (si falta se toma una noche)
+	 * @param {Object} options - { guests, excludeBookingId }
+	 * @returns {Promise<Object>} { success, available, unit, conflicts, reason }
+	 */
+	static async checkAvailability(unitReference, checkIn, checkOut, { guests, excludeBookingId } = {}) {
+		const unit = await this.resolveUnit(unitReference);
+
+		if(!unit) {
+			const units = await prisma.unit.findMany({ where: { isActive: true }, orderBy: { sortOrder: 'asc' } });
+			return {
+				success: false,
+				error: `No existe la unidad "${ unitReference }". Unidades disponibles: ${ units.map(u => u.name).join(', ') }`,
+			};
+		}
+
+		const start = this.parseDate(checkIn);
+		const end = checkOut ? this.parseDate(checkOut) : (start ? new Date(start.getTime() + DAY_MS) : null);
+
+		if(!start || !end || end <= start) {
+			return {
+				success: false,
+				error: 'Fechas inválidas: check-in y check-out deben ser fechas válidas y el check-out posterior al check-in',
+			};
+		}
+
+		if(guests && guests > unit.capacity) {
+			return {
+				success: true,
+				available: false,
+				unit: { id: unit.id, name: unit.name, capacity: unit.capacity },
+				conflicts: [],
+				reason: `${ unit.name } tiene capacidad para ${ unit.capacity } personas`,
+			};
+		}
+
+		const conflicts = await this.findConflicts(unit.id, start, end, { excludeBookingId });
+
+		return {
+			success: true,
+			available: conflicts.length === 0,
+			unit: { id: unit.id, name: unit.name, capacity: unit.capacity },
+			checkIn: start,
+			checkOut: end,
+			nights: this.countNights(start, end),
+			conflicts,
+			reason: conflicts.length > 0 ? `${ unit.name } ya está ocupada en esas fechas` : null,
+		};
+	}
+
+	/**
+	 * Calendario de ocupación de una unidad en un rango de fechas
+	 * @param {string} unitId - ID de la unidad
+	 * @param {Date} from - Inicio del rango
+	 * @param {Date} to - Fin del rango
+	 * @returns {Promise<Array<Object>>} Ocupaciones (reservas activas y bloqueos)
+	 */
+	static async getCalendar(unitId, from, to) {
+		const conflicts = await this.findConflicts(unitId, from, to);
+		return conflicts.sort((a, b) => a.start - b.start);
+	}
+}
+
+export { ACTIVE_BOOKING_STATUSES };
+export default AvailabilityService;
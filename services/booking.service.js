@@ -0,0 +1,365 @@
+import 'dotenv/config';
+import { PrismaClient, Prisma, BookingStatus } from '@prisma/client';
+import WahaService from '#services/waha.service.js';
+import AvailabilityService, { ACTIVE_BOOKING_STATUSES } from '#services/availability.service.js';
+import CatalogService from '#services/catalog.service.js';
+import PricingService from '#services/pricing.service.js';
+import ConversationService from '#services/conversation.service.js';
+import ContactService from '#services/contact.service.js';
+
+const prisma = new PrismaClient();
+
+const STALE_BOOKING = 'La reserva cambió mientras se actualizaba; vuelve a cargarla e intenta de nuevo';
+
+/**
+ * Otra operación cambió el estado de la reserva; se lanza dentro de la transacción para deshacer lo ya escrito
+ */
+class StaleBooking extends Error {}
+
+/**
+ * Operaciones sobre reservas compartidas por las herramientas de la IA y el panel de administración
+ */
+class BookingService {
+	static statuses = Object.values(BookingStatus);
+
+	/**
+	 * Cambios de estado permitidos desde cada estado. Volver a PENDING o CONFIRMED desde un estado
+	 * que no ocupa lugar (reactivar) exige que la unidad o el cupo del evento sigan libres
+	 */
+	static transitions = {
+		PENDING: [ 'CONFIRMED', 'CANCELLED' ],
+		CONFIRMED: [ 'PENDING', 'COMPLETED', 'NO_SHOW', 'CANCELLED' ],
+		CANCELLED: [ 'PENDING', 'CONFIRMED' ],
+		NO_SHOW: [ 'CONFIRMED', 'COMPLETED' ],
+		COMPLETED: [ 'NO_SHOW' ],
+	};
+
+	static canTransition(from, to) {
+		return from === to || (this.transitions[from] || []).includes(to);
+	}
+
+	static transitionError(from, to) {
+		return {
+			success: false,
+			error: `No se puede pasar una reserva de ${ from } a ${ to }. `
+				+ `Cambios permitidos: ${ this.transitions[from].join(', ') || 'ninguno' }`,
+		};
+	}
+
+	/**
+	 * Datos a escribir para el nuevo estado, con las notas agregadas a las que ya tenía la reserva
+	 */
+	static statusData(booking, status, notes) {
+		return {
+			status,
+			notes: notes ? (booking.notes ? `${ booking.notes }\n${ notes }` : notes) : booking.notes,
+		};
+	}
+
+	/**
+	 * Avisos al huésped por WhatsApp según el cambio en su reserva
+	 */
+	static notificationTemplates = {
+		CREATED: (booking, dates) => `¡Hola! Registramos tu reserva de ${ booking.serviceName } para ${ dates }. Te confirmaremos en cuanto recibamos tu anticipo. 🌿`,
+		RESCHEDULED: (booking, dates) => `¡Hola! Tu reserva de ${ booking.serviceName } quedó reprogramada para ${ dates }. 🌿`,
+		CONFIRMED: (booking, dates) => `¡Hola! Tu reserva de ${ booking.serviceName } para ${ dates } está confirmada. ¡Te esperamos! 🌿`,
+		CANCELLED: (booking, dates) => `Hola, tu reserva de ${ booking.serviceName } para ${ dates } fue cancelada. Si tienes dudas, escríbenos por aquí.`,
+		COMPLETED: (booking) => `¡Gracias por visitarnos! Esperamos que hayas disfrutado ${ booking.serviceName }. 🌿`,
+		NO_SHOW: (booking, dates) => `Hola, no registramos tu llegada a ${ booking.serviceName } el ${ dates }. Si quieres reprogramar, escríbenos por aquí.`,
+	};
+
+	/**
+	 * Ajusta el estado del contacto tras un cambio de estado de su reserva:
+	 * CUSTOMER al completarla y de vuelta a LEAD si ya no le quedan reservas activas
+	 * @param {string} contactId - ID del contacto
+	 * @param {string} status - Nuevo estado de la reserva
+	 */
+	static async syncContactStatus(contactId, status) {
+		if(status === 'COMPLETED') {
+			await prisma.contact.update({
+				where: { id: contactId },
+				data: { status: 'CUSTOMER' },
+			});
+		} else if(status === 'CANCELLED' || status === 'NO_SHOW') {
+			// Verificar si tiene otras reservas activas
+			const activeBookings = await prisma.booking.count({
+				where: {
+					contactId,
+					status: { in: [ 'PENDING', 'CONFIRMED' ] },
+				},
+			});
+
+			if(activeBookings === 0) {
+				await prisma.contact.update({
+					where: { id: contactId },
+					data: { status: 'LEAD' }, // Volver a estado de lead
+				});
+			}
+		}
+	}
+
+	/**
+	 * Guarda una reserva que ocupa una unidad o lugares de una fecha de evento sin riesgo de doble reserva
+	 * ni sobreventa: bloquea la fila de la unidad o de la fecha (SELECT ... FOR UPDATE), vuelve a verificar
+	 * dentro de la transacción y solo entonces escribe. Las solicitudes simultáneas se atienden una después de otra
+	 * @param {Object} slot - { unitId, start, end, editionId, seats, excludeBookingId }
+	 * @param {Function} write - async (tx) => reserva creada o actualizada
+	 * @returns {Promise<Object>} { success, booking } o { success: false, error, conflicts }
+	 */
+	static async reserve({ unitId = null, start, end, editionId = null, seats = 1, excludeBookingId } = {}, write) {
+		return prisma.$transaction(async (tx) => {
+			if(editionId) {
+				await tx.$queryRaw`SELECT id FROM EventEdition WHERE id = ${ editionId } FOR UPDATE`;
+
+				const capacity = await CatalogService.checkEditionCapacity(editionId, seats, { excludeBookingId, client: tx });
+				if(!capacity.success) return capacity;
+				if(!capacity.available) return { success: false, error: capacity.reason };
+			}
+
+			if(unitId) {
+				await tx.$queryRaw`SELECT id FROM Unit WHERE id = ${ unitId } FOR UPDATE`;
+
+				const conflicts = await AvailabilityService.findConflicts(unitId, start, end, { excludeBookingId, client: tx });
+				if(conflicts.length > 0) {
+					return { success: false, error: 'La unidad ya está ocupada en esas fechas', conflicts };
+				}
+			}
+
+			return { success: true, booking: await write(tx) };
+		}, {
+			// Cada lectura ve lo que confirmó la transacción que tenía el bloqueo
+			isolationLevel: Prisma.TransactionIsolationLevel.ReadCommitted,
+		});
+	}
+
+	/**
+	 * Lo que ocupa una reserva ya guardada, en el formato de reserve(): la estancia en la unidad
+	 * (una noche si solo tiene dateTime) y los lugares en la fecha del evento
+	 * @param {Object} booking - Reserva
+	 * @returns {Object} { unitId, start, end, editionId, seats, excludeBookingId }
+	 */
+	static slotOf(booking) {
+		const { start, end } = booking.unitId ? AvailabilityService.getStayRange(booking) : {};
+
+		return {
+			unitId: booking.unitId,
+			start,
+			end,
+			editionId: booking.eventEditionId,
+			seats: booking.guests || 1,
+			excludeBookingId: booking.id,
+		};
+	}
+
+	/**
+	 * Cambia el estado de una reserva y agrega notas. Solo se permiten los cambios de transitions;
+	 * al reactivarla se vuelve a verificar la disponibilidad con la unidad o la fecha del evento bloqueada.
+	 * El cambio se descarta si otra operación modificó el estado mientras tanto
+	 * @param {Object} booking - Reserva actual
+	 * @param {string} status - Nuevo estado
+	 * @param {Object} options - { notes }
+	 * @returns {Promise<Object>} { success, booking } o { success: false, error, conflicts }
+	 */
+	static async changeStatus(booking, status, { notes = null } = {}) {
+		if(!this.canTransition(booking.status, status)) return this.transitionError(booking.status, status);
+
+		const data = this.statusData(booking, status, notes);
+
+		const write = async (client) => {
+			const { count } = await client.booking.updateMany({
+				where: { id: booking.id, status: booking.status },
+				data,
+			});
+
+			return count === 1 ? client.booking.findUnique({ where: { id: booking.id } }) : null;
+		};
+
+		const reactivating = ACTIVE_BOOKING_STATUSES.includes(status) && !ACTIVE_BOOKING_STATUSES.includes(booking.status);
+
+		const result = reactivating
+			? await this.reserve(this.slotOf(booking), write)
+			: { success: true, booking: await write(prisma) };
+
+		if(!result.success) return result;
+
+		if(!result.booking) return { success: false, code: 'CONFLICT', error: STALE_BOOKING };
+
+		if(status !== booking.status) {
+			console.log(`[Booking-Service] BOOKING ${ booking.id } STATUS ${ booking.status } -> ${ status }`);
+			await this.syncContactStatus(booking.contactId, status);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Cambia las fechas de una reserva validando disponibilidad (sin contar la propia reserva)
+	 * y recalculando la cotización de hospedaje. La unidad o la fecha del evento se bloquean al guardar,
+	 * igual que al crear la reserva. Un cambio de estado o de notas indicado en options se guarda en la misma
+	 * escritura, así que o se aplican las fechas y el estado o no se aplica nada
+	 * @param {Object} booking - Reserva actual
+	 * @param {Object} changes - { dateTime, checkIn, checkOut, eventEditionId, guests }
+	 * @param {Object} options - { status, notes }
+	 * @returns {Promise<Object>} { success, booking } o { success: false, error, conflicts | code }
+	 */
+	static async reschedule(booking, { dateTime, checkIn, checkOut, eventEditionId, guests } = {}, { status = booking.status, notes = null } = {}) {
+		if(!this.canTransition(booking.status, status)) return this.transitionError(booking.status, status);
+
+		const data = {};
+		const seats = guests ?? booking.guests ?? 1;
+		let slot = {};
+
+		if(guests !== undefined) data.guests = guests;
+
+		if(booking.unitId) {
+			const checkInDate = AvailabilityService.parseDate(checkIn ?? booking.checkIn);
+			const checkOutDate = AvailabilityService.parseDate(checkOut ?? booking.checkOut);
+
+			const availability = await AvailabilityService.checkAvailability(booking.unitId, checkInDate, checkOutDate, {
+				guests: seats,
+				excludeBookingId: booking.id,
+			});
+
+			if(!availability.success) return availability;
+			if(!availability.available) {
+				return { success: false, error: availability.reason, conflicts: availability.conflicts };
+			}
+
+			const quoteResult = await PricingService.calculateQuote({
+				unit: booking.unitId,
+				checkIn: availability.checkIn,
+				checkOut: availability.checkOut,
+				guests: seats,
+				pets: booking.pets,
+				firewoodLoads: booking.firewoodLoads,
+			});
+
+			// Sin cotización válida no se guardan fechas con los montos de la estancia anterior
+			if(!quoteResult.success) return quoteResult;
+
+			Object.assign(data, {
+				dateTime: availability.checkIn,
+				checkIn: availability.checkIn,
+				checkOut: availability.checkOut,
+				quote: quoteResult.quote,
+				extraPersons: quoteResult.quote.extraPersons,
+				totalAmount: quoteResult.quote.total,
+				depositAmount: quoteResult.quote.deposit,
+			});
+
+			slot = { unitId: booking.unitId, start: availability.checkIn, end: availability.checkOut };
+		} else if(eventEditionId || booking.eventEditionId) {
+			const editionId = eventEditionId || booking.eventEditionId;
+			const capacity = await CatalogService.checkEditionCapacity(editionId, seats, { excludeBookingId: booking.id });
+
+			if(!capacity.success) return capacity;
+			if(!capacity.available) return { success: false, error: capacity.reason };
+
+			Object.assign(data, { eventEditionId: editionId, dateTime: capacity.edition.startDate });
+			slot = { editionId, seats };
+		} else if(dateTime) {
+			const date = AvailabilityService.parseDate(dateTime);
+			if(!date) return { success: false, error: `Fecha inválida: ${ dateTime }` };
+
+			data.dateTime = date;
+		}
+
+		if(Object.keys(data).length === 0) {
+			return { success: false, error: 'Indica las nuevas fechas (dateTime, checkIn/checkOut o eventEditionId)' };
+		}
+
+		let result;
+
+		try {
+			result = await this.reserve({ ...slot, excludeBookingId: booking.id }, async (tx) => {
+				const { count } = await tx.booking.updateMany({
+					where: { id: booking.id, status: booking.status },
+					data: { ...data, ...this.statusData(booking, status, notes) },
+				});
+				if(count === 0) throw new StaleBooking(STALE_BOOKING);
+
+				return tx.booking.findUnique({ where: { id: booking.id } });
+			});
+		} catch(error) {
+			if(!(error instanceof StaleBooking)) throw error;
+
+			return { success: false, code: 'CONFLICT', error: error.message };
+		}
+
+		if(!result.success) return result;
+
+		console.log(`[Booking-Service] BOOKING ${ booking.id } RESCHEDULED to ${ result.booking.dateTime.toISOString() }`);
+
+		if(status !== booking.status) {
+			console.log(`[Booking-Service] BOOKING ${ booking.id } STATUS ${ booking.status } -> ${ status }`);
+			await this.syncContactStatus(booking.contactId, status);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Fechas de la reserva en texto para el huésped
+	 */
+	static describeDates(booking) {
+		const format = (date) => new Date(date).toLocaleDateString('es-MX', {
+			day: 'numeric',
+			month: 'long',
+			year: 'numeric',
+			timeZone: AvailabilityService.timezone,
+		});
+
+		return booking.checkIn && booking.checkOut
+			? `del ${ format(booking.checkIn) } al ${ format(booking.checkOut) }`
+			: `el ${ format(booking.dateTime) }`;
+	}
+
+	/**
+	 * Avisa al huésped por WhatsApp sobre su reserva y guarda el mensaje en su conversación
+	 * @param {Object} booking - Reserva
+	 * @param {string} event - CREATED, RESCHEDULED o el nuevo estado de la reserva
+	 * @param {Object} options - { text (sustituye la plantilla), adminUserId }
+	 * @returns {Promise<Object>} { success, message } o { success: false, error }
+	 */
+	static async notifyGuest(booking, event, { text = null, adminUserId = null } = {}) {
+		const template = this.notificationTemplates[event];
+		const content = text || (template ? template(booking, this.describeDates(booking)) : null);
+
+		if(!content) {
+			return { success: false, error: `No hay aviso para el evento ${ event }` };
+		}
+
+		try {
+			const contact = await prisma.contact.findUnique({ where: { id: booking.contactId } });
+			const chatId = await ContactService.getChatId(contact);
+			const sent = await WahaService.sendText(chatId, content);
+			const conversation = await ConversationService.getOrCreate(contact.id);
+
+			const message = await prisma.message.create({
+				data: {
+					conversationId: conversation.id,
+					session: WahaService.session,
+					messageId: WahaService.getMessageId(sent),
+					chatId,
+					content,
+					direction: 'OUTBOUND',
+					author: 'STAFF',
+					adminUserId,
+					type: 'TEXT',
+					metadata: { sentBy: 'STAFF', adminUserId, bookingId: booking.id, event },
+					timestamp: new Date(),
+					status: 'SENT',
+				},
+			});
+
+			console.log(`[Booking-Service] GUEST NOTIFIED about booking ${ booking.id }: ${ event }`);
+
+			return { success: true, message };
+		} catch(error) {
+			console.error(`[Booking-Service] ERROR NOTIFYING GUEST about booking ${ booking.id }: ${ error.message }`);
+			return { success: false, error: error.message };
+		}
+	}
+}
+
+export default BookingService;
@@ -0,0 +1,389 @@
+import { PrismaClient } from '@prisma/client';
+import AvailabilityService, { ACTIVE_BOOKING_STATUSES } from '#services/availability.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Palabras que no cuentan al comparar nombres de servicios
+ */
+const STOP_WORDS = [ 'de', 'la', 'el', 'los', 'las', 'con', 'sin', 'y', 'e', 'para', 'en' ];
+
+const PRICING_TYPES = [ 'flat', 'per_person' ];
+const DEPOSIT_TYPES = [ 'percent', 'per_person' ];
+
+class CatalogService {
+	/**
+	 * Servicios activos ordenados como en el catálogo
+	 * @returns {Promise<Array<Object>>}
+	 */
+	static async getActiveServices() {
+		return prisma.serviceOffering.findMany({
+			where: { isActive: true },
+			orderBy: { sortOrder: 'asc' },
+		});
+	}
+
+	/**
+	 * Busca un servicio activo por ID, slug o nombre aproximado
+	 * @param {string} reference - ID, slug o nombre del servicio
+	 * @returns {Promise<{service: Object|null, candidates: Array<Object>}>} Servicio encontrado o candidatos si es ambiguo
+	 */
+	static async resolveService(reference) {
+		if(!reference) return { service: null, candidates: [] };
+
+		const services = await this.getActiveServices();
+		const normalized = AvailabilityService.normalizeName(reference);
+
+		const exact = services.find(service => service.id === reference || service.slug === reference)
+			|| services.find(service => AvailabilityService.normalizeName(service.name) === normalized);
+		if(exact) return { service: exact, candidates: [] };
+
+		const tokenize = value => AvailabilityService.normalizeName(value)
+			.split(/[\s-]+/)
+			.filter(token => token.length > 0 && !STOP_WORDS.includes(token));
+
+		const queryTokens = tokenize(reference);
+		if(queryTokens.length === 0) return { service: null, candidates: [] };
+
+		const scored = services
+			.map(service => {
+				const serviceTokens = new Set([ ...tokenize(service.name), ...tokenize(service.slug) ]);
+				const hits = queryTokens.filter(token => serviceTokens.has(token)).length;
+				return { service, score: hits / queryTokens.length };
+			})
+			.filter(({ score }) => score >= 0.6)
+			.sort((a, b) => b.score - a.score);
+
+		if(scored.length === 0) return { service: null, candidates: [] };
+
+		const best = scored.filter(({ score }) => score === scored[0].score);
+		return best.length === 1
+			? { service: best[0].service, candidates: [] }
+			: { service: null, candidates: best.map(({ service }) => service) };
+	}
+
+	/**
+	 * Valida la estructura de precio y anticipo de un servicio
+	 * @returns {string|null} Mensaje de error o null si es válida
+	 */
+	static validatePricing(pricing, deposit) {
+		if(!pricing || !PRICING_TYPES.includes(pricing.type)) {
+			return `pricing.type debe ser uno de: ${ PRICING_TYPES.join(', ') }`;
+		}
+
+		if(pricing.type === 'flat' && !(Number(pricing.price) >= 0)) {
+			return 'pricing.price es requerido para precio fijo';
+		}
+
+		if(pricing.type === 'per_person' && !(Number(pricing.adult) >= 0)) {
+			return 'pricing.adult es requerido para precio por persona';
+		}
+
+		if(!deposit || !DEPOSIT_TYPES.includes(deposit.type)) {
+			return `deposit.type debe ser uno de: ${ DEPOSIT_TYPES.join(', ') }`;
+		}
+
+		if(deposit.type === 'percent' && !(Number(deposit.percent) > 0 && Number(deposit.percent) <= 100)) {
+			return 'deposit.percent debe estar entre 1 y 100';
+		}
+
+		if(deposit.type === 'per_person' && !(Number(deposit.amount) > 0)) {
+			return 'deposit.amount es requerido para anticipo por persona';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Políticas activas que aplican a un servicio: las propias, las de su categoría y las generales
+	 * @param {Object} service - ServiceOffering
+	 * @returns {Promise<Array<Object>>}
+	 */
+	static async getPolicies(service) {
+		return prisma.policy.findMany({
+			where: {
+				isActive: true,
+				OR: [
+					{ serviceId: service.id },
+					{ serviceId: null, category: service.category },
+					{ serviceId: null, category: null },
+				],
+			},
+			orderBy: [ { sortOrder: 'asc' }, { createdAt: 'asc' } ],
+		});
+	}
+
+	/**
+	 * Lugares ocupados por reservas activas en cada fecha de evento
+	 * @param {Array<string>} editionIds - IDs de EventEdition
+	 * @param {Object} options - { excludeBookingId, client (transacción en curso) }
+	 * @returns {Promise<Map<string, number>>} Lugares ocupados por edición
+	 */
+	static async getReservedSeats(editionIds, { excludeBookingId, client = prisma } = {}) {
+		const bookings = await client.booking.findMany({
+			where: {
+				eventEditionId: { in: editionIds },
+				status: { in: ACTIVE_BOOKING_STATUSES },
+				...(excludeBookingId ? { id: { not: excludeBookingId } } : {}),
+			},
+			select: { eventEditionId: true, guests: true },
+		});
+
+		const reserved = new Map(editionIds.map(id => [ id, 0 ]));
+		for(const booking of bookings) {
+			reserved.set(booking.eventEditionId, reserved.get(booking.eventEditionId) + (booking.guests || 1));
+		}
+
+		return reserved;
+	}
+
+	/**
+	 * Agrega cupo ocupado y disponible a las fechas de evento
+	 */
+	static async withOccupancy(editions) {
+		const reserved = await this.getReservedSeats(editions.map(edition => edition.id));
+
+		return editions.map(edition => {
+			const taken = reserved.get(edition.id) || 0;
+			const remaining = edition.capacity === null ? null : Math.max(0, edition.capacity - taken);
+
+			return {
+				...edition,
+				reserved: taken,
+				remaining,
+				isFull: remaining === 0,
+			};
+		});
+	}
+
+	/**
+	 * Próximas fechas calendarizadas de eventos, con cupo disponible
+	 * @param {Object} options - { service, fromDate, limit }
+	 * @returns {Promise<Object>} { success, events, message } o { success: false, error }
+	 */
+	static async listUpcomingEvents({ service: serviceReference, fromDate, limit = 10 } = {}) {
+		const from = AvailabilityService.parseDate(fromDate) || new Date();
+		let service = null;
+
+		if(serviceReference) {
+			const resolved = await this.resolveService(serviceReference);
+			if(!resolved.service) {
+				return {
+					success: false,
+					error: resolved.candidates.length > 0
+						? `"${ serviceReference }" puede ser: ${ resolved.candidates.map(c => c.name).join(', ') }. Indica cuál.`
+						: `No existe el servicio "${ serviceReference }"`,
+				};
+			}
+			service = resolved.service;
+		}
+
+		const editions = await prisma.eventEdition.findMany({
+			where: {
+				isActive: true,
+				endDate: { gte: from },
+				service: { isActive: true },
+				...(service ? { serviceId: service.id } : {}),
+			},
+			orderBy: { startDate: 'asc' },
+			take: limit,
+			include: {
+				service: { select: { id: true, slug: true, name: true, category: true } },
+			},
+		});
+
+		const events = await this.withOccupancy(editions);
+
+		return {
+			success: true,
+			events,
+			message: events.length > 0
+				? events.map(event => this.describeEdition(event, { withService: true })).join('\n')
+				: `No hay fechas calendarizadas${ service ? ` para ${ service.name }` : '' }; se puede agendar en la fecha que el cliente elija, sujeto a disponibilidad`,
+		};
+	}
+
+	/**
+	 * Detalle completo de un servicio: descripción, qué incluye, itinerario, material, precio,
+	 * anticipo, próximas fechas y políticas
+	 * @param {string} reference - ID, slug o nombre del servicio
+	 * @returns {Promise<Object>} { success, service, message } o { success: false, error }
+	 */
+	static async getServiceDetails(reference) {
+		const { service, candidates } = await this.resolveService(reference);
+
+		if(!service) {
+			const services = await this.getActiveServices();
+			return {
+				success: false,
+				error: candidates.length > 0
+					? `"${ reference }" puede ser: ${ candidates.map(c => c.name).join(', ') }. Indica cuál.`
+					: `No existe el servicio "${ reference }". Servicios: ${ services.map(s => s.name).join(', ') }`,
+			};
+		}
+
+		const editions = await prisma.eventEdition.findMany({
+			where: { serviceId: service.id, isActive: true, endDate: { gte: new Date() } },
+			orderBy: { startDate: 'asc' },
+		});
+		const upcomingEditions = await this.withOccupancy(editions);
+		const policies = await this.getPolicies(service);
+
+		const lines = [
+			`${ service.name }: ${ service.description || '' }`.trim(),
+			`Precio: ${ this.describePricing(service) }`,
+			`Para apartar: ${ this.describeDeposit(service) }`,
+		];
+
+		if(service.location) lines.push(`Lugar: ${ service.location }`);
+		if(Array.isArray(service.includes) && service.includes.length) lines.push(`Incluye: ${ service.includes.join('; ') }`);
+		if(Array.isArray(service.itinerary) && service.itinerary.length) {
+			lines.push(`Itinerario: ${ service.itinerary.map(step => `${ step.day ? `${ step.day } ` : '' }${ step.time || '' } ${ step.activity }`.trim()).join('; ') }`);
+		}
+		if(Array.isArray(service.materials) && service.materials.length) lines.push(`Material y vestimenta: ${ service.materials.join('; ') }`);
+		lines.push(upcomingEditions.length
+			? `Próximas fechas: ${ upcomingEditions.map(edition => this.describeEdition(edition)).join('; ') }`
+			: 'Sin fechas calendarizadas; se agenda en la fecha que el cliente elija, sujeto a disponibilidad');
+		policies.forEach(policy => lines.push(`${ policy.title }: ${ policy.content }`));
+		if(service.infoUrl) lines.push(`Más información: ${ service.infoUrl }`);
+
+		return {
+			success: true,
+			service: { ...service, upcomingEditions, policies },
+			message: lines.join('\n'),
+		};
+	}
+
+	/**
+	 * Verifica si una fecha de evento tiene cupo para los lugares solicitados
+	 * @param {string} editionId - ID de EventEdition
+	 * @param {number} seats - Lugares solicitados
+	 * @param {Object} options - { excludeBookingId, client (transacción en curso) }
+	 * @returns {Promise<Object>} { success, available, edition, remaining, reason } o { success: false, error }
+	 */
+	static async checkEditionCapacity(editionId, seats = 1, { excludeBookingId, client = prisma } = {}) {
+		const edition = await client.eventEdition.findUnique({
+			where: { id: editionId },
+			include: { service: true },
+		});
+
+		if(!edition || !edition.isActive) {
+			return {
+				success: false,
+				error: `No existe la fecha de evento ${ editionId }`,
+			};
+		}
+
+		if(edition.capacity === null) {
+			return { success: true, available: true, edition, remaining: null };
+		}
+
+		const reserved = await this.getReservedSeats([ edition.id ], { excludeBookingId, client });
+		const remaining = Math.max(0, edition.capacity - reserved.get(edition.id));
+
+		return {
+			success: true,
+			available: remaining >= seats,
+			edition,
+			remaining,
+			reason: remaining >= seats ? null : `Quedan ${ remaining } lugares para ${ edition.service.name } (${ this.formatDateRange(edition) })`,
+		};
+	}
+
+	/**
+	 * Texto del catálogo vigente que se agrega al contexto de la IA
+	 * @returns {Promise<string>}
+	 */
+	static async renderForPrompt() {
+		const [ units, services, upcoming, policies ] = await Promise.all([
+			prisma.unit.findMany({ where: { isActive: true }, orderBy: { sortOrder: 'asc' } }),
+			this.getActiveServices(),
+			this.listUpcomingEvents({ limit: 20 }),
+			prisma.policy.findMany({
+				where: { isActive: true, serviceId: null },
+				orderBy: [ { sortOrder: 'asc' }, { createdAt: 'asc' } ],
+			}),
+		]);
+
+		const sections = [ 'CATÁLOGO VIGENTE (datos del sistema; tienen prioridad sobre cualquier otro precio o fecha)' ];
+
+		if(units.length) {
+			sections.push('Hospedaje (precio por noche):\n' + units.map(unit => {
+				const extras = [
+					unit.extraPersonPrice !== null ? `persona extra ${ this.formatMoney(unit.extraPersonPrice) }` : 'sin personas extra',
+					unit.petPrice !== null ? `mascota ${ this.formatMoney(unit.petPrice) }` : 'sin mascotas',
+					unit.firewoodPrice !== null ? `carga de leña ${ this.formatMoney(unit.firewoodPrice) }` : null,
+				].filter(Boolean).join(', ');
+
+				return `- ${ unit.name }: ${ this.formatMoney(unit.basePrice) } hasta ${ unit.baseGuests } personas, capacidad ${ unit.capacity }; ${ extras }. ${ unit.description || '' }`.trim();
+			}).join('\n'));
+		}
+
+		if(services.length) {
+			sections.push('Servicios y eventos:\n' + services
+				.map(service => `- ${ service.name }: ${ this.describePricing(service) }. Para apartar: ${ this.describeDeposit(service) }`)
+				.join('\n'));
+		}
+
+		sections.push(upcoming.success && upcoming.events.length
+			? `Próximas fechas:\n${ upcoming.message.split('\n').map(line => `- ${ line }`).join('\n') }`
+			: 'Próximas fechas: no hay eventos calendarizados por ahora');
+
+		if(policies.length) {
+			const labels = { WEDDING: 'Bodas', CEREMONY: 'Ceremonias', RETREAT: 'Retiros', WORKSHOP: 'Talleres' };
+			sections.push('Políticas:\n' + policies
+				.map(policy => `- ${ policy.category ? `${ labels[policy.category] } - ` : '' }${ policy.title }: ${ policy.content }`)
+				.join('\n'));
+		}
+
+		sections.push('Para qué incluye, itinerario, material o políticas de un servicio usa getServiceDetails; para fechas y cupo usa listUpcomingEvents.');
+
+		return sections.join('\n\n');
+	}
+
+	/**
+	 * Precio legible de un servicio
+	 */
+	static describePricing(service) {
+		const { pricing } = service;
+		const base = pricing.type === 'per_person'
+			? `adulto ${ this.formatMoney(pricing.adult) }${ pricing.child !== undefined ? `, niño hasta ${ pricing.childMaxAge } años ${ this.formatMoney(pricing.child) }` : '' }`
+			: this.formatMoney(pricing.price);
+
+		return pricing.notes ? `${ base } (${ pricing.notes })` : base;
+	}
+
+	/**
+	 * Regla de anticipo legible de un servicio
+	 */
+	static describeDeposit(service) {
+		const { deposit } = service;
+		return deposit.type === 'per_person'
+			? `${ this.formatMoney(deposit.amount) } por persona; se liquida ${ deposit.balanceDue }`
+			: `${ deposit.percent }%; el resto se liquida ${ deposit.balanceDue }`;
+	}
+
+	/**
+	 * Fecha de evento legible con su cupo
+	 */
+	static describeEdition(edition, { withService = false } = {}) {
+		const seats = edition.capacity === null
+			? ''
+			: edition.isFull ? ' (cupo lleno)' : ` (quedan ${ edition.remaining } lugares)`;
+
+		return `${ withService ? `${ edition.service.name }: ` : '' }${ this.formatDateRange(edition) }${ seats } [id: ${ edition.id }]`;
+	}
+
+	static formatDateRange(edition) {
+		const options = { day: 'numeric', month: 'long', year: 'numeric', timeZone: AvailabilityService.timezone };
+		const start = edition.startDate.toLocaleDateString('es-MX', options);
+		const end = edition.endDate.toLocaleDateString('es-MX', options);
+		return start === end ? start : `${ start } al ${ end }`;
+	}
+
+	static formatMoney(amount) {
+		return `$${ Number(amount).toLocaleString('es-MX') } MXN`;
+	}
+}
+
+export default CatalogService;
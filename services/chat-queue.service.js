@@ -0,0 +1,93 @@
+import 'dotenv/config';
+
+/**
+ * Cola por chat: agrupa los mensajes que llegan seguidos en un solo turno y procesa
+ * los turnos de cada chat uno a la vez, en orden de llegada.
+ */
+class ChatQueueService {
+	/**
+	 * Milisegundos sin mensajes nuevos que se esperan antes de procesar la ráfaga
+	 */
+	static debounceMs = parseInt(process.env.CHAT_DEBOUNCE_MS ?? '2500');
+
+	/**
+	 * Tamaño máximo de una ráfaga; al llegar a él se procesa sin esperar
+	 */
+	static maxBatchSize = parseInt(process.env.CHAT_MAX_BATCH_SIZE) || 10;
+
+	/**
+	 * Estado por chat: { pending: [Promise], timer, tail: Promise }
+	 */
+	static chats = new Map();
+
+	/**
+	 * Agrega un mensaje a la cola de su chat
+	 * @param {string} chatId - ID del chat
+	 * @param {Object|Promise<Object>} message - Datos del mensaje, o una promesa si aún se está preparando (multimedia)
+	 * @param {Function} handler - async (chatId, messages) => void, recibe la ráfaga en orden de llegada
+	 */
+	static enqueue(chatId, message, handler) {
+		let chat = this.chats.get(chatId);
+
+		if(!chat) {
+			chat = { pending: [], timer: null, tail: Promise.resolve() };
+			this.chats.set(chatId, chat);
+		}
+
+		// Las promesas se guardan en orden de llegada aunque se resuelvan en otro orden
+		chat.pending.push(Promise.resolve(message));
+		clearTimeout(chat.timer);
+
+		if(chat.pending.length >= this.maxBatchSize) {
+			this.flush(chatId, handler);
+		} else {
+			chat.timer = setTimeout(() => this.flush(chatId, handler), this.debounceMs);
+		}
+
+		console.log(`[Chat-Queue] MESSAGE QUEUED for ${ chatId } (${ chat.pending.length } pending)`);
+	}
+
+	/**
+	 * Encadena la ráfaga pendiente detrás del turno en curso del chat
+	 */
+	static flush(chatId, handler) {
+		const chat = this.chats.get(chatId);
+		if(!chat || chat.pending.length === 0) return;
+
+		clearTimeout(chat.timer);
+		chat.timer = null;
+
+		const pending = chat.pending;
+		chat.pending = [];
+
+		const turn = chat.tail.then(async () => {
+			const results = await Promise.allSettled(pending);
+			const messages = results
+				.filter(result => {
+					if(result.status === 'rejected') {
+						console.error(`[Chat-Queue] ERROR PREPARING MESSAGE for ${ chatId }: ${ result.reason?.message }`);
+					}
+					return result.status === 'fulfilled' && result.value;
+				})
+				.map(result => result.value);
+
+			if(messages.length === 0) return;
+
+			console.log(`[Chat-Queue] PROCESSING ${ messages.length } MESSAGE(S) for ${ chatId }`);
+			await handler(chatId, messages);
+		}).catch(error => {
+			console.error(`[Chat-Queue] ERROR PROCESSING TURN for ${ chatId }: ${ error.message }`);
+		});
+
+		chat.tail = turn;
+
+		// Se libera el estado del chat cuando no quedan turnos ni mensajes en espera
+		turn.then(() => {
+			if(chat.tail === turn && chat.pending.length === 0) {
+				this.chats.delete(chatId);
+			}
+		});
+	}
+}
+
+export default ChatQueueService;
@@ -0,0 +1,170 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Historial de cambios de estado y lead score de los contactos. Solo se agregan registros:
+ * quien modifica un contacto toma una foto antes con capture y llama a record al terminar,
+ * y se guarda una fila por cada contacto cuyo estado o score cambió.
+ */
+class ContactHistoryService {
+	/**
+	 * Estado y score actuales de uno o varios contactos
+	 * @param {string|string[]} contactIds - ID o IDs de contactos
+	 * @returns {Promise<Array<{id: string, status: string, leadScore: number|null}>>}
+	 */
+	static capture(contactIds) {
+		const ids = [ contactIds ].flat().filter(Boolean);
+		if(ids.length === 0) return Promise.resolve([]);
+
+		return prisma.contact.findMany({
+			where: { id: { in: ids } },
+			select: { id: true, status: true, leadScore: true },
+		});
+	}
+
+	/**
+	 * Compara el estado actual con la foto previa y registra los cambios
+	 * @param {Array<Object>} before - Resultado de capture
+	 * @param {Object} origin - { source (AI_TOOL, ADMIN, AUTOMATION), toolName, agentActionId, adminUserId, messageId, reason }
+	 * @returns {Promise<number>} Cambios registrados
+	 */
+	static async record(before, { source, toolName = null, agentActionId = null, adminUserId = null, messageId = null, reason = null }) {
+		if(!before || before.length === 0) return 0;
+
+		const after = await this.capture(before.map(contact => contact.id));
+		const previous = new Map(before.map(contact => [ contact.id, contact ]));
+
+		const changes = after
+			.filter(contact => {
+				const old = previous.get(contact.id);
+				return old.status !== contact.status || old.leadScore !== contact.leadScore;
+			})
+			.map(contact => ({
+				contactId: contact.id,
+				oldStatus: previous.get(contact.id).status,
+				newStatus: contact.status,
+				oldLeadScore: previous.get(contact.id).leadScore,
+				newLeadScore: contact.leadScore,
+				source,
+				toolName,
+				agentActionId,
+				adminUserId,
+				messageId,
+				reason,
+			}));
+
+		if(changes.length === 0) return 0;
+
+		await prisma.contactStatusChange.createMany({ data: changes });
+		console.log(`[Contact-History-Service] ${ changes.length } STATUS CHANGES RECORDED (${ source }${ toolName ? `: ${ toolName }` : '' })`);
+
+		return changes.length;
+	}
+
+	/**
+	 * Registra el estado inicial de un contacto recién creado
+	 * @param {Object} contact - Contacto creado
+	 * @param {Object} origin - Igual que en record
+	 */
+	static async recordCreation(contact, { source, adminUserId = null, reason = null }) {
+		await prisma.contactStatusChange.create({
+			data: {
+				contactId: contact.id,
+				oldStatus: null,
+				newStatus: contact.status,
+				oldLeadScore: null,
+				newLeadScore: contact.leadScore,
+				source,
+				adminUserId,
+				reason,
+			},
+		});
+	}
+
+	/**
+	 * Ejecuta un cambio sobre contactos y registra su efecto en el historial.
+	 * Un fallo al registrar no revierte ni interrumpe el cambio
+	 * @param {string|string[]} contactIds - Contactos que el cambio puede modificar
+	 * @param {Object} origin - Igual que en record
+	 * @param {Function} change - async () => resultado
+	 * @returns {Promise<*>} Resultado de change
+	 */
+	static async track(contactIds, origin, change) {
+		const before = await this.capture(contactIds).catch(error => {
+			console.error(`[Contact-History-Service] ERROR CAPTURING CONTACTS: ${ error.message }`);
+			return [];
+		});
+
+		const result = await change();
+
+		await this.record(before, typeof origin === 'function' ? origin(result) : origin).catch(error => {
+			console.error(`[Contact-History-Service] ERROR RECORDING STATUS CHANGES: ${ error.message }`);
+		});
+
+		return result;
+	}
+
+	/**
+	 * Historial de un contacto, del cambio más reciente al más antiguo, con quién o qué lo hizo
+	 * @param {string} contactId - ID del contacto
+	 * @param {Object} options - { skip, take }
+	 * @returns {Promise<{changes: Array<Object>, total: number}>}
+	 */
+	static async getTimeline(contactId, { skip = 0, take = 50 } = {}) {
+		const [ changes, total ] = await Promise.all([
+			prisma.contactStatusChange.findMany({
+				where: { contactId },
+				skip,
+				take,
+				orderBy: { createdAt: 'desc' },
+				include: {
+					adminUser: { select: { id: true, name: true, email: true } },
+					agentAction: { select: { id: true, toolName: true, revertedAt: true } },
+					message: { select: { id: true, content: true, timestamp: true, conversationId: true } },
+				},
+			}),
+			prisma.contactStatusChange.count({ where: { contactId } }),
+		]);
+
+		return { changes, total };
+	}
+
+	/**
+	 * Transiciones del embudo en un periodo: cuántas veces se pasó de un estado a otro y por qué vía.
+	 * Las altas de contactos aparecen con from en null
+	 * @param {Object} options - { fromDate, toDate }
+	 * @returns {Promise<Array<{from: string|null, to: string, total: number, bySource: Object}>>}
+	 */
+	static async getTransitions({ fromDate, toDate } = {}) {
+		const createdAt = {};
+		if(fromDate) createdAt.gte = fromDate;
+		if(toDate) createdAt.lte = toDate;
+
+		const groups = await prisma.contactStatusChange.groupBy({
+			by: [ 'oldStatus', 'newStatus', 'source' ],
+			where: Object.keys(createdAt).length ? { createdAt } : {},
+			_count: { _all: true },
+		});
+
+		const transitions = new Map();
+
+		for(const group of groups) {
+			// Los cambios que solo afectan al lead score no son transiciones
+			if(group.oldStatus === group.newStatus) continue;
+
+			const key = `${ group.oldStatus }>${ group.newStatus }`;
+			if(!transitions.has(key)) {
+				transitions.set(key, { from: group.oldStatus, to: group.newStatus, total: 0, bySource: {} });
+			}
+
+			const transition = transitions.get(key);
+			transition.total += group._count._all;
+			transition.bySource[group.source] = group._count._all;
+		}
+
+		return [ ...transitions.values() ].sort((a, b) => b.total - a.total);
+	}
+}
+
+export default ContactHistoryService;
@@ -0,0 +1,232 @@
+import { PrismaClient, ContactStatus } from '@prisma/client';
+import JobService from '#services/job.service.js';
+
+const prisma = new PrismaClient();
+
+class ContactService {
+	static statuses = Object.values(ContactStatus);
+
+	/**
+	 * Campos que se pueden editar desde el panel
+	 */
+	static editableFields = [ 'name', 'email', 'status', 'notes', 'customFields', 'isOptedIn', 'isActive', 'leadScore', 'source' ];
+
+	/**
+	 * Campos que se pueden cambiar en lote
+	 */
+	static bulkFields = [ 'status', 'isOptedIn', 'isActive', 'source' ];
+
+	static emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+	/**
+	 * Normaliza y valida los cambios de un contacto
+	 * @param {Object} body - Cambios recibidos
+	 * @param {string[]} fields - Campos permitidos
+	 * @returns {{data: Object, error: string|null}}
+	 */
+	static validate(body = {}, fields = this.editableFields) {
+		const data = {};
+
+		for(const field of fields) {
+			if(body[field] !== undefined) data[field] = body[field];
+		}
+
+		if(Object.keys(data).length === 0) {
+			return { data, error: `No hay cambios. Campos permitidos: ${ fields.join(', ') }` };
+		}
+
+		if(data.status !== undefined && !this.statuses.includes(data.status)) {
+			return { data, error: `Status inválido. Valores permitidos: ${ this.statuses.join(', ') }` };
+		}
+
+		if(data.email !== undefined && data.email !== null) {
+			data.email = String(data.email).trim().toLowerCase();
+			if(!this.emailPattern.test(data.email)) {
+				return { data, error: 'Email inválido' };
+			}
+		}
+
+		for(const field of [ 'isOptedIn', 'isActive' ]) {
+			if(data[field] !== undefined) {
+				if(typeof data[field] === 'string') data[field] = data[field] === 'true';
+				if(typeof data[field] !== 'boolean') return { data, error: `${ field } debe ser booleano` };
+			}
+		}
+
+		if(data.leadScore !== undefined && data.leadScore !== null) {
+			data.leadScore = parseInt(data.leadScore);
+			if(Number.isNaN(data.leadScore)) return { data, error: 'leadScore debe ser numérico' };
+		}
+
+		if(data.customFields !== undefined && data.customFields !== null
+			&& (typeof data.customFields !== 'object' || Array.isArray(data.customFields))) {
+			return { data, error: 'customFields debe ser un objeto' };
+		}
+
+		return { data, error: null };
+	}
+
+	/**
+	 * Contacto de un teléfono. Los teléfonos de contactos unidos siguen apuntando al contacto que los absorbió
+	 * @param {string} phoneNumber - Teléfono sin sufijo de WhatsApp
+	 * @returns {Promise<Object|null>} Contacto
+	 */
+	static async findByPhone(phoneNumber) {
+		const contact = await prisma.contact.findUnique({ where: { phoneNumber } });
+		if(contact) return contact;
+
+		const alias = await prisma.contactAlias.findUnique({
+			where: { phoneNumber },
+			include: { contact: true },
+		});
+
+		return alias?.contact || null;
+	}
+
+	/**
+	 * Contacto de un chat de WAHA: el de la conversación del último mensaje guardado con ese chatId
+	 * (así se reconocen los chats @lid) o, para chats @c.us, el de su teléfono
+	 * @param {string} chatId - ID del chat (p. ej. 5215512345678@c.us o 123456789@lid)
+	 * @returns {Promise<Object|null>} Contacto
+	 */
+	static async findByChatId(chatId) {
+		const message = await prisma.message.findFirst({
+			where: { chatId },
+			orderBy: { timestamp: 'desc' },
+			select: { conversation: { select: { contact: true } } },
+		});
+		if(message) return message.conversation.contact;
+
+		return chatId.endsWith('@c.us') ? this.findByPhone(chatId.split('@')[0]) : null;
+	}
+
+	/**
+	 * Chat de WAHA al que hay que escribirle al contacto: el del último mensaje que nos envió,
+	 * que puede ser @lid, o su teléfono con @c.us si todavía no hay uno guardado
+	 * @param {Object} contact - Contacto
+	 * @returns {Promise<string>} chatId
+	 */
+	static async getChatId(contact) {
+		const message = await prisma.message.findFirst({
+			where: {
+				chatId: { not: null },
+				direction: 'INBOUND',
+				conversation: { contactId: contact.id },
+			},
+			orderBy: { timestamp: 'desc' },
+			select: { chatId: true },
+		});
+
+		return message?.chatId || `${ contact.phoneNumber }@c.us`;
+	}
+
+	/**
+	 * Actualiza varios contactos con los mismos cambios
+	 * @param {string[]} ids - IDs de los contactos
+	 * @param {Object} data - Cambios ya validados
+	 * @returns {Promise<number>} Contactos actualizados
+	 */
+	static async bulkUpdate(ids, data) {
+		const { count } = await prisma.contact.updateMany({
+			where: { id: { in: ids } },
+			data,
+		});
+
+		console.log(`[Contact-Service] BULK UPDATE: ${ count } contacts (${ Object.keys(data).join(', ') })`);
+
+		return count;
+	}
+
+	/**
+	 * Une contactos duplicados en uno: sus conversaciones, reservas, comprobantes e historial de estados pasan al contacto
+	 * destino, los datos que le falten se completan con los duplicados y estos se eliminan.
+	 * Los teléfonos unidos quedan en customFields.mergedContacts y como alias (ContactAlias) del destino,
+	 * para que un mensaje nuevo desde esos números llegue al contacto unido en lugar de crear otro.
+	 * Las conversaciones abiertas de los duplicados se cierran y se encola su análisis final, como en ConversationService.close
+	 * @param {string} targetId - Contacto que se conserva
+	 * @param {string[]} sourceIds - Contactos duplicados
+	 * @returns {Promise<Object|null>} Contacto resultante, o null si el contacto destino no existe
+	 */
+	static async merge(targetId, sourceIds) {
+		let closedIds = [];
+
+		const contact = await prisma.$transaction(async (tx) => {
+			const target = await tx.contact.findUnique({ where: { id: targetId } });
+			if(!target) return null;
+
+			const sources = await tx.contact.findMany({
+				where: { id: { in: sourceIds.filter(id => id !== targetId) } },
+				orderBy: { firstContactAt: 'asc' },
+			});
+
+			const ids = sources.map(source => source.id);
+
+			// Las conversaciones abiertas de los duplicados se cierran para que el contacto tenga una sola activa
+			const open = await tx.conversation.findMany({
+				where: { contactId: { in: ids }, isActive: true },
+				select: { id: true },
+			});
+			closedIds = open.map(conversation => conversation.id);
+
+			await tx.conversation.updateMany({
+				where: { id: { in: closedIds }, isActive: true },
+				data: { isActive: false, endedAt: new Date() },
+			});
+
+			await tx.conversation.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.booking.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.paymentVoucher.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.agentAction.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.contactStatusChange.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.contactAlias.updateMany({ where: { contactId: { in: ids } }, data: { contactId: target.id } });
+			await tx.contactAlias.createMany({
+				data: sources.map(source => ({ phoneNumber: source.phoneNumber, contactId: target.id })),
+				skipDuplicates: true,
+			});
+
+			const hasName = target.name && !target.name.startsWith('Desconocido');
+			const merged = {
+				name: hasName ? target.name : sources.find(source => source.name && !source.name.startsWith('Desconocido'))?.name || target.name,
+				email: target.email || sources.find(source => source.email)?.email || null,
+				notes: [ target.notes, ...sources.map(source => source.notes) ].filter(Boolean).join('\n\n') || null,
+				leadScore: Math.max(target.leadScore || 0, ...sources.map(source => source.leadScore || 0)),
+				firstContactAt: new Date(Math.min(target.firstContactAt, ...sources.map(source => source.firstContactAt))),
+				isOptedIn: target.isOptedIn || sources.some(source => source.isOptedIn),
+				customFields: {
+					...Object.assign({}, ...sources.map(source => source.customFields || {})),
+					...(target.customFields || {}),
+					mergedContacts: [
+						...(target.customFields?.mergedContacts || []),
+						...sources.map(source => ({
+							id: source.id,
+							phoneNumber: source.phoneNumber,
+							name: source.name,
+							email: source.email,
+							mergedAt: new Date(),
+						})),
+					],
+				},
+			};
+
+			// Se eliminan antes de actualizar el destino para liberar el email (único)
+			await tx.contact.deleteMany({ where: { id: { in: ids } } });
+
+			const updated = await tx.contact.update({
+				where: { id: target.id },
+				data: merged,
+			});
+
+			console.log(`[Contact-Service] MERGED ${ ids.length } contacts into ${ target.id }`);
+
+			return updated;
+		});
+
+		for(const conversationId of closedIds) {
+			await JobService.enqueue('ANALYZE_CONVERSATION', { conversationId });
+		}
+
+		return contact;
+	}
+}
+
+export default ContactService;
@@ -0,0 +1,429 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import LLMService from '#services/llm.service.js';
+import MemoryService from '#services/memory.service.js';
+import MediaService from '#services/media.service.js';
+import JobService from '#services/job.service.js';
+
+const prisma = new PrismaClient();
+
+const SENTIMENTS = [ 'POSITIVE', 'NEUTRAL', 'NEGATIVE' ];
+const INTENTS = [ 'BOOKING_REQUEST', 'BOOKING_CONFIRMATION', 'SERVICE_INQUIRY', 'PRICING_INQUIRY', 'GENERAL_QUESTION', 'GREETING', 'OTHER' ];
+
+/**
+ * Ciclo de vida de las conversaciones: cierre por inactividad, resumen final en segundo plano
+ * (job ANALYZE_CONVERSATION) y apertura de una nueva conversación que hereda los datos clave del contacto.
+ */
+class ConversationService {
+	/**
+	 * Minutos sin mensajes tras los cuales una conversación se cierra
+	 */
+	static idleMinutes = parseInt(process.env.CONVERSATION_IDLE_MINUTES) || 720;
+
+	/**
+	 * Cada cuántos minutos se buscan conversaciones inactivas (0 desactiva la revisión periódica)
+	 */
+	static sweepMinutes = parseInt(process.env.CONVERSATION_SWEEP_MINUTES ?? '15');
+
+	static sweepTimer = null;
+
+	/**
+	 * getOrCreate en curso por contacto, para que dos mensajes simultáneos no abran dos conversaciones
+	 */
+	static opening = new Map();
+
+	static getIdleCutoff() {
+		return new Date(Date.now() - this.idleMinutes * 60 * 1000);
+	}
+
+	/**
+	 * Obtiene la conversación activa del contacto. Si quedó inactiva la cierra y abre una nueva.
+	 * Las llamadas para un mismo contacto se atienden una después de otra
+	 * @param {string} contactId - ID del contacto
+	 * @returns {Promise<Object>} Conversación activa
+	 */
+	static getOrCreate(contactId) {
+		const previous = this.opening.get(contactId) || Promise.resolve();
+		const current = previous.catch(() => null).then(() => this.findOrOpen(contactId));
+
+		this.opening.set(contactId, current);
+		current.catch(() => null).then(() => {
+			if(this.opening.get(contactId) === current) this.opening.delete(contactId);
+		});
+
+		return current;
+	}
+
+	static async findOrOpen(contactId) {
+		const conversation = await prisma.conversation.findFirst({
+			where: {
+				contactId,
+				isActive: true,
+			},
+			orderBy: { startedAt: 'desc' },
+		});
+
+		if(conversation && !(await this.isIdle(conversation))) {
+			return conversation;
+		}
+
+		let previous = null;
+
+		if(conversation) {
+			previous = await this.close(conversation.id, { reason: 'IDLE' });
+		} else {
+			previous = await prisma.conversation.findFirst({
+				where: { contactId, isActive: false },
+				orderBy: { startedAt: 'desc' },
+			});
+		}
+
+		return prisma.conversation.create({
+			data: {
+				contactId,
+				startedAt: new Date(),
+				isActive: true,
+				context: previous ? { previousConversationId: previous.id, carryOver: this.getCarryOver(previous) } : {},
+			},
+		});
+	}
+
+	/**
+	 * Una conversación está inactiva si su último mensaje es anterior al límite de inactividad
+	 */
+	static async isIdle(conversation) {
+		const lastMessage = await prisma.message.findFirst({
+			where: { conversationId: conversation.id },
+			orderBy: { timestamp: 'desc' },
+			select: { timestamp: true },
+		});
+
+		const lastActivity = lastMessage ? lastMessage.timestamp : conversation.startedAt;
+		return lastActivity < this.getIdleCutoff();
+	}
+
+	/**
+	 * Cierra una conversación sin esperar al modelo; el resumen, sentimiento, intención y datos clave
+	 * finales se calculan después en el job ANALYZE_CONVERSATION. Si otro proceso la cerró antes
+	 * (la revisión periódica o un mensaje entrante) no se vuelve a encolar el análisis
+	 * @param {string} conversationId - ID de la conversación
+	 * @param {Object} options - { reason }
+	 * @returns {Promise<Object>} Conversación cerrada
+	 */
+	static async close(conversationId, { reason = 'MANUAL' } = {}) {
+		const conversation = await prisma.conversation.findUnique({ where: { id: conversationId } });
+
+		if(!conversation) {
+			throw new Error(`Conversación ${ conversationId } no encontrada`);
+		}
+
+		if(!conversation.isActive) {
+			return conversation;
+		}
+
+		const lastMessage = await prisma.message.findFirst({
+			where: { conversationId: conversation.id },
+			orderBy: [ { timestamp: 'desc' }, { id: 'desc' } ],
+			select: { timestamp: true },
+		});
+
+		const { count } = await prisma.conversation.updateMany({
+			where: { id: conversation.id, isActive: true },
+			data: {
+				isActive: false,
+				endedAt: lastMessage ? lastMessage.timestamp : new Date(),
+				context: { ...(conversation.context || {}), closedReason: reason },
+			},
+		});
+
+		if(count === 1) {
+			console.log(`[Conversation-Service] CONVERSATION CLOSED ${ conversation.id } (${ reason })`);
+			await JobService.enqueue('ANALYZE_CONVERSATION', { conversationId: conversation.id });
+		}
+
+		return prisma.conversation.findUnique({ where: { id: conversation.id } });
+	}
+
+	/**
+	 * Análisis final de una conversación cerrada (job ANALYZE_CONVERSATION). Lanza el error si el modelo
+	 * falla para que JobService lo reintente. Al terminar actualiza lo que heredó la conversación siguiente,
+	 * que pudo abrirse antes de que existiera el análisis
+	 * @param {string} conversationId - ID de la conversación
+	 */
+	static async analyzeClosed(conversationId) {
+		const conversation = await prisma.conversation.findUnique({ where: { id: conversationId } });
+
+		if(!conversation || conversation.isActive) return;
+
+		const messages = await MemoryService.getUnsummarizedMessages(conversation);
+		// Un reintento después de guardar el análisis ya no encuentra mensajes pendientes
+		if(messages.length === 0) return;
+
+		console.log(`[Conversation-Service] ANALYZING CLOSED CONVERSATION ${ conversation.id }`);
+
+		const analysis = await this.analyze(conversation, messages);
+		const context = conversation.context || {};
+
+		const analyzed = await prisma.conversation.update({
+			where: { id: conversation.id },
+			data: {
+				summary: analysis.summary || conversation.summary,
+				...MemoryService.summarizedThrough(messages[messages.length - 1]),
+				sentiment: analysis.sentiment || conversation.sentiment,
+				intent: analysis.intent || conversation.intent,
+				context: {
+					...context,
+					facts: analysis.facts || context.carryOver?.facts || [],
+				},
+			},
+		});
+
+		const next = await prisma.conversation.findFirst({
+			where: {
+				contactId: conversation.contactId,
+				context: { path: '$.previousConversationId', equals: conversation.id },
+			},
+		});
+
+		if(next) {
+			await prisma.conversation.update({
+				where: { id: next.id },
+				data: { context: { ...(next.context || {}), carryOver: this.getCarryOver(analyzed) } },
+			});
+		}
+	}
+
+	/**
+	 * Pide al modelo el resumen final de la conversación en JSON
+	 * @returns {Promise<{summary: string, sentiment: string|null, intent: string|null, facts: Array<string>}>}
+	 */
+	static async analyze(conversation, messages) {
+		const previousFacts = conversation.context?.carryOver?.facts || [];
+
+		const response = await LLMService.createResponse(LLMService.resolveModel(), {
+			messages: [
+				{
+					role: 'system',
+					content: 'Analizas conversaciones de WhatsApp entre un cliente y la asistente de ventas de un centro de retiros. '
+						+ 'Responde solo con un objeto JSON con las claves: '
+						+ '"summary" (resumen final en español, en tercera persona y en pocas líneas), '
+						+ `"sentiment" (uno de ${ SENTIMENTS.join(', ') }), `
+						+ `"intent" (intención principal, uno de ${ INTENTS.join(', ') }) y `
+						+ '"facts" (lista de datos clave del cliente que conviene recordar en futuras conversaciones: '
+						+ 'nombre, preferencias, servicios de interés, fechas, número de personas, reservas y pendientes).',
+				},
+				{
+					role: 'user',
+					content: `Resumen previo:\n${ conversation.summary || '(sin resumen)' }\n\n`
+						+ `Datos clave previos:\n${ previousFacts.length > 0 ? previousFacts.map(fact => `- ${ fact }`).join('\n') : '(ninguno)' }\n\n`
+						+ `Mensajes:\n${ MemoryService.formatTranscript(messages) }`,
+				},
+			],
+			temperature: 0.2,
+			maxOutputTokens: MemoryService.summaryMaxTokens * 2,
+		});
+
+		const json = response.text.match(/\{[\s\S]*\}/);
+		if(!json) {
+			throw new Error('El modelo no devolvió un JSON');
+		}
+
+		const result = JSON.parse(json[0]);
+
+		return {
+			summary: typeof result.summary === 'string' && result.summary.trim() ? result.summary.trim() : null,
+			sentiment: SENTIMENTS.includes(result.sentiment) ? result.sentiment : null,
+			intent: INTENTS.includes(result.intent) ? result.intent : null,
+			facts: Array.isArray(result.facts) ? result.facts.filter(fact => typeof fact === 'string') : null,
+		};
+	}
+
+	/**
+	 * Datos que hereda la siguiente conversación del contacto
+	 */
+	static getCarryOver(conversation) {
+		const context = conversation.context || {};
+
+		return {
+			summary: conversation.summary || null,
+			facts: context.facts || context.carryOver?.facts || [],
+			extractedInfo: context.extractedInfo || context.carryOver?.extractedInfo || null,
+			endedAt: conversation.endedAt,
+		};
+	}
+
+	/**
+	 * Texto para el modelo con lo heredado de la conversación anterior
+	 * @param {Object} conversation - Conversación activa
+	 * @returns {string|null}
+	 */
+	static renderCarryOver(conversation) {
+		const carryOver = conversation.context?.carryOver;
+		if(!carryOver) return null;
+
+		const lines = [ 'Contexto de conversaciones anteriores con este contacto:' ];
+
+		if(carryOver.summary) lines.push(`Resumen: ${ carryOver.summary }`);
+		if(carryOver.facts && carryOver.facts.length > 0) {
+			lines.push('Datos clave:', ...carryOver.facts.map(fact => `- ${ fact }`));
+		}
+		if(carryOver.extractedInfo) lines.push(`Información registrada: ${ JSON.stringify(carryOver.extractedInfo) }`);
+
+		return lines.length > 1 ? lines.join('\n') : null;
+	}
+
+	/**
+	 * Mensaje en el formato del visor de transcripciones: quién lo envió y, en las respuestas
+	 * de la IA, las herramientas ejecutadas durante el turno y el prompt/modelo usados
+	 */
+	static toTimelineEntry(message) {
+		const metadata = message.metadata || {};
+		// Los mensajes anteriores al campo author se identifican por su metadata
+		const author = message.author
+			|| (message.direction === 'INBOUND' ? 'CONTACT' : (metadata.sentBy === 'STAFF' ? 'STAFF' : 'AI'));
+		const isAI = author === 'AI';
+
+		return {
+			id: message.id,
+			direction: message.direction,
+			author,
+			adminUserId: message.adminUserId || metadata.adminUserId || null,
+			type: message.type,
+			status: message.status,
+			processingStatus: message.processingStatus,
+			content: message.content,
+			mediaUrl: MediaService.signUrl(message.mediaUrl),
+			timestamp: message.timestamp,
+			actions: isAI ? metadata.actions || [] : [],
+			prompt: isAI && metadata.promptVersionId
+				? { id: metadata.promptVersionId, version: metadata.promptVersion }
+				: null,
+			model: isAI ? metadata.model || null : null,
+			usage: isAI ? metadata.usage || null : null,
+			metadata,
+		};
+	}
+
+	/**
+	 * Mensajes de una conversación en orden cronológico con paginación por cursor (ID de mensaje).
+	 * Sin cursor devuelve los más recientes; before carga los anteriores y after los siguientes
+	 * @param {string} conversationId - ID de la conversación
+	 * @param {Object} options - { limit, before, after }
+	 * @returns {Promise<{messages: Array<Object>, pagination: Object}>}
+	 */
+	static async getTimeline(conversationId, { limit = 50, before = null, after = null } = {}) {
+		const forward = !!after && !before;
+		const cursor = forward ? after : before;
+		const order = forward ? 'asc' : 'desc';
+
+		const rows = await prisma.message.findMany({
+			where: { conversationId },
+			orderBy: [ { timestamp: order }, { id: order } ],
+			take: limit + 1,
+			...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+		});
+
+		const hasMore = rows.length > limit;
+		const page = rows.slice(0, limit);
+		if(!forward) page.reverse();
+
+		// Del lado del cursor se comprueba desde el extremo de la página (o desde el cursor si vino vacía)
+		const edge = forward
+			? page[0] || await prisma.message.findUnique({ where: { id: cursor } })
+			: page[page.length - 1] || (cursor ? await prisma.message.findUnique({ where: { id: cursor } }) : null);
+
+		const hasBeyondCursor = cursor && edge
+			? await this.hasMessageBeyond(conversationId, edge, forward ? 'older' : 'newer', { inclusive: !page.length })
+			: false;
+
+		return {
+			messages: page.map(message => this.toTimelineEntry(message)),
+			pagination: {
+				limit,
+				hasOlder: forward ? hasBeyondCursor : hasMore,
+				hasNewer: forward ? hasMore : hasBeyondCursor,
+				olderCursor: page[0]?.id || null,
+				newerCursor: page[page.length - 1]?.id || null,
+			},
+		};
+	}
+
+	/**
+	 * Indica si hay mensajes antes o después de un mensaje en el orden (timestamp, id) del visor
+	 * @param {string} conversationId - ID de la conversación
+	 * @param {Object} message - Mensaje de referencia con id y timestamp
+	 * @param {string} side - older o newer
+	 * @param {Object} options - { inclusive: cuenta también el propio mensaje }
+	 * @returns {Promise<boolean>}
+	 */
+	static async hasMessageBeyond(conversationId, message, side, { inclusive = false } = {}) {
+		const comparison = side === 'older' ? 'lt' : 'gt';
+		const idFilter = inclusive ? { [`${ comparison }e`]: message.id } : { [comparison]: message.id };
+
+		const found = await prisma.message.findFirst({
+			where: {
+				conversationId,
+				OR: [
+					{ timestamp: { [comparison]: message.timestamp } },
+					{ timestamp: message.timestamp, id: idFilter },
+				],
+			},
+			select: { id: true },
+		});
+
+		return !!found;
+	}
+
+	/**
+	 * Cierra todas las conversaciones activas sin mensajes desde el límite de inactividad
+	 * @returns {Promise<number>} Conversaciones cerradas
+	 */
+	static async closeIdleConversations() {
+		const cutoff = this.getIdleCutoff();
+
+		const conversations = await prisma.conversation.findMany({
+			where: {
+				isActive: true,
+				startedAt: { lt: cutoff },
+				messages: { none: { timestamp: { gte: cutoff } } },
+			},
+			select: { id: true },
+		});
+
+		let closed = 0;
+
+		for(const { id } of conversations) {
+			try {
+				await this.close(id, { reason: 'IDLE' });
+				closed++;
+			} catch(error) {
+				console.error(`[Conversation-Service] ERROR CLOSING CONVERSATION ${ id }: ${ error.message }`);
+			}
+		}
+
+		if(closed > 0) console.log(`[Conversation-Service] CLOSED ${ closed } IDLE CONVERSATIONS`);
+
+		return closed;
+	}
+
+	/**
+	 * Inicia la revisión periódica de conversaciones inactivas
+	 */
+	static startIdleSweep() {
+		if(this.sweepTimer || !this.sweepMinutes) return;
+
+		this.sweepTimer = setInterval(() => {
+			this.closeIdleConversations().catch(error => {
+				console.error(`[Conversation-Service] ERROR IN IDLE SWEEP: ${ error.message }`);
+			});
+		}, this.sweepMinutes * 60 * 1000);
+
+		console.log(`[Conversation-Service] IDLE SWEEP STARTED: every ${ this.sweepMinutes } min, idle after ${ this.idleMinutes } min`);
+	}
+}
+
+JobService.register('ANALYZE_CONVERSATION', {
+	handler: ({ conversationId }) => ConversationService.analyzeClosed(conversationId),
+});
+
+export default ConversationService;
@@ -0,0 +1,263 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import WahaService from '#services/waha.service.js';
+import MediaService from '#services/media.service.js';
+import NotificationService from '#services/notification.service.js';
+import ConversationService from '#services/conversation.service.js';
+import ContactService from '#services/contact.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Traspaso de chats a una persona del equipo: mientras la IA está en pausa para un contacto
+ * sus mensajes se guardan pero el bot no responde.
+ */
+class HandoffService {
+	/**
+	 * Minutos que la IA queda en pausa después de que el equipo escribe desde el teléfono
+	 * (0 la deja en pausa hasta reanudarla desde el panel)
+	 */
+	static staffTakeoverMinutes = parseInt(process.env.HANDOFF_STAFF_TAKEOVER_MINUTES ?? '120');
+
+	/**
+	 * Espera antes de revisar un mensaje fromMe, para que la respuesta de envío de WAHA llegue primero
+	 */
+	static echoDelayMs = 3000;
+
+	static reasonLabels = {
+		NEEDS_HUMAN: 'el cliente necesita atención de una persona',
+		STAFF_TAKEOVER: 'el equipo respondió desde el teléfono',
+		MANUAL: 'pausa manual desde el panel',
+	};
+
+	/**
+	 * Estado de pausa de un contacto; si la pausa ya venció se reanuda la IA
+	 * @param {Object} contact - Contacto con los campos aiPaused*
+	 * @returns {Promise<{paused: boolean, reason: string|null, until: Date|null}>}
+	 */
+	static async getPauseState(contact) {
+		if(!contact || !contact.aiPaused) {
+			return { paused: false, reason: null, until: null };
+		}
+
+		if(contact.aiPausedUntil && contact.aiPausedUntil <= new Date()) {
+			console.log(`[Handoff-Service] PAUSE EXPIRED for contact ${ contact.id }, RESUMING AI`);
+			await this.resume(contact.id);
+			return { paused: false, reason: null, until: null };
+		}
+
+		return { paused: true, reason: contact.aiPauseReason, until: contact.aiPausedUntil };
+	}
+
+	/**
+	 * Estado de pausa del contacto de un chat de WhatsApp. Un contacto desactivado desde el panel
+	 * cuenta como en pausa: sus mensajes se guardan pero el bot no le responde
+	 * @param {string} chatId - ID del chat (p. ej. 5215512345678@c.us)
+	 */
+	static async getPauseStateForChat(chatId) {
+		const contact = await ContactService.findByPhone(chatId.split('@')[0]);
+
+		if(contact && !contact.isActive) {
+			return { paused: true, reason: 'INACTIVE', until: null };
+		}
+
+		return this.getPauseState(contact);
+	}
+
+	/**
+	 * Pausa la IA para un contacto
+	 * @param {string} contactId - ID del contacto
+	 * @param {Object} options - { reason, minutes (null = sin vencimiento), notify, details }
+	 * @returns {Promise<Object>} Contacto actualizado
+	 */
+	static async pause(contactId, { reason = 'MANUAL', minutes = null, notify = false, details = null } = {}) {
+		const contact = await prisma.contact.update({
+			where: { id: contactId },
+			data: {
+				aiPaused: true,
+				aiPausedAt: new Date(),
+				aiPausedUntil: minutes ? new Date(Date.now() + minutes * 60 * 1000) : null,
+				aiPauseReason: reason,
+			},
+		});
+
+		console.log(`[Handoff-Service] AI PAUSED for contact ${ contactId }: ${ reason }${ minutes ? ` (${ minutes } min)` : '' }`);
+
+		if(notify) {
+			await NotificationService.notifyStaff(
+				`🙋 Chat en pausa: ${ contact.name || contact.phoneNumber } (${ contact.phoneNumber })\n`
+				+ `Motivo: ${ this.reasonLabels[reason] || reason }${ details ? `\n${ details }` : '' }\n`
+				+ 'La IA no responderá en este chat hasta que se reanude desde el panel.',
+			);
+		}
+
+		return contact;
+	}
+
+	/**
+	 * Reanuda la IA para un contacto
+	 * @param {string} contactId - ID del contacto
+	 * @returns {Promise<Object>} Contacto actualizado
+	 */
+	static async resume(contactId) {
+		const contact = await prisma.contact.update({
+			where: { id: contactId },
+			data: {
+				aiPaused: false,
+				aiPausedAt: null,
+				aiPausedUntil: null,
+				aiPauseReason: null,
+			},
+		});
+
+		console.log(`[Handoff-Service] AI RESUMED for contact ${ contactId }`);
+
+		return contact;
+	}
+
+	/**
+	 * Procesa un mensaje fromMe: si no lo envió el bot, lo escribió el equipo desde el teléfono,
+	 * así que se guarda en la conversación y se pausa la IA para ese chat
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @param {string} session - Sesión de WAHA
+	 * @returns {Promise<boolean>} true si se trató como mensaje del equipo
+	 */
+	static async handleOutgoingMessage(payload, session = WahaService.session) {
+		const chatId = payload.to;
+
+		// Solo chats individuales, con número (@c.us) o con identificador anónimo (@lid)
+		if(!chatId || !/@(c\.us|lid)$/.test(chatId) || payload.source === 'api') {
+			return false;
+		}
+
+		await new Promise(resolve => setTimeout(resolve, this.echoDelayMs));
+
+		const messageId = WahaService.getMessageId(payload);
+
+		if(WahaService.wasSentByApi(messageId)) {
+			return false;
+		}
+
+		// Reintento de WAHA de un mensaje ya registrado
+		const existing = await prisma.message.findUnique({
+			where: { session_messageId: { session, messageId } },
+		});
+		if(existing) {
+			return false;
+		}
+
+		const contact = await ContactService.findByChatId(chatId);
+
+		if(!contact) {
+			console.log(`[Handoff-Service] STAFF MESSAGE TO UNKNOWN CHAT ${ chatId }, IGNORED`);
+			return false;
+		}
+
+		const type = MediaService.isMediaPayload(payload) ? MediaService.getMessageType(payload) : 'TEXT';
+		const conversation = await ConversationService.getOrCreate(contact.id);
+
+		await prisma.message.create({
+			data: {
+				conversationId: conversation.id,
+				session,
+				messageId,
+				chatId,
+				content: type === 'TEXT' ? payload.body || '' : MediaService.describe(type, { caption: payload.body }),
+				direction: 'OUTBOUND',
+				author: 'STAFF',
+				type,
+				metadata: { sentBy: 'STAFF' },
+				timestamp: new Date(),
+				status: 'SENT',
+			},
+		});
+
+		await this.pauseForStaff(contact);
+
+		return true;
+	}
+
+	/**
+	 * Pausa la IA porque el equipo tomó el chat, sin sustituir una pausa sin vencimiento
+	 * (manual o por necesidad de una persona) por una temporal
+	 * @param {Object} contact - Contacto
+	 * @param {number|null} minutes - Minutos de pausa (por defecto staffTakeoverMinutes)
+	 */
+	static async pauseForStaff(contact, minutes = this.staffTakeoverMinutes || null) {
+		if(contact.aiPaused && !contact.aiPausedUntil) {
+			return contact;
+		}
+
+		return this.pause(contact.id, { reason: 'STAFF_TAKEOVER', minutes });
+	}
+
+	/**
+	 * Envía desde el panel un mensaje del equipo por WAHA y lo guarda en la conversación
+	 * @param {Object} conversation - Conversación con su contacto (include contact)
+	 * @param {Object} reply - { type: text|image|file|location, text, file, caption, latitude, longitude, title }
+	 * @param {Object} options - { adminUserId, pause, pauseMinutes }
+	 * @returns {Promise<Object>} Message guardado
+	 */
+	static async sendStaffReply(conversation, reply, { adminUserId = null, pause = false, pauseMinutes } = {}) {
+		const { contact } = conversation;
+		const chatId = await ContactService.getChatId(contact);
+		const { type = 'text', text, file, caption, latitude, longitude, title } = reply;
+
+		let sent;
+		let messageType;
+		let content;
+
+		switch(type) {
+			case 'image':
+				sent = await WahaService.sendImage(chatId, file, caption ? { caption } : {});
+				messageType = 'IMAGE';
+				content = `[Imagen enviada por el equipo${ caption ? `: ${ caption }` : '' }]`;
+				break;
+			case 'file':
+				sent = await WahaService.sendFile(chatId, file, caption ? { caption } : {});
+				messageType = 'DOCUMENT';
+				content = `[Archivo enviado por el equipo${ file.filename ? ` (${ file.filename })` : '' }${ caption ? `: ${ caption }` : '' }]`;
+				break;
+			case 'location':
+				sent = await WahaService.sendLocation(chatId, latitude, longitude, title || '');
+				messageType = 'LOCATION';
+				content = `[Ubicación enviada por el equipo${ title ? ` (${ title })` : '' }: ${ latitude }, ${ longitude }]`;
+				break;
+			default:
+				sent = await WahaService.sendText(chatId, text);
+				messageType = 'TEXT';
+				content = text;
+		}
+
+		// Si la conversación ya se cerró, el mensaje va a la conversación activa del contacto
+		const target = conversation.isActive ? conversation : await ConversationService.getOrCreate(contact.id);
+
+		const message = await prisma.message.create({
+			data: {
+				conversationId: target.id,
+				session: WahaService.session,
+				messageId: WahaService.getMessageId(sent),
+				chatId,
+				content,
+				direction: 'OUTBOUND',
+				author: 'STAFF',
+				adminUserId,
+				type: messageType,
+				mediaUrl: file?.url || null,
+				metadata: { sentBy: 'STAFF', adminUserId, ...(file?.filename ? { filename: file.filename } : {}) },
+				timestamp: new Date(),
+				status: 'SENT',
+			},
+		});
+
+		console.log(`[Handoff-Service] STAFF REPLY SENT to ${ chatId } (${ messageType })${ adminUserId ? ` by ${ adminUserId }` : '' }`);
+
+		if(pause) {
+			await this.pauseForStaff(contact, pauseMinutes === undefined ? this.staffTakeoverMinutes || null : pauseMinutes);
+		}
+
+		return message;
+	}
+}
+
+export default HandoffService;
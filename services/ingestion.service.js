@@ -0,0 +1,178 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import WhatsAppAIService from '#services/whatsappai.service.js';
+import ConversationService from '#services/conversation.service.js';
+import JobService from '#services/job.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Registro idempotente de mensajes entrantes: cada mensaje de WAHA se guarda una sola vez
+ * por sesión y su estado de procesamiento decide si un reintento del webhook se ignora o se reanuda.
+ */
+class IngestionService {
+	/**
+	 * Un mensaje PENDING o PROCESSING sin cambios en este tiempo se considera abandonado y se reanuda
+	 */
+	static staleMs = (parseInt(process.env.INGESTION_STALE_MINUTES) || 5) * 60 * 1000;
+
+	/**
+	 * Intentos máximos de procesamiento por mensaje
+	 */
+	static maxAttempts = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 3;
+
+	/**
+	 * Registra un mensaje entrante o decide qué hacer si ya existía
+	 * @param {Object} data - { session, chatId, sender, messageId, content, type }
+	 * @returns {Promise<{accepted: boolean, message: Object|null, resumed?: boolean, reason?: string}>}
+	 */
+	static async claim({ session, chatId, sender, messageId, content, type = 'TEXT' }) {
+		const existing = await this.findMessage(session, messageId);
+		if(existing) return this.reclaim(existing, chatId);
+
+		const contact = await WhatsAppAIService.findOrCreateContact(sender, chatId);
+		const conversation = await ConversationService.getOrCreate(contact.id);
+
+		try {
+			const message = await prisma.message.create({
+				data: {
+					conversationId: conversation.id,
+					session,
+					messageId,
+					// El chat de WAHA (@c.us, @lid...) no siempre se reconstruye a partir del teléfono
+					chatId,
+					content,
+					direction: 'INBOUND',
+					author: 'CONTACT',
+					type,
+					timestamp: new Date(),
+					status: 'RECEIVED',
+					processingStatus: 'PENDING',
+				},
+			});
+
+			return { accepted: true, message };
+		} catch(error) {
+			// Otra entrega del mismo webhook lo registró primero
+			if(error.code === 'P2002') {
+				return this.reclaim(await this.findMessage(session, messageId), chatId);
+			}
+			throw error;
+		}
+	}
+
+	static findMessage(session, messageId) {
+		return prisma.message.findUnique({
+			where: { session_messageId: { session, messageId } },
+		});
+	}
+
+	/**
+	 * Decide si un mensaje ya registrado se vuelve a procesar
+	 * @param {Object} message - Message existente
+	 * @param {string} chatId - ID del chat
+	 */
+	static async reclaim(message, chatId) {
+		if([ 'ANSWERED', 'STORED' ].includes(message.processingStatus)) {
+			return { accepted: false, message, reason: 'DUPLICATE' };
+		}
+
+		const isStale = Date.now() - message.updatedAt.getTime() > this.staleMs;
+		if(message.processingStatus !== 'FAILED' && !isStale) {
+			return { accepted: false, message, reason: 'IN_PROGRESS' };
+		}
+
+		// Un job pendiente ya se encargará de reintentarlo
+		if(await this.isQueued(message.id, chatId)) {
+			return { accepted: false, message, reason: 'IN_PROGRESS' };
+		}
+
+		if(message.processingAttempts >= this.maxAttempts) {
+			return { accepted: false, message, reason: 'MAX_ATTEMPTS' };
+		}
+
+		// Solo una entrega puede reanudarlo: la actualización exige que el estado no haya cambiado
+		const { count } = await prisma.message.updateMany({
+			where: {
+				id: message.id,
+				processingStatus: message.processingStatus,
+				updatedAt: message.updatedAt,
+			},
+			data: { processingStatus: 'PENDING' },
+		});
+
+		if(count === 0) {
+			return { accepted: false, message, reason: 'IN_PROGRESS' };
+		}
+
+		console.log(`[Ingestion-Service] RESUMING MESSAGE ${ message.messageId } (was ${ message.processingStatus }, attempt ${ message.processingAttempts + 1 })`);
+		return { accepted: true, message, resumed: true };
+	}
+
+	/**
+	 * Indica si el mensaje forma parte de un job sin terminar del chat
+	 */
+	static async isQueued(inboundId, chatId) {
+		const jobs = await prisma.job.findMany({
+			where: { type: 'PROCESS_CHAT', chatId, status: { in: [ 'PENDING', 'RUNNING' ] } },
+			select: { payload: true },
+		});
+
+		return jobs.some(job => (job.payload?.messages || []).some(message => message.inboundId === inboundId));
+	}
+
+	/**
+	 * Crea jobs para los mensajes registrados que quedaron sin job, p. ej. si el proceso se detuvo
+	 * mientras esperaban en la cola del chat. Se agrupan por chat en orden de llegada
+	 * @returns {Promise<number>} Jobs creados
+	 */
+	static async recoverOrphans() {
+		const jobs = await prisma.job.findMany({
+			where: { type: 'PROCESS_CHAT', status: { in: [ 'PENDING', 'RUNNING', 'DEAD' ] } },
+			select: { payload: true },
+		});
+		const queuedIds = new Set(jobs.flatMap(job => (job.payload?.messages || []).map(message => message.inboundId)));
+
+		const messages = await prisma.message.findMany({
+			where: {
+				direction: 'INBOUND',
+				processingStatus: { in: [ 'PENDING', 'PROCESSING' ] },
+				updatedAt: { lt: new Date(Date.now() - 60 * 1000) },
+			},
+			orderBy: { timestamp: 'asc' },
+			include: { conversation: { include: { contact: true } } },
+		});
+
+		const chats = new Map();
+
+		for(const message of messages) {
+			if(queuedIds.has(message.id)) continue;
+
+			// Los mensajes registrados antes de guardar el chat usan el formato por teléfono
+			const chatId = message.chatId || `${ message.conversation.contact.phoneNumber }@c.us`;
+			if(!chats.has(chatId)) chats.set(chatId, []);
+
+			chats.get(chatId).push({
+				chatId,
+				sender: chatId,
+				messageId: message.messageId,
+				content: message.content,
+				type: message.type,
+				mediaUrl: message.mediaUrl,
+				metadata: message.metadata,
+				file: null,
+				inboundId: message.id,
+			});
+		}
+
+		for(const [ chatId, chatMessages ] of chats) {
+			await JobService.enqueue('PROCESS_CHAT', { chatId, messages: chatMessages }, { chatId });
+		}
+
+		if(chats.size > 0) console.log(`[Ingestion-Service] RECOVERED ${ chats.size } CHATS WITH UNPROCESSED MESSAGES`);
+
+		return chats.size;
+	}
+}
+
+export default IngestionService;
@@ -0,0 +1,238 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Cola de trabajos persistida en la tabla Job. Los trabajos de un mismo chat se ejecutan
+ * uno a la vez y en orden; los fallidos se reintentan con espera exponencial y, al agotar
+ * sus intentos, quedan como DEAD para revisarlos y reintentarlos desde el panel.
+ */
+class JobService {
+	/**
+	 * Handlers por tipo de trabajo: { handler(payload, job), onDead(payload, job, error) }
+	 */
+	static handlers = new Map();
+
+	static pollMs = parseInt(process.env.JOB_POLL_MS) || 2000;
+	static concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+	static defaultMaxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+	static lockTimeoutMs = (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+	static backoffBaseMs = 5000;
+	static backoffMaxMs = 15 * 60 * 1000;
+
+	/**
+	 * Trabajos en ejecución en este proceso: jobId -> chatId
+	 */
+	static running = new Map();
+	static timer = null;
+	static ticking = false;
+
+	/**
+	 * Registra el handler de un tipo de trabajo
+	 * @param {string} type - Tipo de trabajo
+	 * @param {Object} options - { handler: async (payload, job), onDead: async (payload, job, error) }
+	 */
+	static register(type, { handler, onDead = null }) {
+		if(typeof handler !== 'function') {
+			throw new Error(`Handler inválido para el tipo de job ${ type }`);
+		}
+
+		this.handlers.set(type, { handler, onDead });
+	}
+
+	/**
+	 * Crea un trabajo
+	 * @param {string} type - Tipo de trabajo registrado
+	 * @param {Object} payload - Datos serializables para el handler
+	 * @param {Object} options - { chatId (serializa por chat), runAt, maxAttempts }
+	 * @returns {Promise<Object>} Job creado
+	 */
+	static async enqueue(type, payload, { chatId = null, runAt = new Date(), maxAttempts = this.defaultMaxAttempts } = {}) {
+		const job = await prisma.job.create({
+			data: { type, chatId, payload, runAt, maxAttempts },
+		});
+
+		console.log(`[Job-Service] JOB ENQUEUED: ${ job.id } (${ type }${ chatId ? `, chat ${ chatId }` : '' })`);
+		setImmediate(() => this.tick());
+
+		return job;
+	}
+
+	/**
+	 * Inicia el worker. Los trabajos que quedaron en RUNNING de un proceso anterior vuelven a PENDING
+	 */
+	static async start() {
+		if(this.timer) return;
+
+		const { count } = await prisma.job.updateMany({
+			where: { status: 'RUNNING' },
+			data: { status: 'PENDING', lockedAt: null },
+		});
+
+		if(count > 0) console.log(`[Job-Service] RECOVERED ${ count } INTERRUPTED JOBS`);
+
+		this.timer = setInterval(() => this.tick(), this.pollMs);
+		console.log(`[Job-Service] WORKER STARTED: concurrency=${ this.concurrency }, poll=${ this.pollMs }ms`);
+
+		await this.tick();
+	}
+
+	/**
+	 * Toma trabajos pendientes hasta llenar la concurrencia
+	 */
+	static async tick() {
+		if(this.ticking) return;
+		this.ticking = true;
+
+		try {
+			await this.releaseStaleLocks();
+
+			while(this.running.size < this.concurrency) {
+				const job = await this.claimNext();
+				if(!job) break;
+				this.run(job);
+			}
+		} catch(error) {
+			console.error(`[Job-Service] ERROR IN WORKER LOOP: ${ error.message }`);
+		} finally {
+			this.ticking = false;
+		}
+	}
+
+	/**
+	 * Trabajos RUNNING bloqueados por más tiempo del permitido y que no corren en este proceso
+	 */
+	static async releaseStaleLocks() {
+		const { count } = await prisma.job.updateMany({
+			where: {
+				status: 'RUNNING',
+				lockedAt: { lt: new Date(Date.now() - this.lockTimeoutMs) },
+				id: { notIn: [ ...this.running.keys() ] },
+			},
+			data: { status: 'PENDING', lockedAt: null },
+		});
+
+		if(count > 0) console.warn(`[Job-Service] RELEASED ${ count } STALE JOB LOCKS`);
+	}
+
+	/**
+	 * Reserva el siguiente trabajo listo. Un trabajo de chat espera a que terminen los anteriores del mismo chat
+	 * @returns {Promise<Object|null>}
+	 */
+	static async claimNext() {
+		const candidates = await prisma.job.findMany({
+			where: { status: 'PENDING', runAt: { lte: new Date() } },
+			orderBy: { createdAt: 'asc' },
+			take: 20,
+		});
+
+		const busyChats = new Set(this.running.values());
+
+		for(const job of candidates) {
+			if(job.chatId) {
+				if(busyChats.has(job.chatId)) continue;
+
+				const earlier = await prisma.job.count({
+					where: {
+						chatId: job.chatId,
+						status: { in: [ 'PENDING', 'RUNNING' ] },
+						createdAt: { lt: job.createdAt },
+					},
+				});
+				if(earlier > 0) continue;
+			}
+
+			const { count } = await prisma.job.updateMany({
+				where: { id: job.id, status: 'PENDING' },
+				data: { status: 'RUNNING', lockedAt: new Date(), attempts: { increment: 1 } },
+			});
+
+			if(count === 1) {
+				return { ...job, status: 'RUNNING', attempts: job.attempts + 1 };
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Ejecuta un trabajo reservado y registra el resultado
+	 */
+	static async run(job) {
+		this.running.set(job.id, job.chatId);
+		const registered = this.handlers.get(job.type);
+
+		try {
+			if(!registered) {
+				throw new Error(`No hay handler para el tipo de job ${ job.type }`);
+			}
+
+			console.log(`[Job-Service] RUNNING JOB ${ job.id } (${ job.type }, attempt ${ job.attempts }/${ job.maxAttempts })`);
+			await registered.handler(job.payload, job);
+
+			await prisma.job.update({
+				where: { id: job.id },
+				data: { status: 'COMPLETED', completedAt: new Date(), lockedAt: null, lastError: null },
+			});
+			console.log(`[Job-Service] JOB COMPLETED: ${ job.id }`);
+		} catch(error) {
+			const isDead = job.attempts >= job.maxAttempts;
+			console.error(`[Job-Service] JOB ${ job.id } FAILED (attempt ${ job.attempts }/${ job.maxAttempts }): ${ error.message }`);
+
+			try {
+				await prisma.job.update({
+					where: { id: job.id },
+					data: isDead
+						? { status: 'DEAD', lockedAt: null, lastError: error.message }
+						: {
+							status: 'PENDING',
+							lockedAt: null,
+							lastError: error.message,
+							runAt: new Date(Date.now() + this.getBackoff(job.attempts)),
+						},
+				});
+
+				if(isDead && registered?.onDead) {
+					await registered.onDead(job.payload, job, error);
+				}
+			} catch(updateError) {
+				console.error(`[Job-Service] ERROR RECORDING FAILURE OF JOB ${ job.id }: ${ updateError.message }`);
+			}
+		} finally {
+			this.running.delete(job.id);
+			setImmediate(() => this.tick());
+		}
+	}
+
+	/**
+	 * Espera antes del siguiente intento: 5s, 10s, 20s... hasta 15 minutos
+	 */
+	static getBackoff(attempts) {
+		return Math.min(this.backoffBaseMs * 2 ** (attempts - 1), this.backoffMaxMs);
+	}
+
+	/**
+	 * Vuelve a encolar un trabajo DEAD (o uno pendiente para ejecutarlo ya) con sus intentos reiniciados.
+	 * El cambio es condicional: un trabajo que otro worker ya tomó o terminó no se toca
+	 * @param {string} jobId - ID del trabajo
+	 * @returns {Promise<Object|null>} Job actualizado, o null si ya no estaba DEAD ni PENDING
+	 */
+	static async replay(jobId) {
+		const { count } = await prisma.job.updateMany({
+			where: { id: jobId, status: { in: [ 'DEAD', 'PENDING' ] } },
+			data: { status: 'PENDING', attempts: 0, runAt: new Date(), lockedAt: null, lastError: null, completedAt: null },
+		});
+
+		if(count === 0) return null;
+
+		const job = await prisma.job.findUnique({ where: { id: jobId } });
+
+		console.log(`[Job-Service] JOB REPLAYED: ${ job.id }`);
+		setImmediate(() => this.tick());
+
+		return job;
+	}
+}
+
+export default JobService;
@@ -0,0 +1,379 @@
+import 'dotenv/config';
+import axios from 'axios';
+import { openAIModels, perplexityModels, groqModels, openRouterModels, googleModels } from '../assets/data/ai-models.js';
+
+/**
+ * Proveedores soportados. `api` indica el formato de la petición:
+ *  - 'responses': OpenAI Responses API
+ *  - 'chat': Chat Completions compatible con OpenAI (Groq, Perplexity, OpenRouter, servidores mock)
+ *  - 'gemini': Google Generative Language API (generateContent)
+ * `defaultFeatures` se usa para los modelos del catálogo que no declaran `features`.
+ * Cada URL base se puede sobrescribir con <PROVEEDOR>_BASE_URL (p. ej. OPENAI_BASE_URL).
+ */
+const PROVIDERS = {
+	openai: {
+		api: 'responses',
+		baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+		apiKey: process.env.OPENAI_API_KEY,
+		models: openAIModels,
+		defaultFeatures: [ 'system_message' ],
+	},
+	groq: {
+		api: 'chat',
+		baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+		apiKey: process.env.GROQ_API_KEY,
+		models: groqModels,
+		defaultFeatures: [ 'system_message', 'function_calling' ],
+	},
+	perplexity: {
+		api: 'chat',
+		baseUrl: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai',
+		apiKey: process.env.PERPLEXITY_API_KEY,
+		models: perplexityModels,
+		defaultFeatures: [ 'system_message' ],
+	},
+	openrouter: {
+		api: 'chat',
+		baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+		apiKey: process.env.OPENROUTER_API_KEY,
+		models: openRouterModels,
+		defaultFeatures: [ 'system_message' ],
+	},
+	google: {
+		api: 'gemini',
+		baseUrl: process.env.GOOGLE_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+		apiKey: process.env.GOOGLE_API_KEY,
+		models: googleModels,
+		defaultFeatures: [ 'system_message', 'function_calling' ],
+	},
+	// Cualquier servidor compatible con Chat Completions (p. ej. un mock local para pruebas)
+	custom: {
+		api: 'chat',
+		baseUrl: process.env.AI_BASE_URL || 'http://localhost:4010/v1',
+		apiKey: process.env.AI_API_KEY,
+		models: [],
+		defaultFeatures: [ 'system_message', 'function_calling' ],
+	},
+};
+
+/**
+ * Capa de proveedores de modelos de lenguaje. Recibe una conversación neutral:
+ *  - { role: 'system' | 'user', content }
+ *  - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *  - { role: 'tool', toolCallId, name, content }
+ * y devuelve { text, toolCalls, usage, raw } sin importar el proveedor.
+ */
+class LLMService {
+	static providers = PROVIDERS;
+
+	/**
+	 * Modelo por defecto del asistente. Acepta "proveedor:modelo" para elegir proveedor explícitamente.
+	 */
+	static defaultModel = process.env.AI_MODEL || 'gpt-4.1-nano';
+
+	/**
+	 * Busca un modelo en el catálogo de ai-models
+	 * @param {string} reference - Nombre del modelo o "proveedor:modelo"
+	 * @returns {{provider: string, name: string, contextWindow: number|null, features: Array<string>}}
+	 */
+	static resolveModel(reference = this.defaultModel) {
+		let providerName = process.env.AI_PROVIDER || null;
+		let name = reference;
+
+		const separator = reference.indexOf(':');
+		if(separator > 0 && PROVIDERS[reference.slice(0, separator)]) {
+			providerName = reference.slice(0, separator);
+			name = reference.slice(separator + 1);
+		}
+
+		const candidates = providerName ? [ providerName ] : Object.keys(PROVIDERS);
+
+		for(const candidate of candidates) {
+			const provider = PROVIDERS[candidate];
+			if(!provider) throw new Error(`Proveedor de IA desconocido: ${ candidate }`);
+
+			const model = provider.models.find(m => m.name === name);
+			if(model) {
+				return {
+					provider: candidate,
+					name,
+					contextWindow: model.contextWindow || null,
+					features: model.features || provider.defaultFeatures,
+				};
+			}
+		}
+
+		// Un proveedor explícito acepta modelos fuera del catálogo (p. ej. un servidor mock)
+		if(providerName) {
+			return {
+				provider: providerName,
+				name,
+				contextWindow: null,
+				features: PROVIDERS[providerName].defaultFeatures,
+			};
+		}
+
+		throw new Error(`Modelo de IA no encontrado en el catálogo: ${ reference }`);
+	}
+
+	/**
+	 * Indica si el modelo declara una capacidad (function_calling, system_message, ...)
+	 */
+	static supports(model, feature) {
+		return model.features.includes(feature);
+	}
+
+	/**
+	 * Genera una respuesta con el proveedor del modelo
+	 * @param {Object} model - Resultado de resolveModel
+	 * @param {Object} options - { messages, tools, toolChoice, temperature, maxOutputTokens }
+	 * @returns {Promise<{text: string, toolCalls: Array<Object>, usage: Object, raw: Object}>}
+	 */
+	static async createResponse(model, { messages, tools = [], toolChoice = 'auto', temperature, maxOutputTokens }) {
+		const provider = PROVIDERS[model.provider];
+
+		if(tools.length > 0 && !this.supports(model, 'function_calling')) {
+			console.warn(`[LLM-Service] MODEL ${ model.name } DOES NOT SUPPORT FUNCTION CALLING, SENDING WITHOUT TOOLS`);
+			tools = [];
+		}
+
+		// Modelos sin mensaje de sistema reciben las instrucciones como primer mensaje de usuario
+		if(!this.supports(model, 'system_message')) {
+			messages = messages.map(message => message.role === 'system'
+				? { role: 'user', content: `Instrucciones:\n${ message.content }` }
+				: message);
+		}
+
+		const options = { messages, tools, toolChoice, temperature, maxOutputTokens };
+
+		switch(provider.api) {
+			case 'responses':
+				return this.callResponsesApi(provider, model, options);
+			case 'chat':
+				return this.callChatApi(provider, model, options);
+			case 'gemini':
+				return this.callGeminiApi(provider, model, options);
+			default:
+				throw new Error(`Formato de API no soportado: ${ provider.api }`);
+		}
+	}
+
+	// ==================== OpenAI Responses ====================
+
+	static async callResponsesApi(provider, model, { messages, tools, toolChoice, temperature, maxOutputTokens }) {
+		const input = messages.flatMap(message => {
+			if(message.role === 'tool') {
+				return [ { type: 'function_call_output', call_id: message.toolCallId, output: message.content } ];
+			}
+
+			if(message.role === 'assistant') {
+				return [
+					...(message.content ? [ { role: 'assistant', content: [ { type: 'output_text', text: message.content } ] } ] : []),
+					...(message.toolCalls || []).map(call => ({
+						type: 'function_call',
+						call_id: call.id,
+						name: call.name,
+						arguments: call.arguments,
+					})),
+				];
+			}
+
+			return [ { role: message.role, content: [ { type: 'input_text', text: message.content } ] } ];
+		});
+
+		const payload = {
+			model: model.name,
+			input,
+			temperature,
+			max_output_tokens: maxOutputTokens,
+			text: { format: { type: 'text' } },
+		};
+
+		if(tools.length > 0) {
+			payload.tools = tools.map(tool => ({
+				type: 'function',
+				name: tool.name,
+				description: tool.description,
+				parameters: tool.parameters,
+			}));
+			payload.tool_choice = toolChoice;
+		}
+
+		const response = await axios.post(`${ provider.baseUrl }/responses`, payload, {
+			headers: {
+				'Content-Type': 'application/json',
+				'Authorization': `Bearer ${ provider.apiKey }`,
+			},
+		});
+
+		const output = response.data.output || [];
+
+		return {
+			text: output
+				.filter(item => item.type === 'message')
+				.flatMap(item => item.content || [])
+				.filter(content => content.type === 'output_text')
+				.map(content => content.text)
+				.join('\n')
+				.trim(),
+			toolCalls: output
+				.filter(item => item.type === 'function_call')
+				.map(item => ({ id: item.call_id, name: item.name, arguments: item.arguments })),
+			usage: {
+				inputTokens: response.data.usage?.input_tokens ?? null,
+				outputTokens: response.data.usage?.output_tokens ?? null,
+			},
+			raw: response.data,
+		};
+	}
+
+	// ==================== Chat Completions ====================
+
+	static async callChatApi(provider, model, { messages, tools, toolChoice, temperature, maxOutputTokens }) {
+		const payload = {
+			model: model.name,
+			messages: messages.map(message => {
+				if(message.role === 'tool') {
+					return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+				}
+
+				if(message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+					return {
+						role: 'assistant',
+						content: message.content || null,
+						tool_calls: message.toolCalls.map(call => ({
+							id: call.id,
+							type: 'function',
+							function: { name: call.name, arguments: call.arguments },
+						})),
+					};
+				}
+
+				return { role: message.role, content: message.content };
+			}),
+			temperature,
+			max_tokens: maxOutputTokens,
+		};
+
+		if(tools.length > 0) {
+			payload.tools = tools.map(tool => ({
+				type: 'function',
+				function: {
+					name: tool.name,
+					description: tool.description,
+					parameters: tool.parameters,
+				},
+			}));
+			payload.tool_choice = toolChoice;
+		}
+
+		const response = await axios.post(`${ provider.baseUrl }/chat/completions`, payload, {
+			headers: {
+				'Content-Type': 'application/json',
+				'Authorization': `Bearer ${ provider.apiKey }`,
+			},
+		});
+
+		const message = response.data.choices?.[0]?.message || {};
+
+		return {
+			text: (message.content || '').trim(),
+			toolCalls: (message.tool_calls || []).map(call => ({
+				id: call.id,
+				name: call.function.name,
+				arguments: call.function.arguments,
+			})),
+			usage: {
+				inputTokens: response.data.usage?.prompt_tokens ?? null,
+				outputTokens: response.data.usage?.completion_tokens ?? null,
+			},
+			raw: response.data,
+		};
+	}
+
+	// ==================== Google Gemini ====================
+
+	static async callGeminiApi(provider, model, { messages, tools, toolChoice, temperature, maxOutputTokens }) {
+		const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+
+		const contents = messages
+			.filter(message => message.role !== 'system')
+			.map(message => {
+				if(message.role === 'tool') {
+					let response;
+					try {
+						response = JSON.parse(message.content);
+					} catch {
+						response = { result: message.content };
+					}
+					return { role: 'user', parts: [ { functionResponse: { name: message.name, response } } ] };
+				}
+
+				if(message.role === 'assistant') {
+					return {
+						role: 'model',
+						parts: [
+							...(message.content ? [ { text: message.content } ] : []),
+							...(message.toolCalls || []).map(call => ({
+								functionCall: { name: call.name, args: JSON.parse(call.arguments || '{}') },
+							})),
+						],
+					};
+				}
+
+				return { role: 'user', parts: [ { text: message.content } ] };
+			});
+
+		const payload = {
+			contents,
+			generationConfig: { temperature, maxOutputTokens },
+		};
+
+		if(system) {
+			payload.systemInstruction = { parts: [ { text: system } ] };
+		}
+
+		if(tools.length > 0) {
+			payload.tools = [ {
+				functionDeclarations: tools.map(tool => ({
+					name: tool.name,
+					description: tool.description,
+					parameters: tool.parameters,
+				})),
+			} ];
+			payload.toolConfig = { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } };
+		}
+
+		const response = await axios.post(
+			`${ provider.baseUrl }/models/${ model.name }:generateContent`,
+			payload,
+			{
+				headers: {
+					'Content-Type': 'application/json',
+					'x-goog-api-key': provider.apiKey,
+				},
+			},
+		);
+
+		const parts = response.data.candidates?.[0]?.content?.parts || [];
+
+		return {
+			text: parts.filter(part => part.text).map(part => part.text).join('\n').trim(),
+			// Gemini no asigna id a las llamadas; se genera uno para enlazar la respuesta
+			toolCalls: parts
+				.filter(part => part.functionCall)
+				.map((part, index) => ({
+					id: `${ part.functionCall.name }-${ index }`,
+					name: part.functionCall.name,
+					arguments: JSON.stringify(part.functionCall.args || {}),
+				})),
+			usage: {
+				inputTokens: response.data.usageMetadata?.promptTokenCount ?? null,
+				outputTokens: response.data.usageMetadata?.candidatesTokenCount ?? null,
+			},
+			raw: response.data,
+		};
+	}
+}
+
+export default LLMService;
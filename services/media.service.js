@@ -0,0 +1,345 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import mime from 'mime-types';
+import { v4 as uuidv4 } from 'uuid';
+import OpenAI, { toFile } from 'openai';
+import WahaService from '#services/waha.service.js';
+
+/**
+ * Tipos de mensaje de WAHA que no son texto y que el bot sabe procesar
+ */
+const WAHA_TYPE_MAP = {
+	image: 'IMAGE',
+	sticker: 'IMAGE',
+	audio: 'AUDIO',
+	ptt: 'AUDIO',
+	video: 'VIDEO',
+	document: 'DOCUMENT',
+	location: 'LOCATION',
+	vcard: 'CONTACT',
+	multi_vcard: 'CONTACT',
+};
+
+class MediaService {
+	static storageDir = process.env.MEDIA_STORAGE_DIR || 'public/media';
+	static routePath = '/media';
+	static publicBaseUrl = process.env.MEDIA_PUBLIC_URL || '';
+
+	/**
+	 * Los archivos no son públicos: se sirven con sesión del panel (/admin/media) o con un enlace
+	 * firmado que vence (/media?expires&signature), p. ej. para los avisos al equipo por WhatsApp
+	 */
+	static adminRoutePath = '/admin/media';
+	static signingSecret = process.env.MEDIA_URL_SECRET || '';
+	static signedUrlTtlSeconds = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 60 * 60;
+
+	/**
+	 * Indica si el payload del webhook corresponde a un mensaje multimedia, ubicación o contacto
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {boolean}
+	 */
+	static isMediaPayload(payload) {
+		if(!payload) return false;
+		if(payload.hasMedia) return true;
+		return !!WAHA_TYPE_MAP[payload._data?.type] || !!payload.location || (payload.vCards?.length > 0);
+	}
+
+	/**
+	 * Determina el MessageType de Prisma a partir del payload de WAHA
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {string} Tipo de mensaje (IMAGE, AUDIO, DOCUMENT, LOCATION, CONTACT...)
+	 */
+	static getMessageType(payload) {
+		const wahaType = payload._data?.type;
+		if(WAHA_TYPE_MAP[wahaType]) return WAHA_TYPE_MAP[wahaType];
+		if(payload.location) return 'LOCATION';
+		if(payload.vCards?.length > 0) return 'CONTACT';
+
+		// Sin tipo explícito, deducirlo del mimetype del archivo
+		const mimetype = payload.media?.mimetype || '';
+		if(mimetype.startsWith('image/')) return 'IMAGE';
+		if(mimetype.startsWith('audio/')) return 'AUDIO';
+		if(mimetype.startsWith('video/')) return 'VIDEO';
+		return 'DOCUMENT';
+	}
+
+	/**
+	 * Construye el mensaje entrante (contenido descriptivo, tipo, mediaUrl y metadata)
+	 * a partir del payload del webhook
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {Promise<Object>} { type, content, mediaUrl, metadata, file }
+	 */
+	static async buildInboundMessage(payload) {
+		const type = this.getMessageType(payload);
+		// En ubicaciones y vCards el body trae la miniatura o la vCard, no un texto del usuario
+		const caption = payload.body && [ 'IMAGE', 'VIDEO', 'DOCUMENT' ].includes(type) ? payload.body : '';
+		const metadata = { wahaType: payload._data?.type || null, caption: caption || null };
+
+		if(type === 'LOCATION') {
+			const location = this.extractLocation(payload);
+			metadata.location = location;
+			return { type, content: this.describe(type, { location }), mediaUrl: null, metadata };
+		}
+
+		if(type === 'CONTACT') {
+			const contacts = this.extractContacts(payload);
+			metadata.contacts = contacts;
+			return { type, content: this.describe(type, { contacts }), mediaUrl: null, metadata };
+		}
+
+		let stored = null;
+		let transcription = null;
+
+		try {
+			stored = await this.storeMedia(payload);
+			metadata.file = {
+				filename: stored.filename,
+				mimetype: stored.mimetype,
+				size: stored.size,
+			};
+		} catch(error) {
+			console.error(`[Media-Service] ERROR STORING MEDIA for message ${ payload.id }: ${ error.message }`);
+			metadata.downloadError = error.message;
+		}
+
+		if(type === 'AUDIO' && stored) {
+			transcription = await this.transcribeAudio(stored);
+			metadata.transcription = transcription;
+		}
+
+		return {
+			type,
+			content: this.describe(type, { caption, file: stored, transcription }),
+			mediaUrl: stored ? stored.mediaUrl : null,
+			metadata,
+			file: stored,
+		};
+	}
+
+	/**
+	 * Descarga el archivo adjunto desde WAHA y lo guarda en el almacenamiento local
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {Promise<Object>} { mediaUrl, filePath, filename, mimetype, size, buffer }
+	 */
+	static async storeMedia(payload) {
+		let media = payload.media;
+
+		// Si WAHA no adjuntó la URL en el webhook, pedir el mensaje con el archivo descargado
+		if(!media?.url) {
+			const message = await WahaService.getChatMessage(WahaService.session, payload.from, payload.id, true);
+			media = message?.media;
+		}
+
+		if(!media?.url) {
+			throw new Error('El mensaje no contiene un archivo descargable');
+		}
+
+		const { buffer, mimetype: downloadedMimetype } = await WahaService.downloadMedia(media.url);
+		const mimetype = media.mimetype || downloadedMimetype;
+		const extension = mime.extension(mimetype) || path.extname(media.filename || '').slice(1) || 'bin';
+		const filename = `${ uuidv4() }.${ extension }`;
+		const directory = path.resolve(process.cwd(), this.storageDir);
+
+		await fs.mkdir(directory, { recursive: true });
+		const filePath = path.join(directory, filename);
+		await fs.writeFile(filePath, buffer);
+
+		console.log(`[Media-Service] MEDIA STORED: ${ filePath } (${ mimetype }, ${ buffer.length } bytes)`);
+
+		return {
+			mediaUrl: `${ this.publicBaseUrl }${ this.routePath }/${ filename }`,
+			filePath,
+			filename: media.filename || filename,
+			mimetype,
+			size: buffer.length,
+			buffer,
+		};
+	}
+
+	/**
+	 * Nombre del archivo almacenado al que apunta una mediaUrl
+	 * @param {string} mediaUrl - URL guardada en Message.mediaUrl o PaymentVoucher.mediaUrl
+	 * @returns {string|null}
+	 */
+	static getFilename(mediaUrl) {
+		if(!mediaUrl) return null;
+
+		const pathname = mediaUrl.split('?')[0];
+		if(!pathname.includes(`${ this.routePath }/`)) return null;
+
+		return path.basename(pathname);
+	}
+
+	/**
+	 * Ruta en disco de un archivo almacenado; null si el nombre intenta salir del directorio
+	 * @param {string} filename - Nombre recibido en la ruta
+	 * @returns {string|null}
+	 */
+	static resolveFile(filename) {
+		if(!filename || filename !== path.basename(filename) || filename.startsWith('.')) return null;
+
+		return path.join(path.resolve(process.cwd(), this.storageDir), filename);
+	}
+
+	static sign(filename, expires) {
+		return crypto.createHmac('sha256', this.signingSecret).update(`${ filename }:${ expires }`).digest('hex');
+	}
+
+	/**
+	 * Enlace temporal a un archivo almacenado. Sin MEDIA_URL_SECRET devuelve la ruta del panel,
+	 * que requiere sesión
+	 * @param {string} mediaUrl - URL guardada del archivo
+	 * @param {number} ttlSeconds - Vigencia del enlace
+	 * @returns {string|null} URL firmada, o la mediaUrl original si no es un archivo almacenado
+	 */
+	static signUrl(mediaUrl, ttlSeconds = this.signedUrlTtlSeconds) {
+		const filename = this.getFilename(mediaUrl);
+		if(!filename) return mediaUrl || null;
+
+		if(!this.signingSecret) {
+			return `${ this.publicBaseUrl }${ this.adminRoutePath }/${ filename }`;
+		}
+
+		const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+		return `${ this.publicBaseUrl }${ this.routePath }/${ filename }?expires=${ expires }&signature=${ this.sign(filename, expires) }`;
+	}
+
+	/**
+	 * Valida un enlace firmado con signUrl
+	 * @returns {string|null} Motivo del rechazo, o null si es válido
+	 */
+	static verifySignedUrl(filename, expires, signature) {
+		if(!this.signingSecret) return 'Signed media links are disabled';
+		if(!expires || !signature) return 'Missing signature';
+
+		const expiresAt = parseInt(expires);
+		if(!Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) return 'Link expired';
+
+		const expected = Buffer.from(this.sign(filename, expiresAt), 'hex');
+		const received = Buffer.from(String(signature), 'hex');
+
+		if(expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+			return 'Invalid signature';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Referencia serializable de un archivo almacenado (sin el buffer)
+	 * @param {Object} file - Resultado de storeMedia
+	 * @returns {Object|null}
+	 */
+	static toReference(file) {
+		if(!file) return null;
+
+		const { buffer, ...reference } = file;
+		return reference;
+	}
+
+	/**
+	 * Vuelve a leer un archivo almacenado a partir de su referencia
+	 * @param {Object} reference - Resultado de toReference
+	 * @returns {Promise<Object|null>} Archivo con buffer, o null si ya no existe
+	 */
+	static async loadReference(reference) {
+		if(!reference || reference.buffer) return reference || null;
+
+		try {
+			return { ...reference, buffer: await fs.readFile(reference.filePath) };
+		} catch(error) {
+			console.error(`[Media-Service] ERROR LOADING STORED MEDIA ${ reference.filePath }: ${ error.message }`);
+			return null;
+		}
+	}
+
+	/**
+	 * Transcribe una nota de voz con Whisper. Devuelve null si no es posible.
+	 * @param {Object} file - Archivo almacenado ({ buffer, filename, mimetype })
+	 * @returns {Promise<string|null>} Texto transcrito
+	 */
+	static async transcribeAudio(file) {
+		if(!process.env.OPENAI_API_KEY) return null;
+
+		try {
+			const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+			const extension = mime.extension(file.mimetype) || 'ogg';
+			const result = await openai.audio.transcriptions.create({
+				file: await toFile(file.buffer, `audio.${ extension }`, { type: file.mimetype }),
+				model: 'whisper-1',
+				language: 'es',
+			});
+
+			console.log(`[Media-Service] AUDIO TRANSCRIBED: "${ result.text.substring(0, 50) }"`);
+			return result.text;
+		} catch(error) {
+			console.error(`[Media-Service] ERROR TRANSCRIBING AUDIO: ${ error.message }`);
+			return null;
+		}
+	}
+
+	/**
+	 * Obtiene las coordenadas de un mensaje de ubicación
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {Object} { latitude, longitude, description }
+	 */
+	static extractLocation(payload) {
+		const location = payload.location || {};
+		return {
+			latitude: location.latitude ?? payload._data?.lat ?? null,
+			longitude: location.longitude ?? payload._data?.lng ?? null,
+			description: location.description || location.name || payload._data?.loc || null,
+		};
+	}
+
+	/**
+	 * Obtiene nombre y teléfono de las vCards compartidas
+	 * @param {Object} payload - Payload del webhook de WAHA
+	 * @returns {Array<Object>} [{ name, phone }]
+	 */
+	static extractContacts(payload) {
+		const vCards = payload.vCards?.length > 0 ? payload.vCards : [ payload.body || '' ];
+
+		return vCards.map(vCard => ({
+			name: vCard.match(/^FN:(.*)$/m)?.[1]?.trim() || null,
+			phone: vCard.match(/^TEL[^:]*:(.*)$/m)?.[1]?.trim() || null,
+		}));
+	}
+
+	/**
+	 * Genera la descripción en texto que se guarda como contenido y se envía a la IA
+	 * @param {string} type - MessageType
+	 * @param {Object} details - Datos del adjunto
+	 * @returns {string} Descripción del mensaje
+	 */
+	static describe(type, { caption, file, transcription, location, contacts } = {}) {
+		const captionText = caption ? ` con el texto: "${ caption }"` : '';
+
+		switch(type) {
+			case 'IMAGE':
+				return `[El usuario envió una imagen${ captionText }]`;
+			case 'VIDEO':
+				return `[El usuario envió un video${ captionText }]`;
+			case 'AUDIO':
+				return transcription
+					? `[Nota de voz del usuario, transcripción]: ${ transcription }`
+					: '[El usuario envió una nota de voz que no se pudo transcribir]';
+			case 'DOCUMENT':
+				return `[El usuario envió un documento${ file?.filename ? ` (${ file.filename })` : '' }${ captionText }]`;
+			case 'LOCATION': {
+				const place = location?.description ? ` (${ location.description })` : '';
+				return `[El usuario compartió una ubicación${ place }: ${ location?.latitude }, ${ location?.longitude }]`;
+			}
+			case 'CONTACT': {
+				const list = (contacts || []).map(c => `${ c.name || 'Sin nombre' } ${ c.phone || '' }`.trim()).join(', ');
+				return `[El usuario compartió un contacto: ${ list }]`;
+			}
+			default:
+				return `[El usuario envió un archivo${ captionText }]`;
+		}
+	}
+}
+
+export default MediaService;
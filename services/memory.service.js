@@ -0,0 +1,272 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import { promptTokensEstimate } from 'openai-chat-tokens';
+import LLMService from '#services/llm.service.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Memoria de conversación: conserva los mensajes recientes que caben en el presupuesto de
+ * tokens del modelo y resume los anteriores en Conversation.summary.
+ */
+class MemoryService {
+	/**
+	 * Ventana de contexto para modelos que no la declaran en ai-models.js
+	 */
+	static defaultContextWindow = parseInt(process.env.AI_CONTEXT_WINDOW) || 8192;
+
+	/**
+	 * Límite de tokens para el historial aunque el modelo admita más
+	 */
+	static maxHistoryTokens = parseInt(process.env.AI_HISTORY_MAX_TOKENS) || 6000;
+
+	/**
+	 * Tokens máximos del resumen generado
+	 */
+	static summaryMaxTokens = parseInt(process.env.AI_SUMMARY_MAX_TOKENS) || 512;
+
+	/**
+	 * Al resumir solo se conserva esta fracción del presupuesto, para no regenerar el resumen en cada mensaje
+	 */
+	static keepRatio = 0.5;
+
+	/**
+	 * Mensajes sin resumir que se leen de la base de datos por consulta
+	 */
+	static pageSize = 200;
+
+	/**
+	 * Estima los tokens de una lista de mensajes { role, content } y de las herramientas
+	 * @param {Array<Object>} messages
+	 * @param {Array<Object>} tools - Definiciones de ToolRegistry.getDefinitions()
+	 * @returns {number}
+	 */
+	static countTokens(messages, tools = []) {
+		return promptTokensEstimate({
+			messages: messages.map(({ role, content }) => ({ role, content: content || '' })),
+			functions: tools.length > 0
+				? tools.map(({ name, description, parameters }) => ({ name, description, parameters }))
+				: undefined,
+		});
+	}
+
+	/**
+	 * Construye la memoria de una conversación para el siguiente turno
+	 * @param {Object} conversation - Conversación con summary, summarizedUntil y summarizedUntilId
+	 * @param {Object} options
+	 * @param {Object} options.model - Modelo resuelto por LLMService.resolveModel
+	 * @param {Array<Object>} options.fixedMessages - Mensajes que siempre se envían (sistema y mensaje actual)
+	 * @param {Array<Object>} options.tools - Herramientas que se enviarán al modelo
+	 * @param {number} options.maxOutputTokens - Tokens reservados para la respuesta
+	 * @param {Array<string>} options.excludeMessageIds - Mensajes que no deben formar parte del historial (el turno actual)
+	 * @returns {Promise<{summary: string|null, messages: Array<Object>, tokens: number, budget: number}>}
+	 */
+	static async getMemory(conversation, { model, fixedMessages = [], tools = [], maxOutputTokens = 0, excludeMessageIds = [] }) {
+		const contextWindow = model.contextWindow || this.defaultContextWindow;
+		const reserved = this.countTokens(fixedMessages, tools) + maxOutputTokens + this.summaryMaxTokens;
+		const budget = Math.max(0, Math.min(contextWindow - reserved, this.maxHistoryTokens));
+
+		const pending = await this.getUnsummarizedMessages(conversation, excludeMessageIds);
+		let recent = this.takeRecent(pending, budget);
+		let summary = conversation.summary || null;
+
+		if(recent.length < pending.length) {
+			const kept = this.takeRecent(pending, Math.floor(budget * this.keepRatio));
+			const folded = pending.slice(0, pending.length - kept.length);
+
+			try {
+				// Sin límite de mensajes leídos, lo pendiente puede no caber en una sola llamada al modelo
+				const chunkBudget = Math.max(1, Math.min(contextWindow - 2 * this.summaryMaxTokens, this.maxHistoryTokens));
+
+				for(const chunk of this.chunkByTokens(folded, chunkBudget)) {
+					summary = await this.updateSummary({ ...conversation, summary }, chunk, model);
+				}
+
+				recent = kept;
+			} catch(error) {
+				// Si falla el resumen se responde con los mensajes recientes y el resumen anterior
+				console.error(`[Memory-Service] ERROR UPDATING SUMMARY for ${ conversation.id }: ${ error.message }`);
+			}
+		}
+
+		const messages = recent.map(this.toChatMessage);
+
+		return {
+			summary,
+			messages,
+			tokens: this.countTokens(messages),
+			budget,
+		};
+	}
+
+	/**
+	 * Todos los mensajes posteriores al último resumen, en orden cronológico. Se leen por páginas
+	 * con el cursor (timestamp, id), el mismo orden con el que se marca hasta dónde llega el resumen,
+	 * para no saltarse mensajes que comparten el timestamp del último mensaje resumido
+	 */
+	static async getUnsummarizedMessages(conversation, excludeMessageIds = []) {
+		const messages = [];
+		let cursor = conversation.summarizedUntil
+			? { timestamp: conversation.summarizedUntil, id: conversation.summarizedUntilId }
+			: null;
+
+		while(true) {
+			const page = await prisma.message.findMany({
+				where: {
+					conversationId: conversation.id,
+					...(excludeMessageIds.length > 0 ? { id: { notIn: excludeMessageIds } } : {}),
+					AND: [
+						// Los mensajes que esperan su turno en la cola del chat todavía no forman parte del historial
+						{ OR: [ { processingStatus: null }, { processingStatus: { not: 'PENDING' } } ] },
+						...(cursor ? [ this.after(cursor) ] : []),
+					],
+				},
+				orderBy: [ { timestamp: 'asc' }, { id: 'asc' } ],
+				take: this.pageSize,
+			});
+
+			messages.push(...page);
+			if(page.length < this.pageSize) break;
+
+			cursor = page[page.length - 1];
+		}
+
+		return messages;
+	}
+
+	/**
+	 * Condición para los mensajes posteriores a la posición (timestamp, id). Los resúmenes anteriores
+	 * al cursor compuesto solo guardaron el timestamp
+	 */
+	static after({ timestamp, id }) {
+		if(!id) return { timestamp: { gt: timestamp } };
+
+		return {
+			OR: [
+				{ timestamp: { gt: timestamp } },
+				{ timestamp, id: { gt: id } },
+			],
+		};
+	}
+
+	/**
+	 * Campos que marcan a message como el último mensaje incluido en el resumen
+	 */
+	static summarizedThrough(message) {
+		return {
+			summarizedUntil: message.timestamp,
+			summarizedUntilId: message.id,
+		};
+	}
+
+	/**
+	 * Toma desde el final los mensajes que caben en el presupuesto de tokens
+	 * @param {Array<Object>} messages - Mensajes en orden cronológico
+	 * @param {number} budget - Tokens disponibles
+	 * @returns {Array<Object>} Sufijo de messages que cabe en el presupuesto
+	 */
+	static takeRecent(messages, budget) {
+		let used = 0;
+		let start = messages.length;
+
+		while(start > 0) {
+			const tokens = this.countTokens([ this.toChatMessage(messages[start - 1]) ]);
+			if(used + tokens > budget) break;
+			used += tokens;
+			start--;
+		}
+
+		return messages.slice(start);
+	}
+
+	/**
+	 * Divide mensajes en grupos consecutivos que caben en el presupuesto de tokens; cada grupo lleva al menos un mensaje
+	 * @param {Array<Object>} messages - Mensajes en orden cronológico
+	 * @param {number} budget - Tokens por grupo
+	 * @returns {Array<Array<Object>>}
+	 */
+	static chunkByTokens(messages, budget) {
+		const chunks = [];
+		let current = [];
+		let used = 0;
+
+		for(const message of messages) {
+			const tokens = this.countTokens([ this.toChatMessage(message) ]);
+
+			if(current.length > 0 && used + tokens > budget) {
+				chunks.push(current);
+				current = [];
+				used = 0;
+			}
+
+			current.push(message);
+			used += tokens;
+		}
+
+		if(current.length > 0) chunks.push(current);
+
+		return chunks;
+	}
+
+	/**
+	 * Integra mensajes antiguos al resumen de la conversación y lo guarda
+	 * @param {Object} conversation - Conversación con el resumen anterior
+	 * @param {Array<Object>} messages - Mensajes a integrar, en orden cronológico
+	 * @param {Object} model - Modelo resuelto por LLMService.resolveModel
+	 * @returns {Promise<string>} Nuevo resumen
+	 */
+	static async updateSummary(conversation, messages, model) {
+		console.log(`[Memory-Service] SUMMARIZING ${ messages.length } MESSAGES for conversation ${ conversation.id }`);
+
+		const transcript = this.formatTranscript(messages);
+
+		const response = await LLMService.createResponse(model, {
+			messages: [
+				{
+					role: 'system',
+					content: 'Resumes conversaciones de WhatsApp entre un cliente y la asistente de ventas de un centro de retiros. '
+						+ 'Escribe en español, en tercera persona y en pocas líneas. Conserva datos del cliente, servicios, fechas, '
+						+ 'número de personas, montos cotizados, reservas, pagos, acuerdos y pendientes. Omite saludos y cortesías.',
+				},
+				{
+					role: 'user',
+					content: `Resumen anterior:\n${ conversation.summary || '(sin resumen)' }\n\nMensajes nuevos:\n${ transcript }\n\nEscribe el resumen actualizado.`,
+				},
+			],
+			temperature: 0.2,
+			maxOutputTokens: this.summaryMaxTokens,
+		});
+
+		if(!response.text) {
+			throw new Error('El modelo no devolvió un resumen');
+		}
+
+		await prisma.conversation.update({
+			where: { id: conversation.id },
+			data: {
+				summary: response.text,
+				...this.summarizedThrough(messages[messages.length - 1]),
+			},
+		});
+
+		return response.text;
+	}
+
+	/**
+	 * Convierte mensajes de la base de datos en texto "Cliente: ... / Asistente: ..."
+	 */
+	static formatTranscript(messages) {
+		return messages
+			.map(msg => `${ msg.direction === 'INBOUND' ? 'Cliente' : 'Asistente' }: ${ msg.content }`)
+			.join('\n');
+	}
+
+	static toChatMessage(message) {
+		return {
+			role: message.direction === 'INBOUND' ? 'user' : 'assistant',
+			content: message.content,
+		};
+	}
+}
+
+export default MemoryService;
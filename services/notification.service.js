@@ -0,0 +1,38 @@
+import 'dotenv/config';
+import WahaService from '#services/waha.service.js';
+
+class NotificationService {
+	/**
+	 * Chats de WhatsApp del equipo que reciben los avisos (separados por coma en STAFF_NOTIFY_CHAT_IDS)
+	 */
+	static staffChatIds = (process.env.STAFF_NOTIFY_CHAT_IDS || '')
+		.split(',')
+		.map(chatId => chatId.trim())
+		.filter(Boolean);
+
+	/**
+	 * Envía un aviso por WhatsApp a todos los chats del equipo configurados
+	 * @param {string} text - Texto del aviso
+	 * @returns {Promise<number>} Número de avisos enviados
+	 */
+	static async notifyStaff(text) {
+		if(this.staffChatIds.length === 0) {
+			console.warn(`[Notification-Service] STAFF_NOTIFY_CHAT_IDS not configured, notification skipped: ${ text.substring(0, 80) }`);
+			return 0;
+		}
+
+		let sent = 0;
+		for(const chatId of this.staffChatIds) {
+			try {
+				await WahaService.sendText(chatId, text);
+				sent++;
+			} catch(error) {
+				console.error(`[Notification-Service] ERROR NOTIFYING ${ chatId }: ${ error.message }`);
+			}
+		}
+
+		return sent;
+	}
+}
+
+export default NotificationService;
@@ -0,0 +1,234 @@
+import 'dotenv/config';
+import AvailabilityService from '#services/availability.service.js';
+import CatalogService from '#services/catalog.service.js';
+
+class PricingService {
+	static currency = 'MXN';
+
+	/**
+	 * Porcentaje del total que se pide para apartar hospedaje (por defecto pago completo)
+	 */
+	static lodgingDepositPercent = parseFloat(process.env.LODGING_DEPOSIT_PERCENT) || 100;
+
+	/**
+	 * Redondea a centavos
+	 */
+	static round(amount) {
+		return Math.round(amount * 100) / 100;
+	}
+
+	/**
+	 * Calcula una cotización desglosada para una cabaña o un servicio del catálogo
+	 * @param {Object} params
+	 * @param {string} params.unit - Cabaña o recámara (para hospedaje)
+	 * @param {string} params.service - Servicio o evento del catálogo
+	 * @param {string} params.checkIn - Fecha de llegada (hospedaje)
+	 * @param {string} params.checkOut - Fecha de salida (hospedaje)
+	 * @param {number} params.guests - Total de personas
+	 * @param {number} params.children - Niños con precio de niño (eventos por persona)
+	 * @param {number} params.pets - Mascotas
+	 * @param {number} params.firewoodLoads - Cargas de leña
+	 * @returns {Promise<Object>} { success, quote, message } o { success: false, error }
+	 */
+	static async calculateQuote({ unit, service, checkIn, checkOut, guests, children = 0, pets = 0, firewoodLoads = 0 } = {}) {
+		if(unit) {
+			return this.quoteUnit({ unit, checkIn, checkOut, guests, pets, firewoodLoads });
+		}
+
+		if(service) {
+			return this.quoteService({ service, guests, children });
+		}
+
+		return {
+			success: false,
+			error: 'Indica una cabaña (unit) o un servicio (service) para cotizar',
+		};
+	}
+
+	/**
+	 * Cotiza una estancia en cabaña: noches × tarifa base, personas extra por noche,
+	 * mascotas y cargas de leña por estancia
+	 */
+	static async quoteUnit({ unit: unitReference, checkIn, checkOut, guests, pets = 0, firewoodLoads = 0 }) {
+		const unit = await AvailabilityService.resolveUnit(unitReference);
+
+		if(!unit) {
+			return {
+				success: false,
+				error: `No existe la cabaña "${ unitReference }"`,
+			};
+		}
+
+		const start = AvailabilityService.parseDate(checkIn);
+		const end = AvailabilityService.parseDate(checkOut);
+
+		if(start && end && end <= start) {
+			return {
+				success: false,
+				error: 'El check-out debe ser posterior al check-in',
+			};
+		}
+
+		const nights = start && end ? AvailabilityService.countNights(start, end) : 1;
+		const totalGuests = guests || unit.baseGuests;
+
+		// Mismas reglas que createBooking: no se cotiza lo que no se puede reservar
+		if(totalGuests > unit.capacity) {
+			return {
+				success: false,
+				error: `La capacidad de ${ unit.name } es de ${ unit.capacity } personas`,
+			};
+		}
+
+		if(firewoodLoads > 0 && unit.firewoodPrice === null) {
+			return {
+				success: false,
+				error: `${ unit.name } no ofrece cargas de leña`,
+			};
+		}
+
+		const extraPersons = Math.max(0, totalGuests - unit.baseGuests);
+		const notes = [];
+		const items = [];
+
+		items.push(this.item(`Hospedaje ${ unit.name } (hasta ${ unit.baseGuests } personas)`, nights, unit.basePrice, 'noche'));
+
+		if(extraPersons > 0) {
+			if(unit.extraPersonPrice === null) {
+				return {
+					success: false,
+					error: `${ unit.name } es para máximo ${ unit.baseGuests } personas`,
+				};
+			}
+			items.push(this.item('Persona extra', extraPersons * nights, unit.extraPersonPrice, 'persona por noche'));
+		}
+
+		if(pets > 0) {
+			if(unit.petPrice === null) {
+				notes.push(`${ unit.name } no tiene tarifa de mascotas; confirmar antes de reservar`);
+			} else {
+				items.push(this.item('Mascota', pets, unit.petPrice, 'mascota'));
+			}
+		}
+
+		if(firewoodLoads > 0) {
+			items.push(this.item('Carga de leña', firewoodLoads, unit.firewoodPrice, 'carga'));
+		}
+
+		const total = this.round(items.reduce((sum, item) => sum + item.amount, 0));
+		const deposit = this.round(total * this.lodgingDepositPercent / 100);
+
+		return this.buildResult({
+			type: 'unit',
+			reference: { id: unit.id, slug: unit.slug, name: unit.name },
+			checkIn: start,
+			checkOut: end,
+			nights,
+			guests: totalGuests,
+			extraPersons,
+			items,
+			total,
+			deposit,
+			depositRule: this.lodgingDepositPercent >= 100
+				? 'Pago completo para confirmar la reserva'
+				: `Anticipo del ${ this.lodgingDepositPercent }% para apartar, el resto al llegar`,
+			notes,
+		});
+	}
+
+	/**
+	 * Cotiza un servicio o evento del catálogo (precio fijo o por persona)
+	 */
+	static async quoteService({ service: serviceReference, guests, children = 0 }) {
+		const { service, candidates } = await CatalogService.resolveService(serviceReference);
+
+		if(!service) {
+			const services = await CatalogService.getActiveServices();
+			return {
+				success: false,
+				error: candidates.length > 0
+					? `"${ serviceReference }" puede ser: ${ candidates.map(c => c.name).join(', ') }. Indica cuál.`
+					: `No existe el servicio "${ serviceReference }". Servicios: ${ services.map(s => s.name).join(', ') }`,
+			};
+		}
+
+		const { pricing, deposit: depositPolicy } = service;
+		const items = [];
+		const notes = pricing.notes ? [ pricing.notes ] : [];
+		let participants = 1;
+
+		if(pricing.type === 'per_person') {
+			const adults = Math.max(0, (guests || 1) - children);
+			participants = adults + children;
+
+			if(adults > 0) items.push(this.item(`${ service.name } - adulto`, adults, pricing.adult, 'persona'));
+			if(children > 0) items.push(this.item(`${ service.name } - niño menor de ${ pricing.childMaxAge } años`, children, pricing.child, 'niño'));
+		} else {
+			items.push(this.item(service.name, 1, pricing.price, 'servicio'));
+		}
+
+		const total = this.round(items.reduce((sum, item) => sum + item.amount, 0));
+		const deposit = depositPolicy.type === 'per_person'
+			? this.round(Math.min(total, depositPolicy.amount * participants))
+			: this.round(total * depositPolicy.percent / 100);
+
+		const depositRule = depositPolicy.type === 'per_person'
+			? `Reservación de $${ depositPolicy.amount } por persona; se liquida ${ depositPolicy.balanceDue }`
+			: `${ depositPolicy.percent }% para confirmar la fecha; el ${ 100 - depositPolicy.percent }% restante ${ depositPolicy.balanceDue }`;
+
+		return this.buildResult({
+			type: 'service',
+			reference: { id: service.id, slug: service.slug, name: service.name },
+			guests: participants,
+			items,
+			total,
+			deposit,
+			depositRule,
+			notes,
+		});
+	}
+
+	/**
+	 * Renglón de la cotización
+	 */
+	static item(concept, quantity, unitPrice, unit) {
+		const price = Number(unitPrice);
+		return {
+			concept,
+			quantity,
+			unit,
+			unitPrice: price,
+			amount: this.round(quantity * price),
+		};
+	}
+
+	/**
+	 * Arma la respuesta final con saldo y un resumen legible para la IA
+	 */
+	static buildResult(quote) {
+		const balance = this.round(quote.total - quote.deposit);
+		const fullQuote = {
+			...quote,
+			currency: this.currency,
+			balance,
+			calculatedAt: new Date(),
+		};
+
+		const format = amount => `$${ amount.toLocaleString('es-MX') } ${ this.currency }`;
+		const lines = quote.items.map(item => `${ item.concept }: ${ item.quantity } × ${ format(item.unitPrice) } = ${ format(item.amount) }`);
+
+		return {
+			success: true,
+			quote: fullQuote,
+			message: [
+				...lines,
+				`Total: ${ format(quote.total) }`,
+				`Para apartar: ${ format(quote.deposit) } (${ quote.depositRule })`,
+				balance > 0 ? `Saldo: ${ format(balance) }` : null,
+				...quote.notes,
+			].filter(Boolean).join('\n'),
+		};
+	}
+}
+
+export default PricingService;
@@ -0,0 +1,258 @@
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import Handlebars from 'handlebars';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+class PromptService {
+	static defaultName = 'valeria';
+
+	/**
+	 * Carpeta con las plantillas base (.hbs) que se usan como versión 1 de cada prompt
+	 */
+	static templatesDir = path.resolve(process.cwd(), 'assets/ai/prompts');
+
+	/**
+	 * Plantillas compiladas por id de versión
+	 */
+	static compiled = new Map();
+
+	/**
+	 * Variables de contexto que reciben las plantillas
+	 * @param {Object} contact - Contacto de la conversación
+	 * @param {Object} conversation - Conversación activa
+	 * @returns {Object} Contexto para Handlebars
+	 */
+	static buildContext(contact, conversation = null) {
+		return {
+			contact: {
+				id: contact.id,
+				name: contact.name || 'Desconocido',
+				status: contact.status || 'PROSPECT',
+				firstContactAt: String(contact.firstContactAt),
+				// analyzeCustomerIntent guarda los intereses en customFields
+				interests: contact.customFields?.interestedIn?.length
+					? contact.customFields.interestedIn.join(', ')
+					: 'Ninguno detectado aún',
+				email: contact.email || '',
+				phone: contact.phoneNumber || '',
+			},
+			conversation: conversation ? { id: conversation.id, startedAt: String(conversation.startedAt) } : {},
+			today: new Date().toLocaleDateString('es-MX', {
+				weekday: 'long',
+				year: 'numeric',
+				month: 'long',
+				day: 'numeric',
+				timeZone: process.env.TIMEZONE || 'America/Mexico_City',
+			}),
+		};
+	}
+
+	/**
+	 * Compila una plantilla y lanza un error legible si la sintaxis es inválida
+	 * @param {string} template - Plantilla Handlebars
+	 */
+	static compile(template) {
+		try {
+			const render = Handlebars.compile(template, { noEscape: true, strict: false });
+			render({});
+			return render;
+		} catch(error) {
+			throw new Error(`Plantilla inválida: ${ error.message }`);
+		}
+	}
+
+	/**
+	 * Valida la sintaxis de una plantilla
+	 * @param {string} template - Plantilla Handlebars
+	 * @returns {string|null} Mensaje de error o null si es válida
+	 */
+	static validate(template) {
+		if(typeof template !== 'string' || !template.trim()) {
+			return 'La plantilla no puede estar vacía';
+		}
+
+		try {
+			this.compile(template);
+			return null;
+		} catch(error) {
+			return error.message;
+		}
+	}
+
+	/**
+	 * Lee la plantilla base del disco
+	 * @param {string} name - Nombre del prompt (archivo assets/ai/prompts/<name>.hbs)
+	 */
+	static async getDefaultTemplate(name) {
+		return fs.readFile(path.join(this.templatesDir, `${ name }.hbs`), 'utf-8');
+	}
+
+	/**
+	 * Obtiene la versión activa de un prompt; si no hay ninguna, registra la plantilla base como versión 1
+	 * @param {string} name - Nombre del prompt
+	 * @returns {Promise<Object>} PromptVersion activa
+	 */
+	static async getActiveVersion(name = this.defaultName) {
+		const active = await prisma.promptVersion.findFirst({
+			where: { name, isActive: true },
+			orderBy: { version: 'desc' },
+		});
+
+		if(active) return active;
+
+		const existing = await prisma.promptVersion.count({ where: { name } });
+		if(existing > 0) {
+			throw new Error(`El prompt "${ name }" no tiene una versión activa`);
+		}
+
+		console.log(`[Prompt-Service] BOOTSTRAPPING PROMPT "${ name }" FROM TEMPLATE FILE`);
+		return this.createVersion({
+			name,
+			template: await this.getDefaultTemplate(name),
+			description: 'Versión inicial desde plantilla',
+			activate: true,
+		});
+	}
+
+	/**
+	 * Renderiza la versión activa de un prompt con el contexto dado
+	 * @param {string} name - Nombre del prompt
+	 * @param {Object} context - Variables para la plantilla
+	 * @returns {Promise<{text: string, promptVersionId: string, version: number}>}
+	 */
+	static async render(name, context) {
+		const promptVersion = await this.getActiveVersion(name);
+
+		// Se recompila si la versión cambió desde que se guardó en caché
+		let cached = this.compiled.get(promptVersion.id);
+		if(!cached || cached.updatedAt !== promptVersion.updatedAt.getTime()) {
+			cached = { updatedAt: promptVersion.updatedAt.getTime(), render: this.compile(promptVersion.template) };
+			this.compiled.set(promptVersion.id, cached);
+		}
+
+		return {
+			text: cached.render(context),
+			promptVersionId: promptVersion.id,
+			version: promptVersion.version,
+		};
+	}
+
+	/**
+	 * Crea una nueva versión de un prompt
+	 * @param {Object} data - { name, template, description, createdBy, activate }
+	 * @returns {Promise<Object>} PromptVersion creada
+	 */
+	static async createVersion({ name = this.defaultName, template, description = null, createdBy = null, activate = false }) {
+		this.compile(template);
+
+		const last = await prisma.promptVersion.findFirst({
+			where: { name },
+			orderBy: { version: 'desc' },
+		});
+
+		const promptVersion = await prisma.promptVersion.create({
+			data: {
+				name,
+				version: last ? last.version + 1 : 1,
+				template,
+				description,
+				createdBy,
+			},
+		});
+
+		console.log(`[Prompt-Service] PROMPT VERSION CREATED: ${ name } v${ promptVersion.version }`);
+
+		return activate ? this.activateVersion(promptVersion.id) : promptVersion;
+	}
+
+	/**
+	 * Mensajes generados con una versión del prompt
+	 * @param {string} id - Id de la versión
+	 * @returns {Promise<number>}
+	 */
+	static countMessages(id) {
+		return prisma.message.count({
+			where: {
+				metadata: {
+					path: '$.promptVersionId',
+					equals: id,
+				},
+			},
+		});
+	}
+
+	/**
+	 * Motivo por el que una versión ya no se puede editar: una versión que estuvo activa o que generó
+	 * mensajes queda fija para conservar la trazabilidad mensaje → prompt
+	 * @param {Object} promptVersion - PromptVersion
+	 * @returns {Promise<string|null>} Motivo, o null si todavía es un borrador editable
+	 */
+	static async getEditLock(promptVersion) {
+		if(promptVersion.isActive) return 'La versión activa no se puede editar; crea una nueva versión';
+		if(promptVersion.activatedAt) return 'Esta versión ya estuvo activa y no se puede editar; crea una nueva versión';
+
+		const messagesCount = await this.countMessages(promptVersion.id);
+		if(messagesCount > 0) return `Esta versión generó ${ messagesCount } mensajes y no se puede editar; crea una nueva versión`;
+
+		return null;
+	}
+
+	/**
+	 * Edita una versión que nunca estuvo activa (un borrador). Las demás no se modifican para conservar
+	 * la trazabilidad de los mensajes que generaron; para cambiarlas se crea una versión nueva.
+	 * @param {string} id - Id de la versión
+	 * @param {Object} data - { template, description }
+	 * @returns {Promise<Object>} PromptVersion actualizada
+	 */
+	static async updateVersion(id, { template, description }) {
+		const promptVersion = await prisma.promptVersion.findUnique({ where: { id } });
+
+		if(!promptVersion) {
+			throw new Error('Versión de prompt no encontrada');
+		}
+
+		const lock = await this.getEditLock(promptVersion);
+		if(lock) {
+			throw new Error(lock);
+		}
+
+		if(template !== undefined) this.compile(template);
+
+		return prisma.promptVersion.update({
+			where: { id },
+			data: { template, description },
+		});
+	}
+
+	/**
+	 * Activa una versión y desactiva las demás del mismo prompt
+	 * @param {string} id - Id de la versión
+	 * @returns {Promise<Object>} PromptVersion activada
+	 */
+	static async activateVersion(id) {
+		const promptVersion = await prisma.promptVersion.findUnique({ where: { id } });
+
+		if(!promptVersion) {
+			throw new Error('Versión de prompt no encontrada');
+		}
+
+		const [ , activated ] = await prisma.$transaction([
+			prisma.promptVersion.updateMany({
+				where: { name: promptVersion.name, isActive: true },
+				data: { isActive: false },
+			}),
+			prisma.promptVersion.update({
+				where: { id },
+				data: { isActive: true, activatedAt: promptVersion.activatedAt || new Date() },
+			}),
+		]);
+
+		console.log(`[Prompt-Service] PROMPT VERSION ACTIVATED: ${ activated.name } v${ activated.version }`);
+		return activated;
+	}
+}
+
+export default PromptService;
@@ -0,0 +1,177 @@
+class ToolRegistry {
+	/**
+	 * Herramientas registradas por nombre: { name, description, schema, bindsContact, handler }
+	 */
+	static tools = new Map();
+
+	/**
+	 * Registra una herramienta para el modelo
+	 * @param {Object} tool - { name, description, schema (Joi.object), bindsContact, handler(args) }
+	 */
+	static register({ name, description, schema, bindsContact = false, handler }) {
+		if(!name || !schema || typeof handler !== 'function') {
+			throw new Error(`Herramienta inválida: ${ name || 'sin nombre' }`);
+		}
+
+		this.tools.set(name, { name, description, schema, bindsContact, handler });
+	}
+
+	static has(name) {
+		return this.tools.has(name);
+	}
+
+	/**
+	 * Definiciones de herramientas { type, name, description, parameters }; LLMService las adapta a cada proveedor
+	 * @returns {Array<Object>}
+	 */
+	static getDefinitions() {
+		return [ ...this.tools.values() ].map(tool => ({
+			type: 'function',
+			name: tool.name,
+			description: tool.description,
+			parameters: this.toJsonSchema(tool.schema.describe()),
+		}));
+	}
+
+	/**
+	 * Valida los argumentos de una herramienta
+	 * @param {string} name - Nombre de la herramienta
+	 * @param {Object} args - Argumentos enviados por el modelo
+	 * @returns {{value: Object|null, error: Object|null}} Argumentos validados, o el error estructurado para el modelo
+	 */
+	static validate(name, args) {
+		const tool = this.tools.get(name);
+
+		if(!tool) {
+			return {
+				value: null,
+				error: {
+					success: false,
+					error: `Herramienta desconocida: ${ name }`,
+					availableTools: [ ...this.tools.keys() ],
+				},
+			};
+		}
+
+		const { value, error } = tool.schema.validate(this.removeNulls(args || {}), {
+			abortEarly: false,
+			stripUnknown: true,
+		});
+
+		if(error) {
+			return {
+				value: null,
+				error: {
+					success: false,
+					error: `Argumentos inválidos para ${ name }`,
+					details: error.details.map(detail => ({
+						field: detail.path.join('.') || null,
+						message: detail.message,
+					})),
+				},
+			};
+		}
+
+		return { value, error: null };
+	}
+
+	/**
+	 * Agrega a los argumentos validados los datos que fija el servidor y no el modelo:
+	 * las herramientas con bindsContact operan siempre sobre el contacto de la conversación
+	 * @param {string} name - Nombre de la herramienta
+	 * @param {Object} value - Resultado de validate
+	 * @param {Object} context - { contactId } del turno
+	 * @returns {{value: Object|null, error: Object|null}}
+	 */
+	static bind(name, value, { contactId = null } = {}) {
+		if(!this.tools.get(name).bindsContact) return { value, error: null };
+
+		if(!contactId) {
+			return {
+				value: null,
+				error: { success: false, error: `${ name } solo puede usarse dentro de una conversación con un contacto` },
+			};
+		}
+
+		return { value: { ...value, contactId }, error: null };
+	}
+
+	/**
+	 * Ejecuta una herramienta con argumentos ya validados
+	 * @param {string} name - Nombre de la herramienta
+	 * @param {Object} value - Resultado de validate
+	 * @returns {Promise<Object>} Resultado de la herramienta
+	 */
+	static run(name, value) {
+		return this.tools.get(name).handler(value);
+	}
+
+	/**
+	 * Valida los argumentos y ejecuta la herramienta. Los errores se devuelven como resultado
+	 * estructurado para que el modelo pueda corregir la llamada.
+	 * @param {string} name - Nombre de la herramienta
+	 * @param {Object} args - Argumentos enviados por el modelo
+	 * @returns {Promise<Object>} Resultado de la herramienta o { success: false, error, details }
+	 */
+	static async execute(name, args) {
+		const { value, error } = this.validate(name, args);
+		if(error) return error;
+
+		return this.run(name, value);
+	}
+
+	/**
+	 * Los modelos suelen mandar null en los campos opcionales; se tratan como ausentes
+	 */
+	static removeNulls(args) {
+		return Object.fromEntries(Object.entries(args).filter(([ , value ]) => value !== null));
+	}
+
+	/**
+	 * Convierte la descripción de un esquema Joi (schema.describe()) a JSON Schema
+	 * @param {Object} description - Resultado de schema.describe()
+	 * @returns {Object} JSON Schema
+	 */
+	static toJsonSchema(description) {
+		const flags = description.flags || {};
+		const json = {};
+
+		switch(description.type) {
+			case 'object': {
+				const keys = description.keys || {};
+				json.type = 'object';
+				json.properties = Object.fromEntries(Object.entries(keys).map(([ key, child ]) => [ key, this.toJsonSchema(child) ]));
+
+				const required = Object.entries(keys)
+					.filter(([ , child ]) => child.flags && child.flags.presence === 'required')
+					.map(([ key ]) => key);
+				if(required.length > 0) json.required = required;
+				break;
+			}
+			case 'array':
+				json.type = 'array';
+				if(description.items && description.items.length > 0) json.items = this.toJsonSchema(description.items[0]);
+				break;
+			case 'number':
+				json.type = (description.rules || []).some(rule => rule.name === 'integer') ? 'integer' : 'number';
+				break;
+			case 'boolean':
+				json.type = 'boolean';
+				break;
+			default:
+				json.type = 'string';
+		}
+
+		if(flags.only && description.allow) {
+			json.enum = description.allow.filter(value => value !== '');
+		}
+
+		if(flags.description) {
+			json.description = flags.description;
+		}
+
+		return json;
+	}
+}
+
+export default ToolRegistry;
@@ -0,0 +1,515 @@
+import 'dotenv/config';
+import axios from 'axios';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * JSON schema que debe devolver el modelo de visión al leer un comprobante
+ */
+const VOUCHER_SCHEMA = {
+	type: 'object',
+	properties: {
+		isVoucher: { type: 'boolean', description: 'true si la imagen o documento es un comprobante de pago o transferencia' },
+		amount: { type: [ 'number', 'null' ], description: 'Monto pagado en MXN' },
+		date: { type: [ 'string', 'null' ], description: 'Fecha de la operación en formato YYYY-MM-DD' },
+		reference: { type: [ 'string', 'null' ], description: 'Referencia, folio, clave de rastreo o número de autorización' },
+		clabe: { type: [ 'string', 'null' ], description: 'CLABE o cuenta de destino (solo dígitos)' },
+		bank: { type: [ 'string', 'null' ], description: 'Banco emisor o de destino' },
+	},
+	required: [ 'isVoucher', 'amount', 'date', 'reference', 'clabe', 'bank' ],
+	additionalProperties: false,
+};
+
+/**
+ * Diferencia máxima (MXN) aceptada entre el monto del comprobante y el esperado
+ */
+const AMOUNT_TOLERANCE = 1;
+
+/**
+ * Conflicto detectado dentro de la transacción de aprobación (revierte la transacción)
+ */
+class ReviewConflict extends Error {}
+
+class VoucherService {
+	/**
+	 * CLABE, cuenta y tarjeta de destino aceptadas (separadas por coma en PAYMENT_ACCOUNTS)
+	 */
+	static businessAccounts = (process.env.PAYMENT_ACCOUNTS || '012650015142942705,1514294270,4152314234157660')
+		.split(',')
+		.map(account => account.replace(/\D/g, ''))
+		.filter(Boolean);
+
+	static maxVoucherAgeDays = parseInt(process.env.VOUCHER_MAX_AGE_DAYS) || 30;
+
+	/**
+	 * Estados de un comprobante que todavía se puede aprobar o rechazar
+	 */
+	static reviewableStatuses = [ 'PENDING', 'NEEDS_REVIEW' ];
+
+	/**
+	 * Extractores disponibles. Cada uno recibe { buffer, mimetype, caption } y devuelve
+	 * { isVoucher, amount, date, reference, clabe, bank } o null.
+	 */
+	static extractors = {
+		openai: file => VoucherService.extractWithVisionModel(file),
+		local: file => VoucherService.extractFromText(file),
+	};
+
+	/**
+	 * Extractores que leen la imagen o el PDF. Los demás solo ven el texto que escribió el cliente,
+	 * así que sus comprobantes nunca confirman una reserva sin revisión
+	 */
+	static imageExtractors = new Set([ 'openai' ]);
+
+	/**
+	 * Registra un extractor adicional (p. ej. un OCR propio)
+	 * @param {string} name - Nombre del extractor (valor de VOUCHER_EXTRACTOR)
+	 * @param {Function} extractor - Función async que recibe el archivo y devuelve los datos del comprobante
+	 * @param {Object} options - { readsImage: true si extrae los datos del archivo y no del texto del mensaje }
+	 */
+	static registerExtractor(name, extractor, { readsImage = false } = {}) {
+		this.extractors[name] = extractor;
+
+		if(readsImage) this.imageExtractors.add(name);
+		else this.imageExtractors.delete(name);
+	}
+
+	/**
+	 * Nombre del extractor configurado
+	 * @returns {string}
+	 */
+	static getExtractorName() {
+		if(process.env.VOUCHER_EXTRACTOR) return process.env.VOUCHER_EXTRACTOR;
+		return process.env.OPENAI_API_KEY ? 'openai' : 'local';
+	}
+
+	/**
+	 * Procesa una imagen o PDF recibido: extrae los datos, busca la reserva pendiente que
+	 * corresponde y guarda el comprobante con el resultado del cotejo
+	 * @param {Object} params
+	 * @param {string} params.contactId - ID del contacto que envió el archivo
+	 * @param {string} params.messageId - ID del Message guardado
+	 * @param {Object} params.file - Archivo almacenado ({ buffer, mimetype, mediaUrl })
+	 * @param {string} params.caption - Texto que acompaña al archivo
+	 * @returns {Promise<Object|null>} PaymentVoucher creado (con booking) o null si no es un comprobante.
+	 * Si coincide con una reserva, la reserva ya queda confirmada
+	 */
+	static async processVoucher({ contactId, messageId, file, caption }) {
+		const extractorName = this.getExtractorName();
+		const extractor = this.extractors[extractorName];
+
+		if(!extractor) {
+			throw new Error(`Extractor de comprobantes no soportado: ${ extractorName }`);
+		}
+
+		console.log(`[Voucher-Service] EXTRACTING VOUCHER DATA with "${ extractorName }" for contact ${ contactId }`);
+		const data = await extractor({ ...file, caption });
+
+		if(!data || !data.isVoucher) {
+			console.log('[Voucher-Service] FILE IS NOT A PAYMENT VOUCHER');
+			return null;
+		}
+
+		console.log('[Voucher-Service] VOUCHER DATA EXTRACTED:', data);
+
+		const paidAt = data.date ? new Date(data.date) : null;
+		const match = await this.matchBooking(contactId, {
+			...data,
+			paidAt: paidAt && !isNaN(paidAt.getTime()) ? paidAt : null,
+		}, { readsImage: this.imageExtractors.has(extractorName) });
+
+		const voucher = await prisma.paymentVoucher.create({
+			data: {
+				contactId,
+				messageId,
+				bookingId: match.booking ? match.booking.id : null,
+				mediaUrl: file.mediaUrl || null,
+				amount: data.amount ?? null,
+				paidAt: paidAt && !isNaN(paidAt.getTime()) ? paidAt : null,
+				reference: data.reference || null,
+				clabe: data.clabe || null,
+				bank: data.bank || null,
+				extractor: extractorName,
+				rawData: data,
+				// Un comprobante que coincide se guarda PENDING y pasa a MATCHED junto con la confirmación de la reserva
+				status: match.status === 'MATCHED' ? 'PENDING' : match.status,
+				reviewNotes: match.reasons.length > 0 ? match.reasons.join('\n') : null,
+			},
+			include: { booking: true },
+		});
+
+		console.log(`[Voucher-Service] VOUCHER SAVED: id=${ voucher.id }, status=${ voucher.status }, booking=${ voucher.bookingId }`);
+
+		if(match.status !== 'MATCHED') return voucher;
+
+		const result = await this.confirmPayment(voucher, { bookingId: voucher.bookingId });
+		if(result.success) return result.voucher;
+
+		// Si la reserva cambió entre el cotejo y la confirmación, el comprobante queda para revisión
+		console.warn(`[Voucher-Service] VOUCHER ${ voucher.id } COULD NOT BE CONFIRMED: ${ result.error }`);
+		return prisma.paymentVoucher.update({
+			where: { id: voucher.id },
+			data: { status: 'NEEDS_REVIEW', reviewNotes: this.appendNotes(voucher.reviewNotes, result.error) },
+			include: { booking: true },
+		});
+	}
+
+	/**
+	 * Coteja los datos del comprobante contra las reservas PENDING del contacto. Solo puede quedar MATCHED
+	 * si los datos salieron del archivo y la cuenta destino es una cuenta del negocio
+	 * @param {string} contactId - ID del contacto
+	 * @param {Object} data - Datos extraídos (amount, paidAt, reference, clabe)
+	 * @param {Object} options - { readsImage: el extractor leyó el archivo }
+	 * @returns {Promise<Object>} { status: 'MATCHED'|'NEEDS_REVIEW', booking, reasons }
+	 */
+	static async matchBooking(contactId, data, { readsImage = false } = {}) {
+		const reasons = [];
+
+		if(!readsImage) {
+			reasons.push('Los datos se tomaron del texto del mensaje y no del archivo; hay que revisar el comprobante');
+		}
+
+		if(!data.clabe) {
+			reasons.push('No se pudo leer la cuenta destino del comprobante');
+		} else if(!this.isBusinessAccount(data.clabe)) {
+			reasons.push(`La cuenta destino (${ data.clabe }) no coincide con las cuentas del negocio`);
+		}
+
+		if(data.amount === null || data.amount === undefined) {
+			reasons.push('No se pudo leer el monto del comprobante');
+		}
+
+		if(data.paidAt) {
+			const ageDays = (Date.now() - data.paidAt.getTime()) / (1000 * 60 * 60 * 24);
+			if(ageDays > this.maxVoucherAgeDays) {
+				reasons.push(`El comprobante tiene más de ${ this.maxVoucherAgeDays } días`);
+			} else if(ageDays < -1) {
+				reasons.push('La fecha del comprobante está en el futuro');
+			}
+		}
+
+		if(data.reference) {
+			const duplicated = await prisma.paymentVoucher.findFirst({
+				where: { reference: data.reference, status: 'MATCHED' },
+			});
+			const usedByBooking = await prisma.booking.findUnique({
+				where: { paymentId: data.reference },
+			});
+
+			if(duplicated || usedByBooking) {
+				reasons.push(`La referencia ${ data.reference } ya fue registrada en otro pago`);
+			}
+		}
+
+		const pendingBookings = await prisma.booking.findMany({
+			where: { contactId, status: 'PENDING' },
+			orderBy: { dateTime: 'asc' },
+		});
+
+		if(pendingBookings.length === 0) {
+			reasons.push('El contacto no tiene reservas pendientes de pago');
+			return { status: 'NEEDS_REVIEW', booking: null, reasons };
+		}
+
+		let booking = null;
+		const amount = Number(data.amount);
+
+		// Preferir la reserva cuyo total o anticipo coincide con el monto pagado
+		const amountMatches = pendingBookings.filter(b => this.amountMatches(b, amount));
+		if(amountMatches.length > 0) {
+			booking = amountMatches[0];
+		} else if(pendingBookings.length === 1) {
+			booking = pendingBookings[0];
+			const expected = this.getMinimumAmount(booking);
+
+			if(expected !== null && amount < expected - AMOUNT_TOLERANCE) {
+				reasons.push(`El monto pagado ($${ amount }) es menor al esperado ($${ expected })`);
+			}
+		} else {
+			reasons.push(`No se pudo determinar a cuál de las ${ pendingBookings.length } reservas pendientes corresponde el pago`);
+		}
+
+		return {
+			status: booking && reasons.length === 0 ? 'MATCHED' : 'NEEDS_REVIEW',
+			booking,
+			reasons,
+		};
+	}
+
+	/**
+	 * Indica si el monto cubre exactamente el total o el anticipo de la reserva
+	 */
+	static amountMatches(booking, amount) {
+		if(isNaN(amount)) return false;
+
+		return [ booking.totalAmount, booking.depositAmount ]
+			.filter(expected => expected !== null && expected !== undefined)
+			.some(expected => Math.abs(Number(expected) - amount) <= AMOUNT_TOLERANCE);
+	}
+
+	/**
+	 * Monto mínimo aceptable para confirmar la reserva (anticipo o total), null si no se conoce
+	 */
+	static getMinimumAmount(booking) {
+		if(booking.depositAmount !== null && booking.depositAmount !== undefined) return Number(booking.depositAmount);
+		if(booking.totalAmount !== null && booking.totalAmount !== undefined) return Number(booking.totalAmount);
+		return null;
+	}
+
+	/**
+	 * Aprueba un comprobante en revisión y confirma la reserva indicada (o la que tenía asociada)
+	 * @param {string} voucherId - ID del comprobante
+	 * @param {Object} options - { bookingId, notes }
+	 * @returns {Promise<Object>} { success, voucher, booking } o { success: false, error, code (NOT_FOUND, CONFLICT, INVALID) }
+	 */
+	static async approveVoucher(voucherId, { bookingId, notes } = {}) {
+		const voucher = await prisma.paymentVoucher.findUnique({ where: { id: voucherId } });
+
+		if(!voucher) {
+			return { success: false, code: 'NOT_FOUND', error: `Comprobante ${ voucherId } no encontrado` };
+		}
+
+		if(!this.reviewableStatuses.includes(voucher.status)) {
+			return { success: false, code: 'CONFLICT', error: `El comprobante ya está en estado ${ voucher.status }` };
+		}
+
+		return this.confirmPayment(voucher, {
+			bookingId: bookingId || voucher.bookingId,
+			notes: notes || 'Aprobado manualmente por el equipo',
+		});
+	}
+
+	/**
+	 * Rechaza un comprobante en revisión (no modifica la reserva)
+	 * @param {string} voucherId - ID del comprobante
+	 * @param {Object} options - { notes }
+	 * @returns {Promise<Object>} { success, voucher } o { success: false, error, code }
+	 */
+	static async rejectVoucher(voucherId, { notes } = {}) {
+		const voucher = await prisma.paymentVoucher.findUnique({ where: { id: voucherId } });
+
+		if(!voucher) {
+			return { success: false, code: 'NOT_FOUND', error: `Comprobante ${ voucherId } no encontrado` };
+		}
+
+		const { count } = await prisma.paymentVoucher.updateMany({
+			where: { id: voucher.id, status: { in: this.reviewableStatuses } },
+			data: {
+				status: 'REJECTED',
+				reviewedAt: new Date(),
+				reviewNotes: this.appendNotes(voucher.reviewNotes, notes || 'Rechazado por el equipo'),
+			},
+		});
+
+		if(count === 0) {
+			return { success: false, code: 'CONFLICT', error: `El comprobante ya está en estado ${ voucher.status }` };
+		}
+
+		return {
+			success: true,
+			voucher: await prisma.paymentVoucher.findUnique({ where: { id: voucher.id }, include: { booking: true } }),
+		};
+	}
+
+	/**
+	 * Marca el comprobante como MATCHED, registra la referencia de pago en la reserva y la confirma,
+	 * todo en una transacción. La reserva debe ser del mismo contacto y seguir PENDING
+	 * @param {Object} voucher - PaymentVoucher en revisión (PENDING o NEEDS_REVIEW)
+	 * @param {Object} options - { bookingId, notes }
+	 * @returns {Promise<Object>} { success, voucher, booking } o { success: false, error, code }
+	 */
+	static async confirmPayment(voucher, { bookingId, notes = null }) {
+		if(!bookingId) {
+			return { success: false, code: 'INVALID', error: 'Se requiere bookingId para aprobar el comprobante' };
+		}
+
+		const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+
+		if(!booking) {
+			return { success: false, code: 'NOT_FOUND', error: `Reserva ${ bookingId } no encontrada` };
+		}
+
+		if(booking.contactId !== voucher.contactId) {
+			return { success: false, code: 'CONFLICT', error: 'La reserva no pertenece al contacto que envió el comprobante' };
+		}
+
+		if(booking.status !== 'PENDING') {
+			return { success: false, code: 'CONFLICT', error: `La reserva está en estado ${ booking.status }; solo se confirman reservas PENDING` };
+		}
+
+		const paymentId = this.getPaymentReference(voucher);
+		const paymentNote = `Pago verificado por comprobante ${ paymentId } (${ voucher.amount ?? 'monto no legible' } MXN)`;
+
+		try {
+			const result = await prisma.$transaction(async (tx) => {
+				// Las condiciones sobre el estado evitan aprobar dos veces si llegan solicitudes simultáneas
+				const { count: voucherCount } = await tx.paymentVoucher.updateMany({
+					where: { id: voucher.id, status: { in: this.reviewableStatuses } },
+					data: {
+						status: 'MATCHED',
+						bookingId: booking.id,
+						reviewedAt: new Date(),
+						reviewNotes: this.appendNotes(voucher.reviewNotes, notes),
+					},
+				});
+
+				if(voucherCount === 0) throw new ReviewConflict('El comprobante ya fue revisado');
+
+				const { count: bookingCount } = await tx.booking.updateMany({
+					where: { id: booking.id, status: 'PENDING' },
+					data: {
+						paymentId,
+						status: 'CONFIRMED',
+						notes: this.appendNotes(booking.notes, paymentNote),
+					},
+				});
+
+				if(bookingCount === 0) throw new ReviewConflict('La reserva ya no está PENDING');
+
+				return {
+					voucher: await tx.paymentVoucher.findUnique({ where: { id: voucher.id }, include: { booking: true } }),
+					booking: await tx.booking.findUnique({ where: { id: booking.id } }),
+				};
+			});
+
+			console.log(`[Voucher-Service] VOUCHER ${ voucher.id } MATCHED, booking ${ booking.id } CONFIRMED (${ paymentId })`);
+			return { success: true, ...result };
+		} catch(error) {
+			if(error instanceof ReviewConflict) {
+				return { success: false, code: 'CONFLICT', error: error.message };
+			}
+
+			if(error.code === 'P2002') {
+				return { success: false, code: 'CONFLICT', error: `La referencia ${ paymentId } ya está registrada en otra reserva` };
+			}
+
+			throw error;
+		}
+	}
+
+	static appendNotes(current, notes) {
+		if(!notes) return current;
+		return current ? `${ current }\n${ notes }` : notes;
+	}
+
+	/**
+	 * Referencia que se guarda en Booking.paymentId (único)
+	 */
+	static getPaymentReference(voucher) {
+		return voucher.reference || `voucher:${ voucher.id }`;
+	}
+
+	/**
+	 * Texto que se entrega a la IA describiendo el resultado del comprobante
+	 * @param {Object} voucher - PaymentVoucher con booking
+	 * @returns {string}
+	 */
+	static describeResult(voucher) {
+		const amount = voucher.amount !== null ? `$${ Number(voucher.amount).toLocaleString('es-MX') } MXN` : 'monto no legible';
+		const reference = voucher.reference ? `, referencia ${ voucher.reference }` : '';
+
+		if(voucher.status === 'MATCHED') {
+			return `[Comprobante de pago verificado: ${ amount }${ reference }. La reserva de ${ voucher.booking.serviceName } `
+				+ `para ${ voucher.booking.dateTime.toLocaleDateString('es-MX', { timeZone: process.env.TIMEZONE || 'America/Mexico_City' }) } quedó CONFIRMADA. Agradece y envía el mapa.]`;
+		}
+
+		return `[Comprobante de pago recibido: ${ amount }${ reference }. El pago está en validación y la reserva todavía no está confirmada. `
+			+ 'Agradece, indica que en breve se valida y pide los datos que falten (fechas, cabaña o nombre completo).]';
+	}
+
+	/**
+	 * Extractor basado en el modelo de visión de OpenAI (imágenes y PDF)
+	 */
+	static async extractWithVisionModel({ buffer, mimetype, filename, caption }) {
+		if(!buffer) return null;
+
+		const dataUrl = `data:${ mimetype };base64,${ buffer.toString('base64') }`;
+		const fileContent = mimetype === 'application/pdf'
+			? { type: 'input_file', filename: filename || 'voucher.pdf', file_data: dataUrl }
+			: { type: 'input_image', image_url: dataUrl };
+
+		const payload = {
+			model: process.env.VOUCHER_VISION_MODEL || 'gpt-4.1-mini',
+			input: [
+				{
+					role: 'system',
+					content: [ {
+						type: 'input_text',
+						text: 'Eres un asistente que lee comprobantes de pago bancarios mexicanos (transferencias SPEI, depósitos, pagos con tarjeta). '
+							+ 'Extrae los datos solicitados. Si el archivo no es un comprobante de pago, responde isVoucher=false y el resto en null.',
+					} ],
+				},
+				{
+					role: 'user',
+					content: [
+						fileContent,
+						{ type: 'input_text', text: caption ? `Texto que acompaña al archivo: ${ caption }` : 'Sin texto adicional.' },
+					],
+				},
+			],
+			temperature: 0,
+			text: {
+				format: { type: 'json_schema', name: 'payment_voucher', schema: VOUCHER_SCHEMA, strict: true },
+			},
+		};
+
+		try {
+			const response = await axios.post('https://api.openai.com/v1/responses', payload, {
+				headers: {
+					'Content-Type': 'application/json',
+					'Authorization': `Bearer ${ process.env.OPENAI_API_KEY }`,
+				},
+			});
+
+			const message = response.data.output.find(item => item.type === 'message');
+			return JSON.parse(message.content[0].text);
+		} catch(error) {
+			console.error('[Voucher-Service] ERROR EXTRACTING VOUCHER:', error.response ? JSON.stringify(error.response.data) : error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Extractor local sin servicios externos: busca los datos en el texto disponible
+	 * (texto del mensaje, texto OCR si lo hay o nombre del archivo)
+	 */
+	static async extractFromText({ caption, text, filename }) {
+		const content = [ caption, text, filename ].filter(Boolean).join('\n');
+		if(!content) return null;
+
+		const amountMatch = content.match(/\$\s?([\d,]+(?:\.\d{1,2})?)/) || content.match(/(?:monto|importe|total)[:\s]*([\d,]+(?:\.\d{1,2})?)/i);
+		const clabeMatch = content.match(/\b(\d{18})\b/);
+		const referenceMatch = content.match(/(?:referencia|folio|clave de rastreo|autorizaci[oó]n)[:\s#]*([A-Z0-9-]{4,})/i);
+		const dateMatch = content.match(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{4})\b/) || content.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+		const isVoucher = /(comprobante|transferencia|spei|dep[oó]sito|voucher|pago)/i.test(content) && !!(amountMatch || referenceMatch);
+
+		let date = null;
+		if(dateMatch) {
+			date = dateMatch[1].length === 4
+				? `${ dateMatch[1] }-${ dateMatch[2] }-${ dateMatch[3] }`
+				: `${ dateMatch[3] }-${ dateMatch[2].padStart(2, '0') }-${ dateMatch[1].padStart(2, '0') }`;
+		}
+
+		return {
+			isVoucher,
+			amount: amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null,
+			date,
+			reference: referenceMatch ? referenceMatch[1] : null,
+			clabe: clabeMatch ? clabeMatch[1] : null,
+			bank: content.match(/\b(BBVA|Banorte|Santander|Banamex|Citibanamex|HSBC|Scotiabank|Banco Azteca|Inbursa|Nu|Spin|Mercado Pago)\b/i)?.[1] || null,
+		};
+	}
+
+	/**
+	 * Indica si la cuenta del comprobante es una cuenta del negocio. Los bancos suelen
+	 * mostrar solo los últimos dígitos, por lo que se compara el final; con menos de 4 dígitos no se puede saber
+	 */
+	static isBusinessAccount(account) {
+		const digits = String(account).replace(/\D/g, '');
+		if(digits.length < 4) return false;
+		return this.businessAccounts.some(businessAccount => businessAccount.endsWith(digits));
+	}
+}
+
+export default VoucherService;
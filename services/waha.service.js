@@ -42,6 +42,11 @@ class WahaService {
 			}
 
 			const response = await axios(config);
+
+			if(method === 'post' && endpoint.startsWith('/api/send')) {
+				this.rememberSentMessage(response.data);
+			}
+
 			return response.data;
 		} catch(error) {
 			console.error(`WAHA API Error: ${ error.message }`);
@@ -49,6 +54,59 @@ class WahaService {
 		}
 	}
 
+	// ==================== Sent Message Tracking ====================
+
+	/**
+	 * IDs of messages sent through the API, used to tell the bot's own fromMe webhooks
+	 * apart from messages typed by staff on the phone
+	 */
+	static sentMessageIds = new Map();
+	static sentMessageTtl = 10 * 60 * 1000;
+
+	/**
+	 * Extract the message id from a send response or webhook payload
+	 * @param {Object} message - WAHA message
+	 * @returns {string|null} Message id
+	 */
+	static getMessageId(message) {
+		if(!message) return null;
+		if(typeof message.id === 'string') return message.id;
+		return message.id?._serialized || message.id?.id || message.key?.id || null;
+	}
+
+	/**
+	 * Remember a message sent through the API
+	 * @param {Object} message - Send response
+	 */
+	static rememberSentMessage(message) {
+		const id = this.getMessageId(message);
+		if(!id) return;
+
+		const now = Date.now();
+		this.sentMessageIds.set(id, now);
+
+		for(const [ sentId, sentAt ] of this.sentMessageIds) {
+			if(now - sentAt > this.sentMessageTtl) this.sentMessageIds.delete(sentId);
+		}
+	}
+
+	/**
+	 * Check whether a message was sent through the API by this process
+	 * @param {string} messageId - Message id from the webhook payload
+	 * @returns {boolean}
+	 */
+	static wasSentByApi(messageId) {
+		if(!messageId) return false;
+		if(this.sentMessageIds.has(messageId)) return true;
+
+		// Depending on the engine the webhook id is "true_<chatId>_<id>" while the response only has <id>
+		for(const sentId of this.sentMessageIds.keys()) {
+			if(messageId.endsWith(`_${ sentId }`) || sentId.endsWith(`_${ messageId }`)) return true;
+		}
+
+		return false;
+	}
+
 	// ==================== Session Management ====================
 
 	/**
@@ -500,6 +558,35 @@ class WahaService {
 		return this.request('post', '/api/send/buttons/reply', data);
 	}
 
+	// ==================== Media ====================
+
+	/**
+	 * Download a media file served by WAHA. The API key is only sent to the configured WAHA server,
+	 * never to another host named in the webhook payload
+	 * @param {string} url - Absolute media URL or path relative to the WAHA server
+	 * @returns {Promise<{buffer: Buffer, mimetype: string}>} File contents and content type
+	 */
+	static async downloadMedia(url) {
+		try {
+			const absoluteUrl = url.startsWith('http') ? url : `${ this.baseURL }${ url }`;
+			const sameOrigin = new URL(absoluteUrl).origin === new URL(this.baseURL).origin;
+			const response = await axios({
+				method: 'get',
+				url: absoluteUrl,
+				headers: sameOrigin ? { 'X-Api-Key': this.apiKey } : {},
+				responseType: 'arraybuffer',
+			});
+
+			return {
+				buffer: Buffer.from(response.data),
+				mimetype: response.headers['content-type'] || 'application/octet-stream',
+			};
+		} catch(error) {
+			console.error(`WAHA Media Download Error: ${ error.message }`);
+			throw error;
+		}
+	}
+
 	// ==================== Chats ====================
 
 	/**
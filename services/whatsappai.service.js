@@ -1,20 +1,60 @@
 import 'dotenv/config';
-import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
 import WahaService from '#services/waha.service.js';
+import VoucherService from '#services/voucher.service.js';
+import NotificationService from '#services/notification.service.js';
+import AvailabilityService from '#services/availability.service.js';
+import PricingService from '#services/pricing.service.js';
+import PromptService from '#services/prompt.service.js';
+import CatalogService from '#services/catalog.service.js';
+import ToolRegistry from '#services/tool-registry.service.js';
+import LLMService from '#services/llm.service.js';
+import MemoryService from '#services/memory.service.js';
+import ConversationService from '#services/conversation.service.js';
+import HandoffService from '#services/handoff.service.js';
+import BookingService from '#services/booking.service.js';
+import AgentActionService from '#services/agent-action.service.js';
+import ContactHistoryService from '#services/contact-history.service.js';
+import ContactService from '#services/contact.service.js';
+import MediaService from '#services/media.service.js';
+import { tools } from '#ai/tools.js';
 
 const prisma = new PrismaClient();
 
 class WhatsAppAIService {
 	/**
-	 * Procesa un mensaje entrante de WhatsApp
-	 * @param {Object} messageData - Datos del mensaje
+	 * Modelo del asistente (nombre en assets/data/ai-models.js o "proveedor:modelo")
+	 */
+	static model = process.env.AI_MODEL || LLMService.defaultModel;
+
+	/**
+	 * Máximo de rondas de herramientas por mensaje antes de pedir la respuesta final
+	 */
+	static maxToolRounds = parseInt(process.env.AI_MAX_TOOL_ROUNDS) || 5;
+
+	/**
+	 * Tokens máximos de cada respuesta del modelo
+	 */
+	static maxOutputTokens = 2048;
+
+	/**
+	 * Vigencia de los enlaces a comprobantes que se envían al equipo por WhatsApp
+	 */
+	static staffMediaLinkTtlSeconds = 7 * 24 * 60 * 60;
+
+	/**
+	 * Procesa un mensaje entrante de WhatsApp, o una ráfaga de mensajes del mismo chat como un solo turno
+	 * @param {Object|Array<Object>} messageData - Datos del mensaje o lista de mensajes en orden de llegada
 	 * @returns {Promise<Object>} - Resultado del procesamiento
 	 */
 	static async processMessage(messageData) {
-		const { chatId, content, sender, messageId } = messageData;
-		console.log(`[AI-Service] PROCESSING MESSAGE: "${ content.substring(0, 50) }${ content.length > 50 ? '...' : '' }"`);
-		console.log(`[AI-Service] MESSAGE DETAILS: chatId=${ chatId }, sender=${ sender }, messageId=${ messageId }`);
+		const batch = Array.isArray(messageData) ? messageData : [ messageData ];
+		const { chatId, sender } = batch[0];
+		const preview = batch.map(msg => msg.content).join(' / ');
+		console.log(`[AI-Service] PROCESSING ${ batch.length } MESSAGE(S): "${ preview.substring(0, 50) }${ preview.length > 50 ? '...' : '' }"`);
+		console.log(`[AI-Service] MESSAGE DETAILS: chatId=${ chatId }, sender=${ sender }, messageIds=${ batch.map(msg => msg.messageId).join(',') }`);
+
+		const inboundIds = [];
 
 		try {
 			console.log(`[AI-Service] STEP 1/9: Finding or creating contact for ${ sender }`);
@@ -24,48 +64,236 @@ class WhatsAppAIService {
 
 			console.log(`[AI-Service] STEP 2/9: Getting or creating conversation for contact ${ contact.id }`);
 			// 2. Obtener o crear conversación
-			const conversation = await this.getOrCreateConversation(contact.id);
+			const conversation = await ConversationService.getOrCreate(contact.id);
 			console.log(`[AI-Service] CONVERSATION: id=${ conversation.id }, isActive=${ conversation.isActive }`);
 
-			console.log(`[AI-Service] STEP 3/9: Saving incoming message to database`);
-			// 3. Guardar mensaje entrante
-			await this.saveMessage(conversation.id, messageId, content, 'INBOUND');
-			console.log(`[AI-Service] MESSAGE SAVED: direction=INBOUND, type=TEXT`);
+			console.log(`[AI-Service] STEP 3/9: Saving incoming messages to database`);
+			// 3. Guardar mensajes entrantes
+			const contents = [];
+
+			for(const { inboundId, messageId, type = 'TEXT', mediaUrl = null, metadata = null, file = null, content: messageContent } of batch) {
+				let content = messageContent;
+				// Los mensajes registrados por IngestionService ya existen; se completan con el contenido final
+				const inboundMessage = inboundId
+					? await this.startProcessing(inboundId, { content, type, mediaUrl, metadata })
+					: await this.saveMessage(conversation.id, messageId, content, 'INBOUND', { type, mediaUrl, metadata });
+				console.log(`[AI-Service] MESSAGE SAVED: direction=INBOUND, type=${ type }, attempt=${ inboundMessage.processingAttempts }`);
+
+				// 3.1 Si es una imagen o PDF, revisar si es un comprobante de pago
+				if(file && [ 'IMAGE', 'DOCUMENT' ].includes(type)) {
+					const voucherSummary = await this.handlePaymentVoucher(contact, inboundMessage, file, metadata?.caption);
+					if(voucherSummary) {
+						content = `${ content }\n${ voucherSummary }`;
+						await prisma.message.update({
+							where: { id: inboundMessage.id },
+							data: { content },
+						});
+					}
+				}
 
-			console.log(`[AI-Service] STEP 4/9: Retrieving message history for context`);
-			// 4. Obtener historial de mensajes para contexto
-			const messageHistory = await this.getMessageHistory(conversation.id);
-			console.log(`[AI-Service] HISTORY RETRIEVED: ${ messageHistory.length } messages for context`);
+				contents.push(content);
+				inboundIds.push(inboundMessage.id);
+			}
+
+			const content = contents.join('\n');
+
+			// 3.2 Si un intento anterior ya generó la respuesta solo se reenvía, sin volver a llamar a la IA
+			const previousReply = await this.findReply(inboundIds);
+			if(previousReply) {
+				console.log(`[AI-Service] RESUMING: reply ${ previousReply.id } already generated (status=${ previousReply.status })`);
+				await WahaService.stopTyping(chatId);
+				await this.sendReply(chatId, previousReply, inboundIds);
+				return { success: true, resumed: true };
+			}
+
+			console.log(`[AI-Service] STEP 4/9: Building conversation memory for context`);
+			// 4. Construir el contexto: prompt, resumen y mensajes recientes dentro del presupuesto de tokens
+			const aiContext = await this.buildAIContext(contact, conversation, content, inboundIds);
+			console.log(`[AI-Service] MEMORY BUILT: ${ aiContext.memory.messages.length } recent messages (~${ aiContext.memory.tokens }/${ aiContext.memory.budget } tokens), summary=${ aiContext.memory.summary ? 'yes' : 'no' }`);
 
 			console.log(`[AI-Service] STEP 5/9: Calling AI with user message and context`);
 			// 5. Preparar solicitud a la IA
-			const aiResponse = await this.callAI(contact, conversation, content, messageHistory);
+			const aiResponse = await this.callAI(aiContext);
 			console.log('[AI-Service] AI RESPONSE PREPARED');
 			/// console log as string the object
 			console.log(`[AI-Service] AI RESPONSE: ${ JSON.stringify(aiResponse, null, 2) }`);
 			console.log(`[AI-Service] AI RESPONSE: ${ aiResponse }`);
 			console.log(`[AI-Service] AI RESPONSE RECEIVED: ${ aiResponse.actions ? aiResponse.actions.length : 0 } actions suggested`);
 			// 6. Enviar respuesta al usuario
+			// La respuesta se guarda antes de enviarla para que un reintento la reenvíe en lugar de generar otra
 			await WahaService.stopTyping(chatId);
-			await WahaService.sendText(chatId, aiResponse.message);
-			await this.saveMessage(conversation.id, null, aiResponse.message, 'OUTBOUND');
+			const reply = await this.saveMessage(conversation.id, null, aiResponse.message, 'OUTBOUND', {
+				status: 'PENDING',
+				metadata: {
+					promptVersionId: aiResponse.promptVersionId,
+					promptVersion: aiResponse.promptVersion,
+					model: aiResponse.model,
+					usage: aiResponse.usage,
+					actions: aiResponse.actions.map(({ id, function: name, arguments: args, result }) => ({
+						id,
+						function: name,
+						arguments: args,
+						success: result?.success !== false,
+						error: result?.error || null,
+					})),
+				},
+			});
+			await this.updateInbound(inboundIds, { replyId: reply.id });
+			await AgentActionService.attachToMessage(aiResponse.actions.map(action => action.id).filter(Boolean), reply.id);
+			await this.sendReply(chatId, reply, inboundIds);
 			return { success: true };
 		} catch(error) {
 			console.error(`[AI-Service] ERROR PROCESSING MESSAGE: ${ error.message }`, error);
+			await this.updateInbound(inboundIds, { processingStatus: 'FAILED' }).catch(updateError => {
+				console.error(`[AI-Service] ERROR MARKING MESSAGES AS FAILED: ${ updateError.message }`);
+			});
+			return { success: false, error: error.message };
+		}
+	}
+
+	/**
+	 * Marca un mensaje registrado como en proceso y guarda su contenido final
+	 * @param {string} inboundId - ID del Message registrado
+	 * @param {Object} data - { content, type, mediaUrl, metadata }
+	 */
+	static async startProcessing(inboundId, { content, type, mediaUrl, metadata }) {
+		return prisma.message.update({
+			where: { id: inboundId },
+			data: {
+				content,
+				type,
+				mediaUrl,
+				metadata: metadata || undefined,
+				processingStatus: 'PROCESSING',
+				processingAttempts: { increment: 1 },
+			},
+		});
+	}
+
+	/**
+	 * Actualiza los mensajes entrantes de un turno
+	 */
+	static async updateInbound(inboundIds, data) {
+		if(inboundIds.length === 0) return;
+
+		await prisma.message.updateMany({
+			where: { id: { in: inboundIds } },
+			data,
+		});
+	}
+
+	/**
+	 * Respuesta generada en un intento anterior para alguno de los mensajes del turno
+	 */
+	static async findReply(inboundIds) {
+		const answered = await prisma.message.findFirst({
+			where: { id: { in: inboundIds }, replyId: { not: null } },
+			select: { replyId: true },
+		});
+
+		if(!answered) return null;
+
+		return prisma.message.findUnique({ where: { id: answered.replyId } });
+	}
+
+	/**
+	 * Envía la respuesta si aún no se envió y marca el turno como respondido
+	 * @param {string} chatId - ID del chat
+	 * @param {Object} reply - Message OUTBOUND de la respuesta
+	 * @param {Array<string>} inboundIds - Mensajes entrantes que responde
+	 */
+	static async sendReply(chatId, reply, inboundIds) {
+		if(reply.status !== 'SENT') {
+			const sent = await WahaService.sendText(chatId, reply.content);
+			await prisma.message.update({
+				where: { id: reply.id },
+				data: { status: 'SENT', session: WahaService.session, messageId: WahaService.getMessageId(sent) },
+			});
+		}
+
+		await this.updateInbound(inboundIds, { processingStatus: 'ANSWERED', processedAt: new Date() });
+	}
+
+	/**
+	 * Guarda mensajes entrantes sin responder, para chats con la IA en pausa
+	 * @param {Object|Array<Object>} messageData - Datos del mensaje o lista de mensajes del mismo chat
+	 * @returns {Promise<Object>} - Resultado del guardado
+	 */
+	static async storeInboundMessage(messageData) {
+		const batch = Array.isArray(messageData) ? messageData : [ messageData ];
+		const { chatId, sender } = batch[0];
+
+		try {
+			const contact = await this.findOrCreateContact(sender, chatId);
+			const conversation = await ConversationService.getOrCreate(contact.id);
+
+			for(const { inboundId, messageId, content, type = 'TEXT', mediaUrl = null, metadata = null } of batch) {
+				if(inboundId) {
+					await prisma.message.update({
+						where: { id: inboundId },
+						data: { content, type, mediaUrl, metadata: metadata || undefined, processingStatus: 'STORED', processedAt: new Date() },
+					});
+				} else {
+					await this.saveMessage(conversation.id, messageId, content, 'INBOUND', { type, mediaUrl, metadata });
+				}
+			}
+
+			console.log(`[AI-Service] ${ batch.length } MESSAGE(S) STORED WITHOUT REPLY for contact ${ contact.id } (AI paused)`);
+			return { success: true };
+		} catch(error) {
+			console.error(`[AI-Service] ERROR STORING MESSAGE: ${ error.message }`, error);
 			return { success: false, error: error.message };
 		}
 	}
 
+	/**
+	 * Procesa un posible comprobante de pago: si coincide con una reserva pendiente la confirma,
+	 * si no, lo deja en revisión y avisa al equipo
+	 * @returns {Promise<string|null>} Descripción del resultado para la IA, o null si no es un comprobante
+	 */
+	static async handlePaymentVoucher(contact, message, file, caption) {
+		try {
+			// En un reintento el comprobante ya se procesó con este mensaje
+			const existing = await prisma.paymentVoucher.findFirst({ where: { messageId: message.id } });
+			if(existing) return VoucherService.describeResult(existing);
+
+			// processVoucher confirma la reserva cuando el comprobante coincide
+			const voucher = await ContactHistoryService.track(contact.id, {
+				source: 'AUTOMATION',
+				messageId: message.id,
+				reason: 'Comprobante de pago verificado',
+			}, () => VoucherService.processVoucher({
+				contactId: contact.id,
+				messageId: message.id,
+				file,
+				caption,
+			}));
+
+			if(!voucher) return null;
+
+			if(voucher.status !== 'MATCHED') {
+				await NotificationService.notifyStaff(
+					`🧾 Comprobante en revisión de ${ contact.name || contact.phoneNumber } (${ contact.phoneNumber })\n`
+					+ `Monto: ${ voucher.amount ?? 'no legible' } · Referencia: ${ voucher.reference || 'sin referencia' }\n`
+					+ `Motivo: ${ voucher.reviewNotes }\n${ MediaService.signUrl(voucher.mediaUrl, this.staffMediaLinkTtlSeconds) || '' }`,
+				);
+			}
+
+			return VoucherService.describeResult(voucher);
+		} catch(error) {
+			console.error(`[AI-Service] ERROR PROCESSING PAYMENT VOUCHER: ${ error.message }`, error);
+			return null;
+		}
+	}
+
 	/**
 	 * Busca o crea un contacto basado en el remitente
 	 */
 	static async findOrCreateContact(sender, chatId) {
 		const phoneNumber = chatId.split('@')[0];
 
-		// Buscar contacto existente
-		let contact = await prisma.contact.findUnique({
-			where: { phoneNumber },
-		});
+		// Buscar contacto existente, también entre los teléfonos de contactos unidos
+		let contact = await ContactService.findByPhone(phoneNumber);
 
 		// Si no existe, crear nuevo contacto
 		if(!contact) {
@@ -78,14 +306,27 @@ class WhatsAppAIService {
 				console.warn(`[WhatsAppAIService] No se pudo obtener info de contacto: ${ error.message }`);
 			}
 
-			contact = await prisma.contact.create({
-				data: {
-					phoneNumber,
-					name: contactName,
-					status: 'PROSPECT',
-					lastContactAt: new Date(),
-				},
-			});
+			try {
+				contact = await prisma.contact.create({
+					data: {
+						phoneNumber,
+						name: contactName,
+						status: 'PROSPECT',
+						lastContactAt: new Date(),
+					},
+				});
+			} catch(error) {
+				// Otro mensaje del mismo número creó el contacto primero
+				if(error.code !== 'P2002') throw error;
+
+				return prisma.contact.update({
+					where: { phoneNumber },
+					data: { lastContactAt: new Date() },
+				});
+			}
+
+			await ContactHistoryService.recordCreation(contact, { source: 'AUTOMATION', reason: 'Primer mensaje por WhatsApp' })
+				.catch(error => console.error(`[AI-Service] ERROR RECORDING CONTACT CREATION: ${ error.message }`));
 		} else {
 			// Actualizar fecha de último contacto
 			await prisma.contact.update({
@@ -97,39 +338,18 @@ class WhatsAppAIService {
 		return contact;
 	}
 
-	/**
-	 * Obtiene o crea una conversación para el contacto
-	 */
-	static async getOrCreateConversation(contactId) {
-		// Buscar conversación activa
-		let conversation = await prisma.conversation.findFirst({
-			where: {
-				contactId,
-				isActive: true,
-			},
-			orderBy: { startedAt: 'desc' },
-		});
-
-		// Si no existe, crear nueva conversación
-		if(!conversation) {
-			conversation = await prisma.conversation.create({
-				data: {
-					contactId,
-					startedAt: new Date(),
-					isActive: true,
-					context: {},
-				},
-			});
-		}
-
-		return conversation;
-	}
-
 	/**
 	 * Guarda un mensaje en la base de datos
+	 * @param {Object} options - Tipo de mensaje, URL del adjunto, metadata, estado y autor (opcional)
 	 */
-	static async saveMessage(conversationId, messageId, content, direction) {
-		const status = direction === 'OUTBOUND' ? 'SENT' : 'RECEIVED';
+	static async saveMessage(conversationId, messageId, content, direction, options = {}) {
+		const {
+			type = 'TEXT',
+			mediaUrl = null,
+			metadata = null,
+			status = direction === 'OUTBOUND' ? 'SENT' : 'RECEIVED',
+			author = direction === 'OUTBOUND' ? 'AI' : 'CONTACT',
+		} = options;
 
 		const message = await prisma.message.create({
 			data: {
@@ -137,7 +357,10 @@ class WhatsAppAIService {
 				messageId,
 				content,
 				direction,
-				type: 'TEXT',
+				author,
+				type,
+				mediaUrl,
+				metadata: metadata || undefined,
 				timestamp: new Date(),
 				status,
 			},
@@ -147,789 +370,230 @@ class WhatsAppAIService {
 	}
 
 	/**
-	 * Obtiene el historial de mensajes de una conversación
+	 * Prepara los mensajes para el modelo: prompt, catálogo, memoria de la conversación y mensaje actual
+	 * @returns {Promise<Object>} { prompt, model, tools, messages, memory, conversationId, contactId, triggerMessageId }
 	 */
-	static async getMessageHistory(conversationId) {
-		const messages = await prisma.message.findMany({
-			where: { conversationId },
-			orderBy: { timestamp: 'asc' },
-			take: 10, // Limitar a los últimos 10 mensajes
+	static async buildAIContext(contact, conversation, currentMessage, currentMessageIds = []) {
+		const prompt = await PromptService.render(PromptService.defaultName, PromptService.buildContext(contact, conversation));
+		const catalog = await CatalogService.renderForPrompt();
+		const model = LLMService.resolveModel(this.model);
+		const tools = LLMService.supports(model, 'function_calling') ? ToolRegistry.getDefinitions() : [];
+
+		const carryOver = ConversationService.renderCarryOver(conversation);
+
+		const instructions = [
+			{ role: 'system', content: prompt.text },
+			{ role: 'system', content: catalog },
+			...(carryOver ? [ { role: 'system', content: carryOver } ] : []),
+		];
+		const current = { role: 'user', content: currentMessage };
+
+		const memory = await MemoryService.getMemory(conversation, {
+			model,
+			fixedMessages: [ ...instructions, current ],
+			tools,
+			maxOutputTokens: this.maxOutputTokens,
+			excludeMessageIds: currentMessageIds,
 		});
 
-		// Formatear mensajes para la IA
-		return messages.map(msg => ({
-			role: msg.direction === 'INBOUND' ? 'user' : 'assistant',
-			content: msg.content,
-		}));
+		const messages = [
+			...instructions,
+			...(memory.summary ? [ { role: 'system', content: `Resumen de la conversación anterior:\n${ memory.summary }` } ] : []),
+			...memory.messages,
+			current,
+		];
+
+		return {
+			prompt,
+			model,
+			tools,
+			messages,
+			memory,
+			conversationId: conversation.id,
+			contactId: contact.id,
+			triggerMessageId: currentMessageIds[currentMessageIds.length - 1] || null,
+		};
 	}
 
 	/**
-	 * Llama a la API de OpenAI con el modelo y herramientas adecuadas
+	 * Llama al modelo configurado con el contexto de buildAIContext y ejecuta las herramientas que pida
 	 */
-	static async callAI(contact, conversation, currentMessage, messageHistory) {
-		const tools = [
-			{
-				type: 'function',
-				name: 'analyzeCustomerIntent',
-				description: 'Analyzes customer intent only when they don\'t specifically request booking. If they specify booking, DO NOT use this function.',
-				function: {
-					name: 'analyzeCustomerIntent',
-					description: 'Analyzes customer intent only when they don\'t specifically request booking. If they specify booking, DO NOT use this function.',
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'Contact ID',
-							},
-							intent: {
-								type: 'string',
-								enum: [ 'BOOKING_REQUEST', 'BOOKING_CONFIRMATION', 'SERVICE_INQUIRY', 'PRICING_INQUIRY', 'GENERAL_QUESTION', 'GREETING', 'OTHER' ],
-								description: 'Primary customer intent',
-							},
-							contactStatus: {
-								type: 'string',
-								enum: [ 'PROSPECT', 'LEAD', 'OPPORTUNITY', 'CUSTOMER', 'INACTIVE', 'DISQUALIFIED' ],
-								description: 'Suggested contact status based on their interaction',
-							},
-							leadScore: {
-								type: 'integer',
-								description: 'Score from 0-100 reflecting how qualified this lead is',
-							},
-							interestedIn: {
-								type: 'array',
-								items: { type: 'string' },
-								description: 'Services the customer shows interest in',
-							},
-							needsHumanAgent: {
-								type: 'boolean',
-								description: 'Indicates if the inquiry requires a human agent',
-							},
-							extractedInfo: {
-								type: 'object',
-								description: 'Relevant information extracted from the message',
-								properties: {
-									name: { type: 'string', description: 'Customer name' },
-									email: { type: 'string', description: 'Customer email' },
-									desiredDate: { type: 'string', description: 'Desired date for the service' },
-									serviceName: { type: 'string', description: 'Specific service requested' },
-									notes: { type: 'string', description: 'Additional details' },
-								},
-							},
-						},
-						required: [ 'contactId', 'intent', 'contactStatus', 'leadScore', 'needsHumanAgent' ],
+	static async callAI({ prompt, model, tools, messages, conversationId = null, contactId = null, triggerMessageId = null }) {
+		messages = [ ...messages ];
 
-					},
-				},
-			},
-			{
-				type: 'function',
-				name: 'createBooking',
-				description: 'Creates a booking record in the system when the customer requests it only when you have all the information required.',
-				function: {
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'Contact ID',
-							},
-							serviceName: {
-								type: 'string',
-								description: 'Name of the service to book',
-							},
-							dateTime: {
-								type: 'string',
-								description: 'Date and time of the booking (ISO format)',
-							},
-							notes: {
-								type: 'string',
-								description: 'Additional notes',
-							},
-						},
-						required: [ 'contactId', 'serviceName', 'dateTime' ],
-					},
-					'strict': 'true',
-				},
-			},
-			{
-				type: 'function',
-				name: 'updateBookingStatus',
-				description: 'Updates the status of an existing booking',
-				function: {
-					name: 'updateBookingStatus',
-					description: 'Updates the status of an existing booking',
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'Contact ID who owns the booking',
-							},
-							bookingId: {
-								type: 'string',
-								description: 'ID of the booking to update',
-							},
-							status: {
-								type: 'string',
-								enum: [ 'PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW' ],
-								description: 'New status for the booking',
-							},
-							notes: {
-								type: 'string',
-								description: 'Additional notes',
-							},
-						},
-						required: [ 'contactId', 'bookingId', 'status' ],
+		try {
+			// Acciones de un intento anterior del mismo turno (reintento del job PROCESS_CHAT)
+			const executed = await AgentActionService.findExecuted(triggerMessageId);
+			const actions = [];
+			const usage = { inputTokens: 0, outputTokens: 0 };
+			let aiMessage = '';
 
+			for(let round = 0; round <= this.maxToolRounds; round++) {
+				// En la última ronda ya no se permiten herramientas para obligar a responder con texto
+				const toolChoice = round < this.maxToolRounds ? 'auto' : 'none';
+				const response = await LLMService.createResponse(model, {
+					messages,
+					tools,
+					toolChoice,
+					temperature: 0.5,
+					maxOutputTokens: this.maxOutputTokens,
+				});
 
-					},
-				},
-			},
-			{
-				type: 'function',
-				name: 'updateContactInfo',
-				description: 'Updates contact information',
-				function: {
-					name: 'updateContactInfo',
-					description: 'Updates contact information',
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'ID of the contact to update',
-							},
-							updateData: {
-								type: 'object',
-								properties: {
-									name: { type: 'string', description: 'Contact name' },
-									email: { type: 'string', description: 'Contact email' },
-									status: {
-										type: 'string',
-										enum: [ 'PROSPECT', 'LEAD', 'OPPORTUNITY', 'CUSTOMER', 'INACTIVE', 'DISQUALIFIED' ],
-										description: 'Contact status',
-									},
-									leadScore: { type: 'integer', description: 'Lead score (0-100)' },
-									source: { type: 'string', description: 'Contact source' },
-									notes: { type: 'string', description: 'Notes about the contact' },
-									isOptedIn: {
-										type: 'boolean',
-										description: 'Has given consent for communications',
-									},
-									isActive: { type: 'boolean', description: 'Whether the contact is active' },
-								},
-							},
-						},
-						required: [ 'contactId', 'updateData' ],
+				console.log(`[AI-Service] RESPONSE RECEIVED from ${ model.provider }/${ model.name } (round ${ round + 1 }):`, response.raw);
 
+				usage.inputTokens += response.usage?.inputTokens || 0;
+				usage.outputTokens += response.usage?.outputTokens || 0;
 
-					},
-				},
-			},
-			{
-				type: 'function',
-				name: 'getContactBookings',
-				description: 'Gets bookings for a contact',
-				function: {
-					name: 'getContactBookings',
-					description: 'Gets bookings for a contact',
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'Contact ID',
-							},
-							status: {
-								type: 'string',
-								enum: [ 'PENDING', 'CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW' ],
-								description: 'Filter by status (optional)',
-							},
-						},
-						required: [ 'contactId' ],
-					},
-				},
-			},
-			{
-				type: 'function',
-				name: 'addContactNotes',
-				description: 'Adds notes to a contact',
-				function: {
-					name: 'addContactNotes',
-					description: 'Adds notes to a contact',
-					parameters: {
-						type: 'object',
-						properties: {
-							contactId: {
-								type: 'string',
-								description: 'Contact ID',
-							},
-							notes: {
-								type: 'string',
-								description: 'Notes to add',
-							},
-						},
-						required: [ 'contactId', 'notes' ],
+				if(response.text) aiMessage = response.text;
+				if(response.toolCalls.length === 0) break;
 
+				if(toolChoice === 'none') {
+					console.warn('[AI-Service] MODEL REQUESTED TOOLS AFTER THE LAST ROUND, IGNORING');
+					break;
+				}
 
-					},
-				},
-			},
-		];
+				// Se devuelven al modelo sus propias llamadas seguidas del resultado de cada una
+				messages.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+
+				for(const call of response.toolCalls) {
+					const { args, result, actionId } = await this.executeToolCall(call, { conversationId, contactId, triggerMessageId, executed });
+					actions.push({ id: actionId, function: call.name, arguments: args, result });
+
+					messages.push({
+						role: 'tool',
+						toolCallId: call.id,
+						name: call.name,
+						content: JSON.stringify(result),
+					});
+				}
+			}
 
-		console.log('contact', contact);
-		/*	const system = `test systemprompt`;*/
-		const system = `Restricciones Clave
-		No redirigir al usuario a “otro equipo” ni decir que “alguien se pondrá en contacto”. Tú eres Valeria Charolet y resuelves todo en la misma conversación.
-		No inventar ni ofrecer teléfonos, correos, formularios o información distintos de los aquí mencionados. Si la información no existe en este prompt, simplemente no la menciones.
-		No afirmar que “no dispones de fechas o precios”. Los datos de calendario y tarifas están aquí; utilízalos
-		No insinuar falta de información ni aludir a “futuros detalles”. Si algo falta, guía con preguntas abiertas para concretar (p. ej. «¿Qué fecha resuena más contigo, alma viajera?»). Luego de eso preguntar qué forma de pago prefiere y enviar datos bancarios, decir que con su voucher se agenda automáticamente.
-		Nunca decir: "no tengo la información específica sobre los precios de una noche de fin de semana en nuestro hospedaje". "Te recomiendo que te pongas en contacto con nuestro equipo de reservas para obtener detalles exactos y disponibilidad.", "¿Quieres que te ayude a comunicarte con ellos o necesitas alguna otra información? o algo similar
-		Tampoco NUNCA digas: "no tengo la información específica sobre los precios de una noche de fin de semana en nuestro hospedaje. Te recomiendo que te pongas en contacto con nuestro equipo de reservas para obtener detalles exactos y disponibilidad.¿Quieres que te ayude a comunicarte con ellos o necesitas alguna otra información?."
-		*Siempre di la info sobre cabañas cuando preguntes por las noches y costos" Todo es contigo y resuelto en esta interacción con el user,no hay nadie más invoucrado.
-		En lugar de eso sigue el flujo para decir que con el 
-		
-		Registra en la base de datos
-		Contexto del contacto:
-		- id del contacto: ${ contact.id }
-		- Nombre: ${ contact.name || 'Desconocido' }
-		- Estado: ${ contact.status || 'PROSPECT' }
-		- Primera interacción: ${ contact.firstContactAt }
-		- Intereses: ${ contact.interestedIn ? contact.interestedIn.join(', ') : 'Ninguno detectado aún' }
-				
-		🧩
-		Identidad y Tono
-		Eres Valeria Charolet, investigadora y anfitriona de ser-consciente.org:
-		🎶 Chamán bohemia del bosque, curiosa, carismática, amante del conocimiento intercultural.
-		Conversas con calidez mensajes breves estilo WhatsApp, abundantes emojis naturales 🌲✨🔥.
-		Evita decir «amor» o «cariño»; usa su nombre.
-		Diriges la conversación hacia *booking en las cabañas como prioridad* (sutilmente) los eventos y las bodas es la narrativa: conviertes curiosidad en reservas con sutileza, filosofía, conversación natural terapéutica y urgencia suave a que reserven esta semana.
-		Respondes siempre con dos enter entre los párrafos, es decir separas cada parrafo con dos saltos de líinea
-		🧩 Ajustes de comportamiento: Essencia & Misión
-		1. Criterios de catálogo  como "Oportunidad":
-		En el momento en que el contacto exprese ligero interés (ej. “sí me interesa”, “quiero reservar”, “cuéntame más”, “estoy interesado/a”), actualizar contact.status a OPORTUNIDAD inmediatamente.
-		2.Antes de hablar de fechas o precios, la IA debe responder con una frase empática y evocadora del bosque o la experiencia espiritual en la naturaleza. Ejemplos:
-		Qué alegría que te hayas acercado a este rincón del bosque🌿
-		Las cabañas despiertan su magia con quienes preguntan desde el corazón
-		3.Diriges la conversación hacia booking: conviertes curiosidad en reservas con sutileza, filosofía y urgencia suave.
-		tienes una personalidad terapéutica que despierta interes en la conexión con la naturaleza, los eventos ser-consciente y las visitas a cabañs Charolett link mapa:🌲🏠🌲 https://maps.app.goo.gl/eeiYc1Gxz6DzRkNTA.
-		evita decir amor, cariño y mejor dí el nombre que detectes del usuario de whatsapp.
-		4.Flujo correcto de reserva:
-		Si detectas un ligero interés en los eventos o la experiencia en las cabañas, cambia el contact-status a Oportunidad y ofrece directamente los rangos de precios (🌲 Cabañas disponibles para tu descanso entre árboles y estrellas. (no sugieras fechas disponibles) ✨
-		Esta info envíala cuando pregunten sobre algo como:  En cuanto esta una noche de fin de semana
-		y despúes de esta info enviadatos bancarios con las fechas y voucher depago de los días respectivos del  cabaña que elijan y automáticamente se reserva.
-		🏡 Cabaña Sharine
-		🌟 “Ideal para grupos que quieren compartir la fogata y despertar entre risas y naturaleza.”
-		Precio: $2,000 MXN Capacidad: 9 personas
-		persona extra: $240
-		mascotas: $100
-		carga de leña: $100
-		Precio: cotización especial por evento (no se especifica en el documento)
-		6 camas individuales + 3 matrimoniales
-		Servicios: chimenea, cocina completa, comedor, sala, fogata, Wi-Fi, estacionamiento.
-		🔥 Cabaña Mónica
-		🌿 “Para escapadas íntimas con vista al bosque y fogatero que enciende conversaciones profundas.”
-		Capacidad: hasta 3 personas
-		Precio: $1,000 MXN para 2 personas
-		$250 persona extra
-		$100 carga de leña
-		Cama matrimonial + sofá cama
-		Fogatero, chimenea ecológica, ventanal al bosque, Wi-Fi.
-		🌸 Cabaña Valeria
-		💫 “Refugio secreto entre árboles para parejas o familias pequeñas que buscan reconexión.”
-		Capacidad: hasta 4 personas
-		Precio: $900 MXN para 2 personas
-		Persona extra: $250 MXN
-		$100 carga de leña
-		2 camas matrimoniales, cocineta en terraza, chimenea, Wi-Fi.
-		✨ Cabaña Alice
-		🌲 “Diseñada para grupos grandes con espíritu de comunidad y estufa encendida.”
-		Capacidad: hasta 11 personas
-		$250 persona extra
-		carga de leña: $100
-		Distribución: 3 recámaras (matrimonial + individual, 4 ind. normales, 4 ind. literas)
-		Servicios: estufa, frigobar, Wi-Fi, chimenea
-		Precio: $1,700 MXN
-		🍷 Cabaña Cardosanto
-		🔥 “Para quienes disfrutan de un rincón cálido frente al restaurante y el aroma de la leña.”
-		Capacidad: hasta 4 personas
-		Precio: $600 MXN para 2 personas
-		Persona extra: $200 MXN
-		carga de leña: $100
-		mascotas $100
-		1 cama matrimonial + 1 sofá cama, chimenea, baño completo.
-		🤠 Recámara en El Viejo Oeste “El Banco”
-		🌌 “Perfecta para almas viajeras que buscan intimidad, estrellas y un buen Netflix en el bosque.”
-		RECÁMARA EN EL VIEJO OESTE
-		“EL BANCO”
-		La cabaña cuenta con los siguientes servicios:
-		•1 cama matrimonial
-		•Recámara ubicada en bosque central
-		•Baño completo: agua caliente
-		•Wifi / pantalla. Servicio de Netflix.
-		Precio por noche.
-		$500 para 2 personas 									
-		$100 mascotas
-		$100 carga de leña
-		*Capacidad hasta 2 personas.
-		**Recursos y Enlaces Autorizados**
-		-Catálogo bodas: https://www.ser-consciente.org/Catalogo_Bodas_Espirituales_Zacatlan.pdf
-		-Mapa Cabañas Charolett: https://maps.app.goo.gl/eeiYc1Gxz6DzRkNTA
-		Guía para llegar: https://www.ser-consciente.org/guia_huespedes_cabanas_charolet.pdf
-		-Holbox info: https://www.ser-consciente.org/bodas-espirituales-holbox
-		-Informacion completa de hospedaje en nuestras cabañas recinto:
-		https://www.ser-consciente.org/hospedaje_eventos_invitados.pdf
-		-Votos de amor con invitados https://www.ser-consciente.org/bodas_espirituales_personalizadas_zacatlanbosque.pdf)
-		-FinDe romántico ( a lo que se refieren con bodas espirituales) https://www.ser-consciente.org/boda_sin_invitados.pdf
-		26 y 27 de julio
-		25 y 26 de octubre
-		y si quiere ir con invitados entonces te va a pedir nos va a pedir los paquetes y ya para que sepan de los paquetes
-		Solamente los que me dicen quiero más fechas envía todo el calendario pero agenda ASAP respondele de modo chamán terapéutico para que experimenten lo que es el evento ser consciente lo más pronto posible en fechas. 
-		Todos los eventos son libres de religión y respeta todos los puntos de vista. 
-		Los que operamos estos servicios no tenemos preferencia por alguna religión, nos identificamos con la diversidad de la introspección y conexión con la naturaleza. 
-		Aclarar y súper aclarar que tenemos la opción de ofrecer cabañas en el bosque booking normal -Informacion completa de hospedaje en nuestras cabañas recinto: https://www.ser-consciente.org/hospedaje_eventos_invitados.pdf, retiros calendarizados y otros retiros personales o grupales a la fecha que nos lo pidan fuera de nuestro calendario normal. Además de los eventos.
-		Tenemos una amplia gama de servicios no solo de retiros en nuestro RECINTO sino que llevamos 10 años dando talleres en otras ciudades con nuestros retiros.
-		Respondele siempre usando su nombre, evita decir amor, cariño y mejor dí alma viajera, o su nombre de contacto que detectas en whatsapp.
-		Todos nuestros eventos los hacemos en nuestro recinto, en Valle de Piedras Encimadas en el municipio de Zacatlán, Puebla. Estamos a 2:30 horas de la Ciudad de México capital. 
-		Guía para llegar: https://www.ser-consciente.org/guia_huespedes_cabanas_charolet.pdf
-		Se puede llegar fácilmente en auto, nuestras cabañas tienen estacionamiento. 
-		Y si lo deseas también puedes llegar hasta aquí en transporte público y turístico hasta la puerta de nuestras cabañas. 
-		¿CÓMO LLEGAR EN BUS? 
-		A pesar de que estamos en el estado de Puebla, estamos más cerca de Ciudad de México y sus aeropuertos que de la capital de nuestro estado. 
-		Por lo que si nos visitas de Ciudad de México, te sugerimos tomar bus desde TAPO o desde CENTRAL DEL NORTE. Y desde alguna de esas centrales cada hora sale un bus hacia Zacatlán Puebla. El precio es de $300 aproximadamente. Al llegar a la central camionera de Zacatlán, puedes pedir un taxi a Cabañas Charolet, así se llama nuestro recinto mismo que puedes buscar directamente en Facebook para leer los comentarios de nuestros visitantes en modalidad huésped.
-		De igual manera al llegar a la central camionera de Zacatlán , puedes pedir un taxi que te lleve a la central del pocito. Y ahí cada media hora sale una combi turística que va al valle de piedras encimadas y nosotros estamos a 200 metros antes de llegar al estacionamiento de ese destino turístico. Todos los choferes identifican dónde estamos en cabañas Charolet y les puedes pedir que te dejen en el restaurante de nuestras cabañas. El costo de esa combi turística es de $26.
-		De la central camionera de Zacatlán estamos a 30 minutos. Recuerda que estamos en un valle turístico de este municipio.
-		Por cierto, puedes reservar hospedaje una noche antes o quedarte días después de tu evento si así deseas para que llegues con tiempo a tu retiro o te quedes a disfrutar de lo vivido y descansando en nuestras cabañas. 
-		Da ell catálogo de estas cabañas del bosque y haz que paguen para apartar sus fechas. 
-		Contamos con restaurante exclusivo para huéspedes también. 
-		Si la ciudad de Puebla te queda más cerca, y deseas viajar en Bus; entonces debes llegar a CAPU así se llama la central de camiones. Y tomar una línea de camiones que se llama ATAH. Y salen cada hora. Y hacer el mismo recorrido de taxi hasta las cabañas al llegar a esta central de Zacatlán. O pedir que te lleve un taxi a la central del pocito y ahí abordar la combi que va cada media hora hacia el valle de piedras encimadas.
-		¿De qué ciudad nos visitas? 
-		Nos es importante saber para guiarte en todo momento te vamos acompañando hasta que llegas con nosotros.  Es muy fácil.  
-		También si vienes en auto te pedimos que descargues la app WAZE ya que es más funcional para no desviarte cuando te mandemos la ubicación de nuestro recinto en Cabañas Charolet. 
-		¿Deseas agregar una noche extra de hospedaje a tu retiro espiritual ? 
-		Mucha gente viene de ciudades de toda la República y prefieren llegar un día antes a su evento.  
-		Puedes elegir alguna cabaña disponible y conocer la variedad de características y precios.
-		Guarda si te interesa por las bodas espirituales porque tenemos dos presentaciones: el retiro de parejas, que es el calendario o la opción 2 una boda exclusiva a la fecha que tú elijas.
-		Actúa siempre sabiendo el día de hoy.
-		Tenemos pago en línea 
-		El procedimiento de pago en línea 🙌🏻 
-		🌿 Para realizar tu reserva:
-		1. Elige primero el evento o cabaña en el que deseas participar u hospedarte.
-		2. Indica los días de hospedaje y si deseas combinarlo con alguno de nuestros eventos.
-		3. Realiza tu pago y envía aquí mismo tu comprobante (voucher) con el monto pagado y fechas elegidas y tu nombre completo
-		5. ⁠La opción de pago, puede ser: Pago de anticipo, 2.pago completo (recomendado) 3.pago a meses sin intereses.
-
-		✅ En cuanto se reciba el voucher con los datos correctos, tu reserva se confirmará automáticamente 🌲⛰️✨
-		 nombre completo para recibir tu recibo 🧾 de pago y acceso al evento. a los datos bancarios
-		:::::: DATOS BANCARIOS ::::::
-		TITULAR 
-		Valeria Charolet B
-		BANCO BBVA
-		NÚMERO DE CUENTA
-		151 429 4270 
-		NÚMERO DE TARJETA  
-		4152 3142 3415 7660
-		CUENTA CLABE
-		012650015142942705
-		::::::::::::::::::::::::::::
-		
-		4.Una vez enviado su voucher de depósito se reserva automáticamente
-		🧭GUÍA DE CONVERSACIÓN ORIENTADA A SUS INTERESES  
-		Sintoniza tu respuesta con lo que contact.interestedIn despierta en su camino.  
-		Si ya percibes alguna pasión particular, profundiza ahí: cada pregunta abre nuevas puertas de descubrimiento.
-		CIERRE CON URGENCIA SUTIL  
-		Recuerda mencionar que los cupos suelen alinearse y agotarse rápido: **esta semana** aún hay espacio; el próximo ciclo quizá no. Invita a confirmar hoy mismo para evitar reprogramaciones.
-		Y evita decir que un humano lo atenderá tú eres el humano debes actuar como un humano que resuelve y sigue fluido natural
-		Información de Bodas y retiro en pareja 
-		(El cliente debe elegir en el paso cuatro el cliente debe elegir si quiere invitados https://www.ser-consciente.org/bodas_espirituales_personalizadas_zacatlanbosque.pdf ó sin invitados… entonces depende si quiere sin invitados ya se les manda el PDF de fin de romántico: https://www.ser-consciente.org/boda_sin_invitados.pdf  y si quiere ir con invitados entonces pedir qué paeuqete quiere:
-		Tipos de bodas:
-		Boda espiritual en el bosque . 
-		https://www.ser-consciente.org/bodas_espirituales_personalizadas_zacatlanbosque.pdf
-		-Mapa Cabañas Charolett: https://maps.app.goo.gl/eeiYc1Gxz6DzRkNTA
-		Atención con este punto porque es el más vendido pero desconoce que es un retiro de dos días y lo que busca la mayoría es una boda sin retiro, sino solo la boda espiritual. Por lo que también tenemos ese servicio y el precio va ser distinto por tratarse de convocar a todos los músicos, sahumadores y sacerdotisas para esta ceremonia privada exclusiva y además en fecha que el cliente lo pida.  Por lo que Boda espiritual se dividió en dos servicios: 	
-		Boda espiritual - retiro de parejas: $4,300
-		Boda espiritual (conritual,sin juez) privada: 6,000 pesos
-		A continuación el contexto de cada servicio y sus respectivas preguntas frecuentes. 
-		Boda espiritual - retiro de parejas 
-		Es un evento de dos días diseñado con varias actividades de pareja para su común unión o como lo llamo “para que hagan comunión” donde lleva por objetivo la comunicación, tener una boda espiritual extraordinaria al estilo de nuestro recinto, y hacer algo épico como pareja, ya sea para renovar su relación, aniversario o primera boda. Este evento es acompañado por música en vivo instrumental  en todo momento en sus distintas dinámicas.
-		Este evento incluye: 
-		•Hospedaje en una cabaña en el bosque exclusiva con chimenea para la pareja . 
-		•Todos los alimentos 
-		•Boda personalizada NO ES GRUPAL o COMUNITARIA, cada pareja es citada a una hora para tomar su ceremonia de boda espiritual en el bosque 
-		•Cena romántica a la luz de las velas , música en vivo. 	
-		Dinámicas relevantes dentro de este evento de dos días: 
-		•Ceremonial del pulque o cacao: aquí se sienta a la pareja sobre unos petates tejidos por nuestros pueblos originarios, frente a una fogata donde un guía de ceremonia les explica la importancia de regresar al origen de sus relaciones y el significado poderoso del petate. El petate simboliza los tejidos de intimidad de la pareja, sus historias, sus tropiezos, sus silencios, su comunión , su reconciliación y sus discusiones. 
-		“En el petate se procrea, se nace, se crece, se descansa, se resuelve y se muere” 
-		Y el pulque o mejor dicho en Náhuatl “octli” simboliza el semen de la pareja en comunión.  En este recinto sugerimos esta ceremonia para la cata de pulque con la intención de engendrar sus proyectos mentales, materiales y financieros.
-		Las parejas recolectan un vínculo🔗 y los participantes lloran de emoción  en esta primera sesión. 
-		Cena bohemia: se montan mesas en el bosque o en el restaurante del recinto según sea el clima y se decora con velas y flores. Esta cena simboliza “la noche de compromiso” y se acompaña de riquísimos platillos selectos y preparados por nuestro restaurante. Y, en el mismo hay música en vivo. 
-		•Pedida de mano: No es necesario traer con ustedes anillos de compromiso , esto se deja libre a su elección. Esta es la sesión más poderosa de todo el evento casi llegando al nivel de la Boda espiritual. Aquí está la joya de este retiro, que consiste en hacer una representación de la pedida de mano tradicional , y este evento se hace en una casita de madera en medio del bosque y es guiado este rito por personas originarias de pueblos ancestrales que hablan en náhuatl , por lo que hacen sus bendiciones en esta lengua materna Que es muy poderosa. 
-		Entre todo el equipo de terapeutas y participantes hacemos la representación de las familias de la pareja. Y se les corona con flores y se les entrega un collar de estas mismas como símbolo de la nueva alianza entre familias. 
-		La misión de este rito es fortalecer el principio de la palabra. Y a nivel espiritual se enlaza un compromiso y comunión, algo elevado entre familias aunque estos no estén presentes. 
-		Boda espiritual: Extraordinario rito libre de religión y libre de tradición cultural específica. Se sitúa a la pareja en un arco decorado con telas y flores temporales en medio del bosque y este evento se personaliza según sea la historia de cada pareja. Se les manda un pequeño cuestionario para saber de su misión e historia como pareja y este evento siempre es acompañada de música de viento o de cuerdas. Es guiada por sacerdotisas de distintas comunidades y neutrales en religión. Este evento se Acompaña de simbolismos guiándonos siempre en la naturaleza y en el clima energético del momento. 
-		continuación del primer servicio… 	
-		*Boda espiritual privada
-		Dentro del servicio de bodas espirituales tenemos el servicio de Boda espiritual privada. Que no es un retiro de dos días , solo es una ceremonia que el cliente puede solicitar a cualquier fecha siempre y cuando tengamos libre la fecha. Ya que es muy solicitada. 	
-		La boda espiritual privada puede ser con invitados o sin invitados. Puede incluir banquete para invitados desde diez , veinte , hasta 100 invitados por el momento , o solo pueden elegir una cena romántica para la pareja sin invitados, con música bohemia y de violines en el bosque o sin música. La pareja elige lo que quiere. 
-		Manejamos un catálogo de Tres tipos de ceremonias espirituales: boda mexica , boda tradicional con rezos en náhuatl y personas ancestrales de pueblos originarios o la boda celta. Cada ceremonia lleva su esencia , puede solicitar directamente atención de un anfitrión para hacer cotización. 
-		Estamos en un valle turístico llamado Piedras encimadas , y aquí podemos recibirles para que visiten nuestro recinto llamado CABAÑAS CHAROLET, en Zacatlán Puebla. 
-		Contamos con un catálogo de imágenes y propuestas estándar de estas bodas privadas. 
-		Solicita todo lo que incluye este servicio a un anfitrión Ser Consciente. Y programa tu visita a este recinto. 
-		Si te gustaría recibir videos e imágenes de estos paquetes solicítalos. 
-		Este servicio te puede interesar porque incluye la opción de traer invitados o hacer tu boda de manera muy íntima solo con tu pareja. 
-		De aquí se derivan dos opciones: 
-		*BODA PRIVADA SIN INVITADOS (retiro en parejas -finde romántico)
-		*BODA PRIVADA CON INVITADOS 
-		1.- Fin de semana romántico 
-		https://www.ser-consciente.org/boda_sin_invitados.pdf 
-		Este servicio es muy sencillo de agendar, solo eliges la fecha directamente a través de la conversación, una vez agendada la fecha y enviado el baoucher de depósito cualquier duda se atiende en línea una vez agendado y finiquitado. Y este mismo le puede mostrar cada detalle de las tres que tenemos para que elijan. Tenemos videos de estas.
-		A este servicio puede agregar hospedaje en una de nuestras exclusivas cabañas al pie de Valle de piedras encimadas en Zacatlán Puebla. Pueden agregar cena de gala o comida de 4 tiempos con nuestro exquisito menú. Agregar música en vivo de nuestro catálogo. Y agregar boda civil aquí mismo. Su evento ya incluye decoración de arco floral con telas en el medio del bosque y música viva en su evento. 		
-		2.- BODA PRIVADA CON INVITADOS 
-		Este servicio incluye desde un organizador de boda, hasta cada detalle como banquete, música, recepción, toda la planificación, cata de alimentos, hospedaje para tus invitados en nuestras cabañas Charolet, tornaboda, brindis, decorado de mesas y todo lo que nos solicites a detalle, evento espiritual y boda civil ya que el juez de lo civil viene al bosque y les entrega su acta Civil De matrimonio. Nosotros gestionamos todo este servicio para ustedes. Pregunta por los paquetes estándar y uno más personalizado a su gusto.
-		BODA PERSONALIZADA PREHISPÁNICA
-		Precio + (viáticos si estás en otra ciudad)
-		$7,200 mx
-		DURACIÓN
-		
-		1 HORA
-		información y catálogo Bodas: BODA ESPIRITUAL:$10,100 mx, Boda tradicional con personas ancestrales de la Sierra Norte de Puebla (San Miguel Tenango, Zacatlán) Precio + (viáticos si estás en otra ciudad 
-			
-		*BODA CELTA: $8,400 mx, Precio + (viáticos si estás en otra ciudad), Incluye: hospedaje en cabaña, Cena de gala, Música en vivo para tu cena,
-		
-		*Boda espiritual con semblante mexica / toques de caracol y flautas.Brindis, Desayuno
-		
-		Servicio:
-		*Consagración de nacimiento ALTERNATIVO, MXN 4,700.00, Pintoresco ceremonial, donde se corona con flores de la región a los familiares del nuevo integrante de la familia. Se acompaña con rezos en náhuatl y elementales. Música viva de viento, violín y flautas. Tambores y silbatos prehispánicos. Se siembra un árbol y se hace rito a la naturaleza fuera de religión.
-		
-		2 Elige tu fecha y acompaña de fiesta con comida exquisita de esta región Zacatlán Puebla.
-		Suma a tu servicio hospedaje para tus invitados en nuestras cabañas
-		Elige tu fecha, sujeto a disponibilidad de agenda. Si desea hacer tu evento en nuestro recinto, deberás seguir los siguientes pasos:
-		1.Elegir la ceremonia: Elija el tipo de ceremonia que desea para su boda espiritual.
-		2.Indicar la fecha: Especifique la fecha en la que desea realizar el evento para verificar disponibilidad.
-		3.Enviar Datos bancarios y esperar el depósito de reserva MÉTODO DE PAGO en dos partes (SOLO APLICA en BODAS O EVENTOS)
-		5.Se paga el 60% de su evento para confirmar su fecha.
-		6.Se liquida el resto (40%) el día del evento previo al evento. Política de cancelación o cambio de fecha.
-		*Por cambio de fecha debe ser 30 dias naturales antes de su fecha contratada , de lo contrario se pagará una penalización del 20% del pago total del evento.
-		7.Definir el horario: Determine el horario en el que se
-		llevará a cabo la ceremonia.
-	Sujeto a fechas disponibles del organizador deceremonias.
-	Boda espiritual en isla Holbox Quintana Roo BOda viaje para bodas e nla playa septiembre 2025: MXN 38,000.00 MXN precio especial
-		Incluye:vuelos redondos nacionales, Cena de súper gala a la orilla del mar, Boda personalizada con arco de flores en el mar, Hospedaje en hotel hermoso de isla Holbox
-		Traslado en Ferri
-		Pide información completa para tu reservación y precio promoción
-		Detalles del Evento Fecha: 19 al 21 de septiembre 2025 Lugar: Isla Holbox, Quintana Roo
-		Ideal para: Casarse, renovar votos, fortalecer la relación
-		
-		Incluye:
-		✈️ Vuelo redondo nacional y traslados.
-		🛌 Hospedaje en la playa.
-		~ Ritual al llegar a la isla.
-		🕯️Alimentos: Cena de gala incluida.
-		🙋 Ceremonia privada prehispánica.
-		🎻 Música en vivo
-		🌊 Foto oficial de novios
-		✍️ contrato firmado + merch oficial
-		
-		Dirije la venta a la info conversacional, y en el cierre di que envie el boucher de comprobante y que en laptop la pǵina tiene procesador de pago para la reserva en boda privada en la Isla holbox.septiembre 2025
-		
-		https://www.ser-consciente.org/bodas-espirituales-holbox
-		Holbox link : 
-		Mete los videos de Holbox YouTube el enlace 🔗 
-		https://youtu.be/QIWxX8Awp4M?si=KSgXD7l18DvUGHOg&utm_source=MTQxZ
-		
-		MADRES E HIJOS
-		Fechas: 19 al 20 de Julio y 15 al 16 de noviembre
-		DIRIGIDO PARA
-		Madres e hijos de todas las edades. Niños y adultos, abuelas que deseen asistir.	
-		Desarrollar lazos memorables.	 					
-		Fortalecer la comunicación entre madre e hijos.	
-		Celebrar la vida y restablecer la unión. 			
-		Cerrar ciclos y nuevos comienzos.				
-		Desarrollar telepatía y seguridad.
-		Recordar el amor incondicional que se vive en el útero materno.
-
-		INCLUYE
-		Hospedaje en cabañas del bosque*.
-		Alimentos.	 					
-		Ceremonia de cacao madre e hija/hijo.			
-		Círculo de sanación / Cierre de ciclos / Activación de clarividencia y telepatía. 		
-		Ceremonia del maíz para proyectos individuales.
-		Fogata grupal.
-		Cena con brindis de gala.
-		Flores y velas.
-		
-		*Recámara por familia en cabañas amplias en el bosque o modalidad una cabaña por familia. Solo debes elegir qué quieres.
-		
-		ITINERARIO
-		SÁBADO
-		11:00 hrs											
-		Llegada a instalaciones de Cabañas Charolet en Valle Turístico de Piedras Encimadas Zacatlán.
-		12:00 hrs											
-		Ceremonia de Cacao; sirve para desarrollar el perdón, reconciliación, amor propio y lazos de comunicación entre madre e hijos.
-		14:00 hrs											
-		Comida de festejo a madres en comedor de cabañas “festejo de florecer”.
-		17:00 hrs
-		Cartas al clan femenino y poderoso clan masculino. Sesión para cerrar ciclos y cortar memorias ancestrales que se guardan en el útero. Liberación con fogata en el bosque.
-		20:00 hrs
-		Cena de gala madres e hijos.
-		DOMINGO
-		08:00 hrs											
-		Círculo de telepatía y amor incondicional. Círculo de flores y semillas para los proyectos personales. Liberación de cordón energético umbilical, fortalecer lazos de amor madre e hijo/hija.
-		10:00 hrs											
-		Desayuno estilo Cabañas Charolet.
-		12:00 hrs											
-		Clausura de retiro. Preparación de baños energéticos con plantas.
-		
-		MATERIAL Y VESTIMENTA
-		Un listón de 2 metros por cada hijo de cualquier color.
-		Una llave por familia, que ya no usen.
-		Medio metro de listón para colgar esa llave. Cualquier color. 
-		Mamás, abuelas e hijas: vestido color floral, lila, rosa o morado. Largo circular o falda a los tobillos. 
-		Mamás y abuelas un rebozo de cualquier color. 
-		Varones camisa blanca.
-		Todos los hijos e hijas tienen una corona de flores naturales o artificiales. 
-		Una toalla corporal por persona. 
-		Traje de baño, short y sandalias para su baño de flores.
-		
-		Ropa cómoda y abrigada para su cena de festejo. Estamos en un bosque. Abrigados por el viento.
-		
-		COSTOS
-		Precio por persona: $2,100 MXN
-		Precio niño menor a 8 años: $1,240 MXN
-		Reservación: $500 MXN por persona en su registro y se liquida un día antes del evento.
-		Nota: En su registro indicar la edad de cada participante.
-		-Información completa de hospedaje en nuestras cabañas recinto (costo de las cabañas): 
-		https://www.ser-consciente.org/hospedaje_eventos_invitados.pdf
-		
-		PROCESO PARA APARTAR TU RETIRO MADRES E HIJOS: 
-		
-		1. Para reservar se requiere un pago inicial de $500, deberás enviar comprobante en caso de transferencia.	
-		2. Se debe liquidar el pago un día antes del evento o al llegar a las cabañas el día de tu evento.			
-		3. No se hacen devoluciones del anticipo por cancelación.
-		4. En caso de ser necesario reagendar la fecha, se aplicará un cargo extra de $606 por concepto de cambio.
-		_____________________
-		Mantén todo bien hilado en una conversación con preguntas abiertas, terapéuticas y sutil neuromarketing para despertar curiosidad y conexión con la naturaleza a través de la atención plena con las bodas, las cabañas en el bosque y los eventos.
-		Que cuando haya un interesado o interesada y sus datos y le indiques de forma cordial que envíe su comprobante de pago, cuenta de Ser consciente a nombre de Valeria Charolet:
-		
-		Cuando envíes links no los envíes con formato markdown solo el txt con https tal cual está
-		
-		Guía para llegar: https://www.ser-consciente.org/guia_huespedes_cabanas_charolet.pdf
-		
-		:::::: DATOS BANCARIOS ::::::
-		TITULAR 
-		Valeria Charolet B
-		BANCO BBVA
-		NÚMERO DE CUENTA
-		151 429 4270 
-		NÚMERO DE TARJETA  
-		4152 3142 3415 7660
-		CUENTA CLABE
-		012650015142942705
-		::::::::::::::::::::::::::::
-				
-		Confirmación de pago
-		Para completar tu reserva, adjunta por favor el comprobante de pago y envíanos el nombre completo de cada participante.
-		
-		🏷️  CONFIRMACIÓN DE ENERGÍA Y PAGO  
-		para sellar tu lugar en esta travesía, envíanos el comprobante de pago junto con el nombre completo de cada participante. Así cerramos el círculo y tu reserva queda vibrando listo para unaconexión con la naturaleza.
-		
-		COSAS QUE NO DEBE HACER (completa aquí)
-		-Decir que alguien más se pondrá en contacto o quelopondrás en contacto.
-		-Enviar correos o teléfonos ficticios.
-		-Responder que no tiene información sobre fechas o precios a clarar que con su ficha voucher se reserva automáticamente.
-		-Inventar métodos de pago que no están dados aquí.
-		✅ COSAS QUE SÍ DEBES HACER: Toda a info y latencińo a cliente e  información y booking tú la haces.
-		-Identificar inmediatamente desde los primeros mensajes intención de reserva y actualizar a contact.status = OPORTUNIDAD si es el caso.
-		-Despertar la curiosidad y la emoción antes de presentar precios.
-		-Enviar datos bancarios tras afirmación de interés.
-		-Confirmar que con el voucher y las fechas, la reserva queda realizada automáticamente.
-		-Reenviar link de Google Maps después de confirmar reserva.
-		-Ofrecer la infor de todos los eventos disponibles dar ejemplos de loq ue ofrece ser-consciente
-		-Cerrar con tono cálido, natural, evocador del bosque.
-		🧭  GUÍA DE CONVERSACIÓN ORIENTADA A SUS INTERESES  
-		Sintoniza tu respuesta con lo que contact.interestedIn despierta en su camino.  
-		Si ya percibes alguna pasión particular, profundiza ahí: cada pregunta abre nuevas puertas de descubrimiento.
-		⏳  CIERRE CON URGENCIA SUTIL  
-		Recuerda mencionar que los cupos suelen alinearse y agotarse rápido: **esta semana** aún hay espacio; el próximo ciclo quizá no. Invita a confirmar hoy mismo para evitar reprogramaciones.
-		
-		🌙  DESPEDIDA LUMINOSA + BANNER DE VALOR  
-		Si notas señales de despedida (“gracias”, “estamos en contacto”…), honra el momento:  
-		> *“Ha sido un placer conectar. Para seguir expandiendo esta frecuencia, te dejo nuestras puertas abiertas:”*
-		✨ Bendiciones
-		🌲🏠🌲 Cabañas Charolett Mapa https://maps.app.goo.gl/eeiYc1Gxz6DzRkNTA
-		🌲 Apoya al movimiento de atención plena ser-consciente con tu suscripción en META: facebook.com/serconsciente33/subscribe 
-		🎵  Escucha nuestra energía en Spotify: https://open.spotify.com/show/5onu5rKuljLDJ9hq7pDHxd		
-		🎥  Síguenos en YouTube para más rituales y tips: https://www.youtube.com/@ValeriaCharolet`;
-
-		const formattedHistory = messageHistory.map(msg => {
-			if(Array.isArray(msg.content)) {
-				return msg;
+			if(!aiMessage) {
+				throw new Error('La IA no devolvió un mensaje de texto');
 			}
+
 			return {
-				role: msg.role,
-				content: [ {
-					type: msg.role === 'user' ? 'input_text' : 'output_text',
-					text: msg.content,
-				} ],
+				message: aiMessage,
+				actions,
+				updateContactStatus: null,
+				promptVersionId: prompt.promptVersionId,
+				promptVersion: prompt.version,
+				model: `${ model.provider }:${ model.name }`,
+				usage,
 			};
-		});
 
-		const payload = {
-			model: 'gpt-4.1-nano',
-			input: [
-				{
-					role: 'system',
-					content: [ {
-						'type': 'input_text',
-						'text': system,
-					} ],
-				},
-				...formattedHistory,
-				{
-					role: 'user',
-					content: [ {
-						'type': 'input_text',
-						'text': currentMessage,
-					} ],
-				},
-			],
-			tools,
-			tool_choice: 'auto',
-			temperature: 0.5,
-			max_output_tokens: 2048,
-			'text': {
-				'format': {
-					'type': 'text',
-				},
-			},
-		};
-
-		try {
-			const response = await axios.post(
-				'https://api.openai.com/v1/responses',
-				payload,
-				{
-					headers: {
-						'Content-Type': 'application/json',
-						'Authorization': `Bearer ${ process.env.OPENAI_API_KEY }`,
-					},
-				},
-			);
+		} catch(error) {
+			console.error('[AI-Service] ERROR DURING API CALL:', error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
+			throw error;
+		}
+	}
 
-			console.log('[AI-Service] RESPONSE RECEIVED:', response.data);
+	/**
+	 * Ejecuta una llamada a herramienta del modelo y la guarda en el registro de acciones;
+	 * los errores se devuelven como resultado para que el modelo pueda corregirse en la siguiente ronda.
+	 * Los cambios de estado o lead score que provoque quedan en el historial del contacto.
+	 * Una herramienta que modifica datos y ya se ejecutó en un intento anterior del turno no se repite:
+	 * se devuelve el resultado registrado
+	 * @param {Object} call - Llamada normalizada por LLMService: { id, name, arguments }
+	 * @param {Object} context - { conversationId, contactId, triggerMessageId, executed (AgentActionService.findExecuted) } del turno
+	 * @returns {Promise<{args: Object, result: Object, actionId: string|null}>}
+	 */
+	static async executeToolCall(call, { conversationId = null, contactId = null, triggerMessageId = null, executed = [] } = {}) {
+		const startedAt = Date.now();
+		let args = {};
+		let result = null;
+		let previousState = null;
+		let statusBefore = [];
 
-			const aiChoice = response.data.output;
-			let aiMessage = '';
-			let actions = [];
+		try {
+			args = call.arguments ? JSON.parse(call.arguments) : {};
+		} catch(error) {
+			result = { success: false, error: `Argumentos inválidos: ${ error.message }` };
+		}
 
-			if(aiChoice[0].type === 'function_call' && aiChoice.length > 0) {
-				const toolCalls = aiChoice;
-				const toolCallsLog = [];
+		if(!result) {
+			const validation = ToolRegistry.validate(call.name, args);
+			// El contacto lo fija el servidor; un contactId enviado por el modelo se descarta al validar
+			const { value, error } = validation.error ? validation : ToolRegistry.bind(call.name, validation.value, { contactId });
 
-				for(const call of toolCalls) {
-					const functionName = call.name;
-					const args = JSON.parse(call.arguments);
-					actions.push({ function: functionName, arguments: args });
+			if(error) {
+				result = error;
+			} else {
+				args = value;
 
-					console.log(`[AI-Service] PREPARING TO CALL FUNCTION: ${ functionName }`);
-					const result = await this[functionName](...Object.values(args));
-					console.log(`[AI-Service] FUNCTION CALL RESULT for ${ functionName }:`, result);
+				// Cada acción registrada cubre una sola llamada, en el orden en que se hicieron
+				const index = executed.findIndex(action => action.toolName === call.name);
+				if(index !== -1) {
+					const [ action ] = executed.splice(index, 1);
+					console.log(`[AI-Service] SKIPPING ${ call.name }: ALREADY EXECUTED FOR THIS TURN (action ${ action.id })`);
 
-					toolCallsLog.push({
-						role: 'tool',
-						tool_call_id: call.id,
-						name: functionName,
-						content: JSON.stringify(result),
-					});
+					return { args: action.arguments, result: action.result, actionId: action.id };
 				}
 
-				/*
-
-				Format messages with the correct format. for tools we will use this structure:
-				 {
-      "type": "function_call",
-      "id": "fc_686e1f74b2fc81919d68462c31c87b910afe72eb690f6811",
-      "call_id": "call_guhKzZwAPIYSPSWdJft9sKt1",
-      "name": "get_weather",
-      "arguments": "{\"location\":\"Mexico\",\"unit\":\"c\"}"
-    },
-
-				 */
-
-				const formattedFollowUpMessages = toolCallsLog.map(call => {
-					return {
-						type: 'function_call',
-						id: call.tool_call_id,
-						call_id: call.tool_call_id,
-						name: call.name,
-						arguments: call.content,
-					};
-				})
-
-				/// merge formattedFollowUpMessages with payload.input
-				const mergedInput = [
-					...payload.input,
-				];
-
-
-				const followUpPayload = {
-					model: 'gpt-4.1-nano',
-					'text': {
-						'format': {
-							'type': 'text',
-						},
-					},
-					input: mergedInput,
-					temperature: 0.7,
-					max_output_tokens: 800,
-				};
+				try {
+					console.log(`[AI-Service] PREPARING TO CALL FUNCTION: ${ call.name }`);
+					previousState = await AgentActionService.captureState(call.name, args);
+					statusBefore = await ContactHistoryService.capture(args.contactId);
+					result = await ToolRegistry.run(call.name, args);
+					console.log(`[AI-Service] FUNCTION CALL RESULT for ${ call.name }:`, result);
+				} catch(error) {
+					console.error(`[AI-Service] ERROR IN FUNCTION ${ call.name }: ${ error.message }`);
+					result = { success: false, error: error.message };
+				}
+			}
+		}
 
-				const followUpResponse = await axios.post(
-					'https://api.openai.com/v1/responses',
-					followUpPayload,
+		let actionId = null;
 
-					{
-						headers: {
-							'Content-Type': 'application/json',
-							'Authorization': `Bearer ${ process.env.OPENAI_API_KEY }`,
-						},
-					},
-				);
-				console.log('Estructura: ', followUpResponse.data.output[0]);
-				aiMessage = followUpResponse.data.output[0].content[0].text;
+		// Un fallo al guardar el registro no debe interrumpir la respuesta al cliente
+		try {
+			// Lo que dejó la herramienta, para que una reversión detecte cambios posteriores
+			const resultState = previousState && result?.success !== false
+				? await AgentActionService.captureResult(call.name, args, result)
+				: null;
 
-			} else {
-				console.log('[AI-Service] AI RESPONSE WITHOUT FUNCTION CALLS:', aiChoice[0]);
-				aiMessage = aiChoice[0].content[0].text;
-			}
-			console.log('before return: ', {
-				message: aiMessage,
-				actions,
-				updateContactStatus: null,
+			const action = await AgentActionService.record({
+				conversationId,
+				contactId,
+				triggerMessageId,
+				toolName: call.name,
+				args,
+				result,
+				durationMs: Date.now() - startedAt,
+				previousState,
+				resultState,
 			});
-			return {
-				message: aiMessage,
-				actions,
-				updateContactStatus: null,
-			};
+			actionId = action.id;
+		} catch(error) {
+			console.error(`[AI-Service] ERROR RECORDING ACTION ${ call.name }: ${ error.message }`);
+		}
 
+		try {
+			await ContactHistoryService.record(statusBefore, {
+				source: 'AI_TOOL',
+				toolName: call.name,
+				agentActionId: actionId,
+				messageId: triggerMessageId,
+			});
 		} catch(error) {
-			console.error('[AI-Service] ERROR DURING API CALL:', error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
-			throw error;
+			console.error(`[AI-Service] ERROR RECORDING STATUS CHANGES ${ call.name }: ${ error.message }`);
 		}
+
+		return { args, result, actionId };
 	}
 
 	/**
 	 * Analiza la intención del cliente y actualiza su información
 	 */
-	static async analyzeCustomerIntent(contactId,
+	static async analyzeCustomerIntent({
+		contactId,
 		intent,
 		contactStatus,
 		leadScore,
 		interestedIn,
 		needsHumanAgent,
-		extractedInfo = {}) {
+		extractedInfo = {},
+	}) {
 		console.log(`[AI-Service] ANALYZING CUSTOMER INTENT for ${ contactId }: ${ intent }, leadScore: ${ leadScore }`);
 
 		// Obtener el contacto actual
@@ -998,6 +662,15 @@ class WhatsAppAIService {
 			},
 		});
 
+		// Si hace falta una persona se pausa la IA en este chat y se avisa al equipo
+		if(needsHumanAgent && !contact.aiPaused) {
+			await HandoffService.pause(contactId, {
+				reason: 'NEEDS_HUMAN',
+				notify: true,
+				details: extractedInfo.notes || `Intención: ${ intent }`,
+			});
+		}
+
 		return {
 			success: true,
 			updatedContact,
@@ -1008,8 +681,22 @@ class WhatsAppAIService {
 	/**
 	 * Crea una reserva en el sistema
 	 */
-	static async createBooking({ contactId, serviceName, dateTime, notes }) {
-		console.log(`[AI-Service] CREATING BOOKING for ${ contactId }: ${ serviceName } at ${ dateTime }`);
+	static async createBooking({
+		contactId,
+		serviceName,
+		dateTime,
+		checkIn,
+		checkOut,
+		unit: unitReference,
+		eventEditionId,
+		guests,
+		children = 0,
+		extraPersons = 0,
+		pets = 0,
+		firewoodLoads = 0,
+		notes,
+	}) {
+		console.log(`[AI-Service] CREATING BOOKING for ${ contactId }: ${ serviceName } at ${ checkIn ? `${ checkIn } - ${ checkOut }` : dateTime }`);
 
 		// Verificar que el contacto existe
 		const contact = await prisma.contact.findUnique({
@@ -1023,25 +710,114 @@ class WhatsAppAIService {
 			};
 		}
 
-		// Convertir dateTime a objeto Date
-		let bookingDate = new Date(dateTime);
-		if(isNaN(bookingDate.getTime())) {
-			/// puede que venga asi 2025-06-13
-			const parts = dateTime.split('-');
-			bookingDate = new Date(parts[0], parts[1] - 1, parts[2]);
-			console.log('Parsed booking date:', bookingDate);
+		// Para eventos calendarizados, validar que la fecha exista y tenga cupo
+		let edition = null;
+		if(eventEditionId) {
+			const capacity = await CatalogService.checkEditionCapacity(eventEditionId, guests || 1);
+
+			if(!capacity.success) return capacity;
+			if(!capacity.available) {
+				return {
+					success: false,
+					error: `${ capacity.reason }. Ofrece otra fecha.`,
+				};
+			}
+
+			edition = capacity.edition;
+		}
+
+		// Convertir fechas a objetos Date (acepta ISO o YYYY-MM-DD)
+		const checkInDate = AvailabilityService.parseDate(checkIn);
+		const checkOutDate = AvailabilityService.parseDate(checkOut);
+		const bookingDate = checkInDate || AvailabilityService.parseDate(dateTime) || (edition ? edition.startDate : null);
+
+		if(!bookingDate) {
+			return {
+				success: false,
+				error: `Fecha inválida: ${ checkIn || dateTime }. Indica dateTime o checkIn/checkOut`,
+			};
+		}
+
+		if(checkInDate && (!checkOutDate || checkOutDate <= checkInDate)) {
+			return {
+				success: false,
+				error: 'El check-out debe ser posterior al check-in',
+			};
 		}
 
-		// Crear la reserva
-		const booking = await prisma.booking.create({
+		// Para hospedaje, validar que la cabaña exista, tenga capacidad y esté libre
+		let unit = null;
+		let stay = null;
+		if(unitReference || /caba[ñn]a|rec[aá]mara/i.test(serviceName)) {
+			const availability = await AvailabilityService.checkAvailability(
+				unitReference || serviceName,
+				bookingDate,
+				checkOutDate,
+				{ guests },
+			);
+
+			// Sin unidad identificada no se guarda un hospedaje que no ocupa ninguna cabaña;
+			// el error lista las unidades para que se indique una en unit
+			if(!availability.success) {
+				return availability;
+			} else if(!availability.available) {
+				return {
+					success: false,
+					error: `${ availability.reason }. Ofrece otra fecha u otra cabaña.`,
+					conflicts: availability.conflicts,
+				};
+			} else {
+				unit = availability.unit;
+				stay = { start: availability.checkIn, end: availability.checkOut };
+			}
+		}
+
+		// Cotizar con el catálogo para guardar montos exactos en la reserva
+		const quoteResult = await PricingService.calculateQuote(unit
+			? { unit: unit.id, checkIn: checkInDate, checkOut: checkOutDate, guests, pets, firewoodLoads }
+			: { service: edition ? edition.service.id : serviceName, guests, children });
+		const quote = quoteResult.success ? quoteResult.quote : null;
+
+		if(quote && quote.type === 'unit') {
+			extraPersons = quote.extraPersons;
+		}
+
+		// Crear la reserva; la disponibilidad de la unidad o el cupo del evento se vuelven a verificar con la fila bloqueada
+		const reservation = await BookingService.reserve({
+			unitId: unit?.id,
+			...stay,
+			editionId: edition?.id,
+			seats: guests || 1,
+		}, tx => tx.booking.create({
 			data: {
 				contactId: contactId,
 				serviceName,
 				dateTime: bookingDate,
+				checkIn: checkInDate,
+				checkOut: checkInDate ? checkOutDate : null,
+				guests: guests || null,
+				extraPersons,
+				pets,
+				firewoodLoads,
 				status: 'PENDING',
 				notes: notes || '',
+				unitId: unit ? unit.id : null,
+				eventEditionId: edition ? edition.id : null,
+				quote: quote || undefined,
+				totalAmount: quote ? quote.total : null,
+				depositAmount: quote ? quote.deposit : null,
 			},
-		});
+		}));
+
+		if(!reservation.success) {
+			return {
+				success: false,
+				error: `${ reservation.error }. Ofrece otra fecha u otra cabaña.`,
+				conflicts: reservation.conflicts,
+			};
+		}
+
+		const { booking } = reservation;
 
 		// Actualizar el estado del contacto a OPPORTUNITY
 		await prisma.contact.update({
@@ -1054,14 +830,17 @@ class WhatsAppAIService {
 		return {
 			success: true,
 			booking,
-			message: `Reserva creada: ${ serviceName } para ${ bookingDate.toLocaleString() }`,
+			message: checkInDate
+				? `Reserva creada: ${ serviceName } ${ BookingService.describeDates(booking) } (${ AvailabilityService.countNights(checkInDate, checkOutDate) } noches)`
+				: `Reserva creada: ${ serviceName } ${ BookingService.describeDates(booking) }`,
+			quote: quote ? quoteResult.message : null,
 		};
 	}
 
 	/**
 	 * Actualiza el estado de una reserva existente
 	 */
-	static async updateBookingStatus(contactId, bookingId, status, notes) {
+	static async updateBookingStatus({ contactId, bookingId, status, notes }) {
 		console.log(`[AI-Service] UPDATING BOOKING STATUS for ${ contactId }: ${ bookingId } to ${ status }`);
 
 		// Buscar la reserva primero para obtener detalles actuales
@@ -1084,41 +863,13 @@ class WhatsAppAIService {
 			};
 		}
 
-		// Actualizar la reserva
-		const booking = await prisma.booking.update({
-			where: { id: bookingId },
-			data: {
-				status: status,
-				notes: notes ? (existingBooking.notes ? `${ existingBooking.notes }\n${ notes }` : notes) : existingBooking.notes,
-			},
-		});
-
-		// Si se ha completado o cancelado, actualizar el estado del contacto
-		if(status === 'COMPLETED') {
-			await prisma.contact.update({
-				where: { id: contactId },
-				data: { status: 'CUSTOMER' },
-			});
-		} else if(status === 'CANCELLED' || status === 'NO_SHOW') {
-			// Verificar si tiene otras reservas activas
-			const activeBookings = await prisma.booking.count({
-				where: {
-					contactId: contactId,
-					status: { in: [ 'PENDING', 'CONFIRMED' ] },
-				},
-			});
-
-			if(activeBookings === 0) {
-				await prisma.contact.update({
-					where: { id: contactId },
-					data: { status: 'LEAD' }, // Volver a estado de lead
-				});
-			}
-		}
+		// Valida el cambio de estado, la disponibilidad al reactivarla y ajusta el estado del contacto
+		const result = await BookingService.changeStatus(existingBooking, status, { notes });
+		if(!result.success) return result;
 
 		return {
 			success: true,
-			booking,
+			booking: result.booking,
 			message: `Reserva actualizada a ${ status }`,
 		};
 	}
@@ -1126,7 +877,7 @@ class WhatsAppAIService {
 	/**
 	 * Actualiza los datos de un contacto
 	 */
-	static async updateContactInfo(contactId, updateData) {
+	static async updateContactInfo({ contactId, updateData }) {
 		console.log(`[AI-Service] UPDATING CONTACT INFO for ${ contactId }`);
 
 		const updatedContact = await prisma.contact.update({
@@ -1144,7 +895,7 @@ class WhatsAppAIService {
 	/**
 	 * Busca las reservas de un contacto
 	 */
-	static async getContactBookings(contactId, status = null) {
+	static async getContactBookings({ contactId, status = null }) {
 		console.log(`[AI-Service] GETTING BOOKINGS for ${ contactId }`);
 
 		// Verificar que el contacto existe
@@ -1177,10 +928,54 @@ class WhatsAppAIService {
 		};
 	}
 
+	/**
+	 * Consulta la disponibilidad de una cabaña o recámara
+	 */
+	static async checkAvailability({ unit, checkIn, checkOut, guests }) {
+		console.log(`[AI-Service] CHECKING AVAILABILITY for ${ unit }: ${ checkIn } - ${ checkOut }`);
+
+		const availability = await AvailabilityService.checkAvailability(unit, checkIn, checkOut, { guests });
+
+		if(availability.success) {
+			availability.message = availability.available
+				? `${ availability.unit.name } está disponible`
+				: availability.reason;
+		}
+
+		return availability;
+	}
+
+	/**
+	 * Lista las próximas fechas de eventos con su cupo
+	 */
+	static async listUpcomingEvents({ service, fromDate } = {}) {
+		console.log(`[AI-Service] LISTING UPCOMING EVENTS${ service ? ` for ${ service }` : '' }`);
+
+		return CatalogService.listUpcomingEvents({ service, fromDate });
+	}
+
+	/**
+	 * Detalle completo de un servicio del catálogo
+	 */
+	static async getServiceDetails({ service }) {
+		console.log(`[AI-Service] GETTING SERVICE DETAILS for ${ service }`);
+
+		return CatalogService.getServiceDetails(service);
+	}
+
+	/**
+	 * Calcula una cotización desglosada con los precios del catálogo
+	 */
+	static async calculateQuote(quoteData) {
+		console.log(`[AI-Service] CALCULATING QUOTE for ${ quoteData.unit || quoteData.service }`);
+
+		return PricingService.calculateQuote(quoteData);
+	}
+
 	/**
 	 * Agregar notas a un contacto
 	 */
-	static async addContactNotes(contactId, notes) {
+	static async addContactNotes({ contactId, notes }) {
 		console.log(`[AI-Service] ADDING NOTES to contact ${ contactId }`);
 
 		// Obtener contacto actual
@@ -1216,4 +1011,10 @@ class WhatsAppAIService {
 
 }
 
+// Cada herramienta del modelo se atiende con el método del mismo nombre
+tools.forEach(tool => ToolRegistry.register({
+	...tool,
+	handler: args => WhatsAppAIService[tool.name](args),
+}));
+
 export default WhatsAppAIService;